@@ -0,0 +1,110 @@
+/**
+ * Headless initialization shared by CLI subcommands
+ * All progress output goes to stderr so stdout stays machine-readable.
+ * @module cli/bootstrap
+ */
+
+import { ConfigManager } from '../config/ConfigManager.js';
+import { resolveConfigOptions } from '../config/configSources.js';
+import { loadDepinMsgLibrary } from '../lib/depinMsgLoader.js';
+import { WalletManager } from '../wallet/WalletManager.js';
+import { RpcService } from '../services/RpcService.js';
+import { ReconnectPolicy } from '../services/ReconnectPolicy.js';
+import { MessageHistory } from '../messaging/MessageHistory.js';
+import { INFO_MESSAGES, SUCCESS_MESSAGES } from '../constants.js';
+import { extractErrorMessage } from '../errors.js';
+import { withStdoutOnStderr } from '../utils.js';
+
+/**
+ * Load configuration, wallet and optionally the DePIN library and RPC client
+ * @param {Object} cliOptions - Parsed command line options (config flags)
+ * @param {Object} [options] - Bootstrap options
+ * @param {boolean} [options.library=true] - Load the DePIN message library
+ * @param {boolean} [options.rpc=true] - Initialize the RPC service
+ * @returns {Promise<Object>} Initialized components
+ */
+export async function bootstrap(cliOptions, { library = true, rpc = true } = {}) {
+  return withStdoutOnStderr(async () => {
+    console.log(INFO_MESSAGES.LOADING_CONFIG);
+    const configManager = new ConfigManager(resolveConfigOptions(cliOptions));
+    const config = await configManager.load();
+    console.log(SUCCESS_MESSAGES.CONFIG_LOADED);
+
+    const neuraiDepinMsg = library ? await loadDepinMsgLibrary() : null;
+
+    const walletManager = new WalletManager(config);
+    await walletManager.initialize();
+
+    let rpcService = null;
+    if (rpc) {
+      console.log(INFO_MESSAGES.CONNECTING);
+      rpcService = new RpcService(config);
+      await rpcService.initialize();
+    }
+
+    return { configManager, config, neuraiDepinMsg, walletManager, rpcService };
+  });
+}
+
+/**
+ * Create the encrypted history for the configured token
+ * @param {ConfigManager} configManager - Loaded configuration manager
+ * @returns {MessageHistory} Message history instance
+ */
+export function createHistory(configManager) {
+  const config = configManager.get();
+  return new MessageHistory(
+    configManager.getHistoryPath(config.token),
+    configManager.getStorageKey()
+  );
+}
+
+/**
+ * Run the poller and keep retrying the RPC connection while it is down
+ * Status lines are written to stderr.
+ * @param {MessagePoller} messagePoller - Message poller instance
+ * @param {RpcService} rpcService - RPC service instance
+ * @param {ReconnectPolicy} [reconnectPolicy] - Backoff between reconnect attempts
+ * @returns {Function} Stops polling and pending reconnect attempts
+ */
+export function startSupervisedPolling(messagePoller, rpcService, reconnectPolicy = new ReconnectPolicy()) {
+  const scheduleReconnect = () => {
+    const delay = reconnectPolicy.schedule(async () => {
+      if (await rpcService.attemptReconnect(true)) {
+        console.error('✓ Reconnected to RPC server');
+        reconnectPolicy.reset();
+        messagePoller.start();
+      } else {
+        scheduleReconnect();
+      }
+    });
+    console.error(`  Next attempt in ${Math.ceil(delay / 1000)}s`);
+  };
+
+  const onEndpointChanged = (endpoint) => {
+    console.error(`✓ ${SUCCESS_MESSAGES.RPC_ENDPOINT_CHANGED} ${endpoint.url}`);
+  };
+  rpcService.on('endpoint-changed', onEndpointChanged);
+
+  messagePoller.on('error', (error) => {
+    console.error(`✗ Poll failed: ${extractErrorMessage(error, 'Unknown error')}`);
+    if (!rpcService.isConnected()) {
+      messagePoller.stop();
+      scheduleReconnect();
+    }
+  });
+
+  if (rpcService.isConnected()) {
+    messagePoller.start();
+  } else {
+    console.error('✗ RPC server not available, retrying...');
+    scheduleReconnect();
+  }
+
+  return () => {
+    messagePoller.stop();
+    reconnectPolicy.cancel();
+    rpcService.off('endpoint-changed', onEndpointChanged);
+    rpcService.stopHealthChecks();
+  };
+}
@@ -0,0 +1,210 @@
+/**
+ * `daemon` subcommand: own the wallet and messaging, serve them to local clients
+ * @module cli/daemonCommand
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { MessageStore } from '../messaging/MessageStore.js';
+import { MessagePoller } from '../messaging/MessagePoller.js';
+import { MessageSender } from '../messaging/MessageSender.js';
+import { RecipientDirectory } from '../messaging/RecipientDirectory.js';
+import { DaemonServer, JsonRpcError, JSON_RPC_ERRORS } from '../daemon/DaemonServer.js';
+import { EXIT_CODES, HASH } from '../constants.js';
+import { CliError, DaemonError } from '../errors.js';
+import { MESSAGE_TYPES, normalizeMessageType } from '../domain/messageTypes.js';
+import { toMessageRecord } from '../domain/messageRecord.js';
+import { isValidReaction } from '../domain/envelope.js';
+import { ReconnectPolicy } from '../services/ReconnectPolicy.js';
+import { isProcessAlive } from '../utils.js';
+import { bootstrap, createHistory, startSupervisedPolling } from './bootstrap.js';
+
+/**
+ * Resolve the listen endpoint from command options
+ * @param {Object} options - Parsed options
+ * @returns {{socketPath: (string|null), port: (number|undefined)}} Endpoint; a null
+ *   socketPath means the default socket next to the configuration file
+ * @throws {CliError} If the options are invalid
+ */
+function resolveEndpoint(options) {
+  if (options.socket && options.port) {
+    throw new CliError('Use either --socket or --port, not both');
+  }
+  if (options.port) {
+    const port = Number(options.port);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+      throw new CliError(`Invalid port: ${options.port}`);
+    }
+    return { socketPath: null, port };
+  }
+  return { socketPath: options.socket || null };
+}
+
+/**
+ * Refuse to start while another daemon serves the same profile
+ * An info file left by a daemon that is gone is replaced later.
+ * @param {string} infoPath - Daemon info file path
+ * @throws {DaemonError} If the daemon named in the info file is still running
+ */
+function ensureNoRunningDaemon(infoPath) {
+  let info;
+  try {
+    info = JSON.parse(fs.readFileSync(infoPath, 'utf8'));
+  } catch (error) {
+    return;
+  }
+  if (info && info.pid !== process.pid && isProcessAlive(info.pid)) {
+    throw new DaemonError(`A daemon (pid ${info.pid}) is already running for this profile; use --attach to connect to it`);
+  }
+}
+
+/**
+ * Build the daemon method handlers
+ * @param {Object} context - Daemon components
+ * @returns {Object<string, Function>} Method handlers
+ */
+function createMethods({ config, walletManager, messageStore, messagePoller, messageSender, getStatus }) {
+  return {
+    status: async () => getStatus(),
+
+    send: async ({ message, to = null, replyTo = null }) => {
+      if (typeof message !== 'string' || !message.trim()) {
+        throw new JsonRpcError(JSON_RPC_ERRORS.INVALID_PARAMS, 'message must be a non-empty string');
+      }
+      if (replyTo !== null && (typeof replyTo.hash !== 'string' || typeof replyTo.quote !== 'string')) {
+        throw new JsonRpcError(JSON_RPC_ERRORS.INVALID_PARAMS, 'replyTo must be an object with hash and quote');
+      }
+      const result = await messageSender.send(message, to || null, { replyTo });
+      if (result.messageType === MESSAGE_TYPES.PRIVATE && result.messageHash && result.recipientAddress) {
+        messageStore.registerOutgoingPrivateMessage(result.messageHash, result.recipientAddress);
+      }
+      // Poll faster for a while so subscribers see the message
+      messagePoller.notifyActivity();
+      return result;
+    },
+
+    react: async ({ target, reaction, to = null, remove = false }) => {
+      if (typeof target !== 'string' || !HASH.PATTERN.test(target)) {
+        throw new JsonRpcError(JSON_RPC_ERRORS.INVALID_PARAMS, 'target must be a message hash');
+      }
+      if (!isValidReaction(reaction)) {
+        throw new JsonRpcError(JSON_RPC_ERRORS.INVALID_PARAMS, 'reaction must be an emoji or short tag');
+      }
+      const result = await messageSender.react(target, reaction, to || null, { remove: remove === true });
+      if (result.messageType === MESSAGE_TYPES.PRIVATE && result.messageHash && result.recipientAddress) {
+        messageStore.registerOutgoingPrivateMessage(result.messageHash, result.recipientAddress);
+      }
+      messagePoller.notifyActivity();
+      return result;
+    },
+
+    history: async ({ since = 0, limit = 0, peer = null, group = false }) => {
+      let messages = messageStore.getMessages().filter((msg) => msg.timestamp >= since);
+      if (peer) {
+        messages = messages.filter((msg) => msg.peerAddress === peer);
+      } else if (group) {
+        messages = messages.filter(
+          (msg) => normalizeMessageType(msg.messageType) === MESSAGE_TYPES.GROUP
+        );
+      }
+      if (limit > 0) {
+        messages = messages.slice(-limit);
+      }
+      return messages.map(toMessageRecord);
+    },
+
+    recipients: async () => ({
+      address: walletManager.getAddress(),
+      token: config.token,
+      addresses: await messageSender.getPrivateRecipientAddresses()
+    })
+  };
+}
+
+/**
+ * Run the daemon until SIGINT, SIGTERM or SIGHUP
+ * @param {Object} options - Parsed options
+ * @param {string} [options.socket] - Unix socket path
+ * @param {string} [options.port] - Localhost TCP port instead of a socket
+ * @returns {Promise<number>} Process exit code
+ */
+export async function runDaemonCommand(options) {
+  const endpoint = resolveEndpoint(options);
+  const { configManager, config, neuraiDepinMsg, walletManager, rpcService } = await bootstrap(options);
+  if (!endpoint.port && !endpoint.socketPath) {
+    endpoint.socketPath = configManager.getDaemonSocketPath();
+  }
+
+  const recipientDirectory = new RecipientDirectory(config, rpcService, neuraiDepinMsg);
+  const messageStore = new MessageStore({
+    history: createHistory(configManager),
+    retention: config.retention
+  });
+  messageStore.load();
+  const messagePoller = new MessagePoller(
+    config, rpcService, messageStore, neuraiDepinMsg, walletManager, recipientDirectory
+  );
+  const messageSender = new MessageSender(
+    config, walletManager, rpcService, neuraiDepinMsg, recipientDirectory
+  );
+
+  let lastPoll = null;
+  let poolInfo = null;
+  const getStatus = () => ({
+    token: config.token,
+    address: walletManager.getAddress(),
+    rpcUrl: rpcService.getActiveEndpoint().url,
+    rpcEndpoint: rpcService.getActiveEndpoint(),
+    rpcEndpoints: rpcService.getEndpointStatus(),
+    timezone: config.timezone,
+    connected: rpcService.isConnected(),
+    lastPoll,
+    poolInfo,
+    messages: messageStore.getCount()
+  });
+
+  const authToken = DaemonServer.generateToken();
+  const server = new DaemonServer({
+    methods: createMethods({ config, walletManager, messageStore, messagePoller, messageSender, getStatus }),
+    authToken,
+    onSubscribe: () => [{ event: 'status', data: getStatus() }]
+  });
+
+  messagePoller.on('message', (msg) => server.publish('message', toMessageRecord(msg)));
+  messagePoller.on('poll-complete', (status) => {
+    lastPoll = status.date.toISOString();
+    poolInfo = status.poolInfo || poolInfo;
+    server.publish('status', getStatus());
+  });
+  messagePoller.on('error', () => server.publish('status', getStatus()));
+  rpcService.on('endpoint-changed', () => server.publish('status', getStatus()));
+
+  const infoPath = configManager.getDaemonInfoPath();
+  ensureNoRunningDaemon(infoPath);
+  fs.mkdirSync(path.dirname(infoPath), { recursive: true, mode: 0o700 });
+  const bound = await server.listen(endpoint);
+  fs.rmSync(infoPath, { force: true });
+  fs.writeFileSync(infoPath, JSON.stringify({ ...bound, token: authToken, pid: process.pid }), { mode: 0o600 });
+
+  const stopPolling = startSupervisedPolling(messagePoller, rpcService, new ReconnectPolicy(config.reconnect));
+  console.error(`✓ Daemon listening on ${bound.socketPath || `http://${bound.host}:${bound.port}`}`);
+  console.error(`  Clients authenticate with the token in ${infoPath}`);
+
+  return new Promise((resolve, reject) => {
+    // A failed final save is reported by runCommand instead of escaping the signal handler
+    const shutdown = async () => {
+      stopPolling();
+      try {
+        await server.close();
+        fs.rmSync(infoPath, { force: true });
+        messageStore.flush();
+        resolve(EXIT_CODES.SUCCESS);
+      } catch (error) {
+        reject(error);
+      }
+    };
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
+    process.once('SIGHUP', shutdown);
+  });
+}
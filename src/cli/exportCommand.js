@@ -0,0 +1,67 @@
+/**
+ * `export` subcommand: write stored conversations to a file or stdout
+ * @module cli/exportCommand
+ */
+
+import { MessageStore } from '../messaging/MessageStore.js';
+import { MessageExporter, normalizeExportFormat } from '../messaging/MessageExporter.js';
+import { EXPORT, EXIT_CODES } from '../constants.js';
+import { CliError } from '../errors.js';
+import { bootstrap, createHistory } from './bootstrap.js';
+
+/**
+ * Build the export scope from command options
+ * @param {Object} options - Parsed options
+ * @returns {{type: string, peerAddress: (string|undefined)}} Export scope
+ * @throws {CliError} If both --group and --peer are given
+ */
+function resolveScope(options) {
+  if (options.group && options.peer) {
+    throw new CliError('Use either --group or --peer, not both');
+  }
+  if (options.peer) {
+    return { type: EXPORT.SCOPES.PEER, peerAddress: options.peer };
+  }
+  if (options.group) {
+    return { type: EXPORT.SCOPES.GROUP };
+  }
+  return { type: EXPORT.SCOPES.ALL };
+}
+
+/**
+ * Run the export subcommand
+ * Progress and prompts go to stderr so stdout only carries the export.
+ * @param {Object} options - Parsed options
+ * @returns {Promise<number>} Process exit code
+ */
+export async function runExportCommand(options) {
+  const format = normalizeExportFormat(options.format || EXPORT.FORMATS.JSON);
+  if (!format) {
+    throw new CliError(`Unknown export format: ${options.format}`);
+  }
+  const scope = resolveScope(options);
+
+  const { configManager, config, walletManager } = await bootstrap(options, { library: false, rpc: false });
+
+  const messageStore = new MessageStore({
+    history: createHistory(configManager),
+    retention: config.retention
+  });
+  messageStore.load();
+
+  const exporter = new MessageExporter({
+    token: config.token,
+    address: walletManager.getAddress()
+  });
+  const messages = exporter.select(messageStore.getMessages(), scope);
+  const content = exporter.format(messages, format, scope);
+
+  if (options.output) {
+    const written = exporter.writeFile(options.output, content);
+    console.error(`✓ Exported ${messages.length} messages to ${written}`);
+  } else {
+    process.stdout.write(content);
+  }
+
+  return EXIT_CODES.SUCCESS;
+}
@@ -0,0 +1,72 @@
+/**
+ * `listen` subcommand: stream decrypted messages as NDJSON on stdout
+ * @module cli/listenCommand
+ */
+
+import { MessageStore } from '../messaging/MessageStore.js';
+import { MessagePoller } from '../messaging/MessagePoller.js';
+import { EXIT_CODES } from '../constants.js';
+import { toMessageRecord } from '../domain/messageRecord.js';
+import { ReconnectPolicy } from '../services/ReconnectPolicy.js';
+import { bootstrap, createHistory, startSupervisedPolling } from './bootstrap.js';
+
+/**
+ * Run the listen subcommand until SIGINT/SIGTERM or stdout closes
+ * Diagnostics go to stderr; stdout only carries one JSON object per line.
+ * @param {Object} options - Parsed options
+ * @param {boolean} [options.history] - Print stored messages before streaming
+ * @returns {Promise<number>} Process exit code
+ */
+export async function runListenCommand(options) {
+  const { configManager, config, neuraiDepinMsg, walletManager, rpcService } = await bootstrap(options);
+
+  const messageStore = new MessageStore({
+    history: createHistory(configManager),
+    retention: config.retention
+  });
+  messageStore.load();
+
+  const messagePoller = new MessagePoller(config, rpcService, messageStore, neuraiDepinMsg, walletManager);
+  let stopPolling = () => {};
+  let finish = null;
+  let fail = null;
+  const done = new Promise((resolve, reject) => {
+    finish = resolve;
+    fail = reject;
+  });
+
+  const writeRecord = (msg) => {
+    process.stdout.write(`${JSON.stringify(toMessageRecord(msg))}\n`);
+  };
+
+  // A failed final save is reported by runCommand instead of escaping the signal handler
+  const shutdown = () => {
+    stopPolling();
+    try {
+      messageStore.flush();
+      finish(EXIT_CODES.SUCCESS);
+    } catch (error) {
+      fail(error);
+    }
+  };
+
+  messagePoller.on('message', writeRecord);
+
+  // A closed pipe (e.g. `| head`) ends the stream cleanly
+  process.stdout.on('error', (error) => {
+    if (error.code === 'EPIPE') {
+      shutdown();
+    }
+  });
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
+
+  if (options.history) {
+    messageStore.getMessages().forEach(writeRecord);
+  }
+
+  console.error(`✓ Listening for ${config.token} messages (Ctrl+C to stop)`);
+  stopPolling = startSupervisedPolling(messagePoller, rpcService, new ReconnectPolicy(config.reconnect));
+
+  return done;
+}
@@ -0,0 +1,159 @@
+/**
+ * Command line parsing for Neurai DePIN Terminal
+ * @module cli/parseCli
+ */
+
+import { parseArgs } from 'node:util';
+import { CliError } from '../errors.js';
+
+export const CLI_COMMANDS = {
+  TERMINAL: 'terminal',
+  SEND: 'send',
+  LISTEN: 'listen',
+  DAEMON: 'daemon',
+  EXPORT: 'export',
+  PROFILE: 'profile'
+};
+
+const GLOBAL_OPTIONS = {
+  help: { type: 'boolean', short: 'h' },
+  config: { type: 'string', short: 'c' },
+  profile: { type: 'string', short: 'p' },
+  'rpc-url': { type: 'string' },
+  'rpc-username': { type: 'string' },
+  token: { type: 'string' },
+  tokens: { type: 'string' },
+  'poll-interval': { type: 'string' },
+  timezone: { type: 'string' },
+  retention: { type: 'string' },
+  'password-file': { type: 'string' },
+  'password-fd': { type: 'string' }
+};
+
+const COMMAND_OPTIONS = {
+  [CLI_COMMANDS.TERMINAL]: {
+    attach: { type: 'boolean' }
+  },
+  [CLI_COMMANDS.SEND]: {
+    to: { type: 'string', short: 't' },
+    json: { type: 'boolean' }
+  },
+  [CLI_COMMANDS.LISTEN]: {
+    history: { type: 'boolean' }
+  },
+  [CLI_COMMANDS.DAEMON]: {
+    socket: { type: 'string' },
+    port: { type: 'string' }
+  },
+  [CLI_COMMANDS.EXPORT]: {
+    format: { type: 'string', short: 'f' },
+    output: { type: 'string', short: 'o' },
+    peer: { type: 'string' },
+    group: { type: 'boolean' }
+  },
+  [CLI_COMMANDS.PROFILE]: {
+    yes: { type: 'boolean', short: 'y' }
+  }
+};
+
+const COMMANDS_WITH_POSITIONALS = [CLI_COMMANDS.SEND, CLI_COMMANDS.PROFILE];
+
+export const USAGE = `Usage:
+  neurai-depin-terminal [--attach]      Start the terminal interface
+  neurai-depin-terminal send [options] <text|->
+                                        Send one message and exit
+  neurai-depin-terminal listen [options]
+                                        Stream decrypted messages as NDJSON
+  neurai-depin-terminal daemon [options]
+                                        Serve send/history/recipients/events to local clients
+  neurai-depin-terminal export [options]
+                                        Export stored conversations
+  neurai-depin-terminal profile [list|add <name>|rename <old> <new>|delete <name>]
+                                        Manage named profiles
+
+Send options:
+  -t, --to <address>                    Send a private message instead of a group message
+      --json                            Print the full result as JSON instead of the hash
+  Use "-" as text to read the message from stdin.
+  Exit codes: 0 sent, 2 usage, 3 config/password, 4 RPC unavailable, 5 send failed.
+
+Listen options:
+      --history                         Print stored messages before new ones
+  Each line is a JSON object with sender, timestamp, hash, messageType,
+  peerAddress and message.
+
+Terminal options:
+      --attach                          Use a running daemon instead of unlocking the key
+
+Daemon options:
+      --socket <path>                   Unix socket path (default: daemon.sock next to config.json)
+      --port <port>                     Listen on 127.0.0.1:<port> instead of a Unix socket
+
+Export options:
+  -f, --format <json|csv|md|txt>        Output format (default: json)
+  -o, --output <file>                   Write to file instead of stdout
+      --group                           Only group messages
+      --peer <address>                  Only the private conversation with address
+
+Profile options:
+  -y, --yes                             Delete without asking for confirmation
+  "add" runs the configuration wizard for the new profile.
+
+Global options:
+  -p, --profile <name>                  Use a named profile (default: "default")
+  -c, --config <file>                   Use a configuration file outside the profiles
+      --rpc-url <url>                   Override rpc_url
+      --rpc-username <user>             Override rpc_username
+      --token <name>                    Override the DePIN token
+      --tokens <a,b,...>                Override the additional tokens watched by the terminal
+      --poll-interval <ms>              Override pollInterval
+      --timezone <offset|UTC>           Override timezone
+      --retention <forever|pool|days>   Override the local history retention
+      --password-file <file>            Read the key password from the first line of file
+      --password-fd <n>                 Read the key password from file descriptor n
+  -h, --help                            Show this help
+
+Environment:
+  DEPIN_PROFILE, DEPIN_CONFIG, DEPIN_RPC_URL, DEPIN_RPC_USERNAME, DEPIN_RPC_PASSWORD, DEPIN_TOKEN,
+  DEPIN_TOKENS, DEPIN_POLL_INTERVAL, DEPIN_TIMEZONE, DEPIN_RETENTION, DEPIN_PRIVATE_KEY (encrypted, as in
+  config.json), DEPIN_PASSWORD, DEPIN_PASSWORD_FILE, DEPIN_PASSWORD_FD
+  Flags take precedence over environment variables, which take precedence over the file.
+  Profiles live in $DEPIN_CONFIG_HOME/profiles, by default
+  $XDG_CONFIG_HOME/neurai-depin-terminal/profiles (~/.config/... when unset).
+  An existing ./config.json is still used when no profile or config file is given.`;
+
+/**
+ * Parse process arguments into a command and its options
+ * @param {Array<string>} argv - Arguments without node and script path
+ * @returns {{command: string, options: Object, positionals: Array<string>}} Parsed command line
+ * @throws {CliError} If the arguments are invalid
+ */
+export function parseCli(argv) {
+  const [first, ...rest] = argv;
+  const isCommand = Boolean(first) && !first.startsWith('-')
+    && Object.prototype.hasOwnProperty.call(COMMAND_OPTIONS, first);
+  const command = isCommand ? first : CLI_COMMANDS.TERMINAL;
+  const args = isCommand ? rest : argv;
+
+  try {
+    const { values, positionals } = parseArgs({
+      args,
+      options: { ...GLOBAL_OPTIONS, ...COMMAND_OPTIONS[command] },
+      allowPositionals: true,
+      strict: true
+    });
+    if (command === CLI_COMMANDS.TERMINAL && positionals.length > 0) {
+      throw new CliError(`Unknown command: ${positionals[0]}`);
+    }
+    if (!COMMANDS_WITH_POSITIONALS.includes(command) && positionals.length > 0) {
+      throw new CliError(`Unexpected argument: ${positionals[0]}`);
+    }
+
+    return { command, options: { ...values }, positionals };
+  } catch (error) {
+    if (error instanceof CliError) {
+      throw error;
+    }
+    throw new CliError(error.message);
+  }
+}
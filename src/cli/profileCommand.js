@@ -0,0 +1,125 @@
+/**
+ * `profile` subcommand: add, list, rename and delete named profiles
+ * @module cli/profileCommand
+ */
+
+import readline from 'readline';
+import { ConfigManager } from '../config/ConfigManager.js';
+import { ProfileManager } from '../config/ProfileManager.js';
+import { resolveConfigPath } from '../config/configSources.js';
+import { EXIT_CODES } from '../constants.js';
+import { CliError, ConfigError } from '../errors.js';
+
+const PROFILE_ACTIONS = ['list', 'add', 'rename', 'delete'];
+
+/**
+ * Ask a yes/no question on the terminal
+ * @param {string} question - Prompt text
+ * @returns {Promise<boolean>} True if the answer starts with "y"
+ */
+async function confirm(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+  const answer = await new Promise((resolve) => rl.question(question, resolve));
+  rl.close();
+  return /^y/i.test(answer.trim());
+}
+
+/**
+ * Require an exact number of action arguments
+ * @param {Array<string>} args - Action arguments
+ * @param {number} count - Expected count
+ * @param {string} usage - Usage shown on error
+ * @throws {CliError} If the count differs
+ */
+function expectArgs(args, count, usage) {
+  if (args.length !== count) {
+    throw new CliError(`Usage: neurai-depin-terminal profile ${usage}`);
+  }
+}
+
+/**
+ * Print profiles, marking the one other commands would use
+ * @param {ProfileManager} profiles - Profile manager
+ * @param {string} active - Active profile name
+ */
+function listProfiles(profiles, active) {
+  const entries = profiles.list();
+  if (entries.length === 0) {
+    console.error(`No profiles in ${profiles.profilesDir}`);
+    return;
+  }
+
+  const width = Math.max(...entries.map((entry) => entry.name.length));
+  entries.forEach((entry) => {
+    const marker = entry.name === active ? '*' : ' ';
+    const details = [entry.token || '?', entry.rpcUrl || '?'].join('  ');
+    process.stdout.write(`${marker} ${entry.name.padEnd(width)}  ${details}\n`);
+  });
+}
+
+/**
+ * Run the profile subcommand
+ * @param {Object} options - Parsed options
+ * @param {boolean} [options.yes] - Delete without confirmation
+ * @param {Array<string>} positionals - Action followed by its arguments
+ * @returns {Promise<number>} Process exit code
+ */
+export async function runProfileCommand(options, positionals) {
+  const [action = 'list', ...args] = positionals;
+  const profiles = new ProfileManager();
+  const { profile: active } = resolveConfigPath(options);
+
+  switch (action) {
+    case 'list':
+      expectArgs(args, 0, 'list');
+      listProfiles(profiles, active);
+      break;
+
+    case 'add': {
+      expectArgs(args, 1, 'add <name>');
+      const [name] = args;
+      if (profiles.exists(name)) {
+        throw new ConfigError(`Profile "${name}" already exists`);
+      }
+      if (!process.stdin.isTTY) {
+        throw new ConfigError('Adding a profile runs the configuration wizard and needs a terminal');
+      }
+      const configManager = new ConfigManager({ configPath: profiles.getConfigPath(name), profile: name });
+      await configManager.runWizard();
+      console.error(`✓ Profile "${name}" created. Use it with --profile ${name}`);
+      break;
+    }
+
+    case 'rename':
+      expectArgs(args, 2, 'rename <old> <new>');
+      profiles.rename(args[0], args[1]);
+      console.error(`✓ Profile "${args[0]}" renamed to "${args[1]}"`);
+      break;
+
+    case 'delete': {
+      expectArgs(args, 1, 'delete <name> [--yes]');
+      const [name] = args;
+      if (!profiles.exists(name)) {
+        throw new ConfigError(`Profile "${name}" does not exist`);
+      }
+      if (!options.yes) {
+        if (!process.stdin.isTTY) {
+          throw new CliError('Pass --yes to delete a profile without a terminal');
+        }
+        const confirmed = await confirm(`Delete profile "${name}" including its key and message history? [y/N] `);
+        if (!confirmed) {
+          console.error('Cancelled');
+          return EXIT_CODES.ERROR;
+        }
+      }
+      profiles.delete(name);
+      console.error(`✓ Profile "${name}" deleted`);
+      break;
+    }
+
+    default:
+      throw new CliError(`Unknown profile action: ${action} (use ${PROFILE_ACTIONS.join(', ')})`);
+  }
+
+  return EXIT_CODES.SUCCESS;
+}
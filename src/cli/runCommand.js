@@ -0,0 +1,69 @@
+/**
+ * Subcommand runner with exit code mapping
+ * @module cli/runCommand
+ */
+
+import { EXIT_CODES } from '../constants.js';
+import {
+  CliError,
+  ConfigError,
+  PasswordError,
+  EncryptionError,
+  WalletError,
+  RpcError,
+  MessageError,
+  extractErrorMessage,
+  isKnownError,
+  isDebugMode
+} from '../errors.js';
+import { USAGE } from './parseCli.js';
+
+/**
+ * Map an error to a process exit code
+ * @param {Error} error - Error thrown by a subcommand
+ * @returns {number} Exit code
+ */
+export function exitCodeForError(error) {
+  if (error instanceof CliError) {
+    return EXIT_CODES.USAGE;
+  }
+  if (
+    error instanceof ConfigError ||
+    error instanceof PasswordError ||
+    error instanceof EncryptionError ||
+    error instanceof WalletError
+  ) {
+    return EXIT_CODES.CONFIG;
+  }
+  if (error instanceof RpcError) {
+    return EXIT_CODES.RPC_UNAVAILABLE;
+  }
+  if (error instanceof MessageError) {
+    return EXIT_CODES.SEND_FAILED;
+  }
+  return EXIT_CODES.ERROR;
+}
+
+/**
+ * Run a non-interactive subcommand and exit with its code
+ * @param {Function} handler - Async function resolving to an exit code
+ * @returns {Promise<void>}
+ */
+export async function runCommand(handler) {
+  try {
+    const exitCode = await handler();
+    process.exit(exitCode);
+  } catch (error) {
+    const errorMsg = extractErrorMessage(error, 'Unknown error');
+    console.error(`✗ Error: ${errorMsg}`);
+
+    if (error instanceof CliError) {
+      console.error(`\n${USAGE}`);
+    } else if ((!isKnownError(error) || isDebugMode()) && error.stack) {
+      console.error('\nStack trace:');
+      console.error(error.stack);
+    }
+
+    process.exit(exitCodeForError(error));
+  }
+}
@@ -0,0 +1,56 @@
+/**
+ * `send` subcommand: deliver one group or private message and exit
+ * @module cli/sendCommand
+ */
+
+import { MessageSender } from '../messaging/MessageSender.js';
+import { EXIT_CODES, ERROR_MESSAGES, HASH } from '../constants.js';
+import { CliError, RpcError } from '../errors.js';
+import { MESSAGE_TYPES } from '../domain/messageTypes.js';
+import { readStream } from '../utils.js';
+import { bootstrap } from './bootstrap.js';
+
+/**
+ * Run the send subcommand
+ * Prints the resulting hash (or the full result with --json) on stdout.
+ * @param {Object} options - Parsed options
+ * @param {string} [options.to] - Recipient address for a private message
+ * @param {boolean} [options.json] - Print the send result as JSON
+ * @param {Array<string>} positionals - Message words ("-" reads stdin)
+ * @returns {Promise<number>} Process exit code
+ */
+export async function runSendCommand(options, positionals) {
+  let text = positionals.join(' ');
+  if (text === '-') {
+    text = await readStream(process.stdin);
+  }
+  text = text.trim();
+
+  if (!text) {
+    throw new CliError('Message text is required');
+  }
+
+  const { config, neuraiDepinMsg, walletManager, rpcService } = await bootstrap(options);
+
+  if (!rpcService.isConnected()) {
+    throw new RpcError(ERROR_MESSAGES.RPC_UNAVAILABLE);
+  }
+
+  const messageSender = new MessageSender(config, walletManager, rpcService, neuraiDepinMsg);
+  const result = await messageSender.send(text, options.to || null);
+
+  if (options.json) {
+    process.stdout.write(`${JSON.stringify(result)}\n`);
+  } else {
+    process.stdout.write(`${result.hash}\n`);
+  }
+
+  const hashPreview = result.hash ? `${result.hash.slice(0, HASH.DISPLAY_LENGTH)}...` : 'N/A';
+  if (result.messageType === MESSAGE_TYPES.PRIVATE) {
+    console.error(`✓ Private message sent to ${result.recipientAddress}. Hash: ${hashPreview}`);
+  } else {
+    console.error(`✓ Message sent to ${result.recipients} recipients. Hash: ${hashPreview}`);
+  }
+
+  return EXIT_CODES.SUCCESS;
+}
@@ -11,14 +11,28 @@ import crypto from 'crypto';
 import {
   CONFIG,
   ENCRYPTION,
+  HISTORY,
+  OUTBOX,
+  DAEMON,
   PASSWORD,
   NETWORK,
   POLLING,
+  RETENTION,
   ERROR_MESSAGES,
   SUCCESS_MESSAGES
 } from '../constants.js';
 import { ConfigError, PasswordError, EncryptionError } from '../errors.js';
-import { readPassword, validatePassword, isValidUrl, isValidTimezone, drainInput } from '../utils.js';
+import {
+  readPassword,
+  validatePassword,
+  isValidUrl,
+  isValidTimezone,
+  parseRetention,
+  drainInput,
+  deriveKey,
+  encryptWithKey,
+  decryptWithKey
+} from '../utils.js';
 
 /**
  * Manages application configuration with encrypted private key storage
@@ -26,10 +40,21 @@ import { readPassword, validatePassword, isValidUrl, isValidTimezone, drainInput
 export class ConfigManager {
   /**
    * Create a new ConfigManager instance
+   * @param {Object} [options] - Non-interactive options (see resolveConfigOptions)
+   * @param {string|null} [options.configPath] - Config file path, defaults to ./config.json
+   * @param {string|null} [options.profile] - Profile name the config path belongs to
+   * @param {Object} [options.overrides] - Values that replace those in the config file
+   * @param {string|null} [options.password] - Decryption password; prompts when null
    */
-  constructor() {
-    this.configPath = path.join(process.cwd(), CONFIG.FILE_NAME);
+  constructor({ configPath = null, profile = null, overrides = {}, password = null } = {}) {
+    this.configPath = configPath
+      ? path.resolve(configPath)
+      : path.join(process.cwd(), CONFIG.FILE_NAME);
+    this.profile = profile;
+    this.overrides = overrides;
+    this.password = password;
     this.config = null;
+    this.storageKey = null;
   }
 
   /**
@@ -42,30 +67,8 @@ export class ConfigManager {
   async encryptPrivateKey(privateKey, password) {
     try {
       const salt = crypto.randomBytes(ENCRYPTION.SALT_LENGTH);
-      const key = await new Promise((resolve, reject) => {
-        crypto.scrypt(
-          password,
-          salt,
-          ENCRYPTION.KEY_LENGTH,
-          {
-            N: ENCRYPTION.SCRYPT_COST,
-            r: ENCRYPTION.SCRYPT_BLOCK_SIZE,
-            p: ENCRYPTION.SCRYPT_PARALLELIZATION
-          },
-          (err, derivedKey) => {
-            if (err) reject(err);
-            else resolve(derivedKey);
-          }
-        );
-      });
-      const iv = crypto.randomBytes(ENCRYPTION.IV_LENGTH);
-      const cipher = crypto.createCipheriv(ENCRYPTION.ALGORITHM, key, iv);
-
-      let encrypted = cipher.update(privateKey, 'utf8', 'hex');
-      encrypted += cipher.final('hex');
-      const authTag = cipher.getAuthTag();
-
-      return `${salt.toString('hex')}:${iv.toString('hex')}:${authTag.toString('hex')}:${encrypted}`;
+      const key = await deriveKey(password, salt);
+      return `${salt.toString('hex')}:${encryptWithKey(privateKey, key)}`;
     } catch (error) {
       throw new EncryptionError(`Failed to encrypt private key: ${error.message}`);
     }
@@ -73,6 +76,7 @@ export class ConfigManager {
 
   /**
    * Decrypt private key using AES-256-GCM
+   * On success the derived key is kept as the local storage key
    * @param {string} encryptedData - Encrypted data in format: salt:iv:authTag:encrypted
    * @param {string} password - Password for decryption
    * @returns {Promise<string>} Decrypted private key in WIF format
@@ -86,32 +90,10 @@ export class ConfigManager {
       }
 
       const salt = Buffer.from(parts[0], 'hex');
-      const iv = Buffer.from(parts[1], 'hex');
-      const authTag = Buffer.from(parts[2], 'hex');
-      const encrypted = parts[3];
-
-      const key = await new Promise((resolve, reject) => {
-        crypto.scrypt(
-          password,
-          salt,
-          ENCRYPTION.KEY_LENGTH,
-          {
-            N: ENCRYPTION.SCRYPT_COST,
-            r: ENCRYPTION.SCRYPT_BLOCK_SIZE,
-            p: ENCRYPTION.SCRYPT_PARALLELIZATION
-          },
-          (err, derivedKey) => {
-            if (err) reject(err);
-            else resolve(derivedKey);
-          }
-        );
-      });
-      const decipher = crypto.createDecipheriv(ENCRYPTION.ALGORITHM, key, iv);
-      decipher.setAuthTag(authTag);
-
-      let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-      decrypted += decipher.final('utf8');
+      const key = await deriveKey(password, salt);
+      const decrypted = decryptWithKey(parts.slice(1).join(':'), key);
 
+      this.storageKey = key;
       return decrypted;
     } catch (error) {
       if (error instanceof EncryptionError) {
@@ -129,6 +111,10 @@ export class ConfigManager {
    */
   async promptForDecryption(maxAttempts = PASSWORD.MAX_ATTEMPTS) {
     console.log('\n🔐 Your private key is encrypted.');
+    if (!process.stdin.isTTY) {
+      throw new PasswordError(ERROR_MESSAGES.PASSWORD_REQUIRES_TTY);
+    }
+
     let decrypted = false;
     let attempts = 0;
     let privateKey = null;
@@ -195,26 +181,70 @@ export class ConfigManager {
     });
   }
 
+  /**
+   * Decrypt the private key with the password given on construction
+   * No retries: a wrong non-interactive password fails immediately.
+   * @returns {Promise<string>} Decrypted private key
+   * @throws {PasswordError} If the password is wrong or the key is malformed
+   */
+  async decryptWithProvidedPassword() {
+    try {
+      return await this.decryptPrivateKey(this.config.privateKey, this.password);
+    } catch (error) {
+      throw new PasswordError(error.message);
+    } finally {
+      this.password = null;
+    }
+  }
+
+  /**
+   * Check whether overrides alone provide a usable configuration
+   * @returns {boolean} True if rpc_url, token and privateKey are overridden
+   */
+  hasCompleteOverrides() {
+    return ['rpc_url', 'token', 'privateKey'].every((key) => Boolean(this.overrides[key]));
+  }
+
   /**
    * Load configuration from file or run wizard if not found
+   * Flag and environment overrides are applied on top of the file.
    * @returns {Promise<Object>} Configuration object
    * @throws {ConfigError} If config is invalid
    */
   async load() {
-    if (!fs.existsSync(this.configPath)) {
-      console.log('config.json not found. Let\'s create it.');
+    const fileExists = fs.existsSync(this.configPath);
+
+    if (!fileExists && !this.hasCompleteOverrides()) {
+      if (!process.stdin.isTTY) {
+        throw new ConfigError(
+          `${this.configPath} not found. Create it interactively or set DEPIN_RPC_URL, DEPIN_TOKEN and DEPIN_PRIVATE_KEY.`
+        );
+      }
+      console.log(this.profile
+        ? `Profile "${this.profile}" not found. Let's create it.`
+        : `${path.basename(this.configPath)} not found. Let's create it.`);
       await this.runWizard();
     }
 
-    try {
-      const configData = fs.readFileSync(this.configPath, 'utf-8');
-      this.config = JSON.parse(configData);
-    } catch (error) {
-      throw new ConfigError(`Failed to load config: ${error.message}`);
+    let fileConfig = {};
+    if (fs.existsSync(this.configPath)) {
+      try {
+        const configData = fs.readFileSync(this.configPath, 'utf-8');
+        fileConfig = JSON.parse(configData);
+      } catch (error) {
+        throw new ConfigError(`Failed to load config: ${error.message}`);
+      }
+    }
+    this.config = { ...fileConfig, ...this.overrides };
+
+    if (!this.config.privateKey) {
+      throw new ConfigError('privateKey is required in config.json');
     }
 
     // Decrypt private key
-    this.config.privateKey = await this.promptForDecryption();
+    this.config.privateKey = this.password !== null
+      ? await this.decryptWithProvidedPassword()
+      : await this.promptForDecryption();
 
     this.validate();
     return this.config;
@@ -262,6 +292,12 @@ export class ConfigManager {
       }
     }
 
+    // Collect additional tokens (optional)
+    const extraTokens = await this.promptInput(
+      rl,
+      'Additional tokens to watch (comma-separated, optional): '
+    ) || '';
+
     // Collect private key (required)
     let privateKey = '';
     while (!privateKey) {
@@ -294,6 +330,20 @@ export class ConfigManager {
       }
     }
 
+    // Collect local history retention (optional, default forever)
+    let retention = null;
+    while (retention === null) {
+      const input = await this.promptInput(
+        rl,
+        `Local history retention (forever, pool or number of days) [${RETENTION.DEFAULT}]: `
+      );
+
+      retention = parseRetention(input || RETENTION.DEFAULT);
+      if (retention === null) {
+        console.log('Error: Invalid retention. Please use "forever", "pool" or a number of days.');
+      }
+    }
+
     // Close readline before password input (uses raw mode)
     rl.close();
 
@@ -307,21 +357,25 @@ export class ConfigManager {
 
 
     // Build configuration object
+    const tokens = extraTokens.split(',').map((entry) => entry.trim()).filter(Boolean);
     const config = {
       rpc_url,
       rpc_username,
       rpc_password,
       token,
+      ...(tokens.length > 0 ? { tokens } : {}),
       privateKey: encryptedPrivateKey,
       network: NETWORK.DEFAULT,
       pollInterval: parseInt(pollIntervalStr, 10),
-      timezone
+      timezone,
+      retention
     };
 
     // Save to file
     try {
+      fs.mkdirSync(path.dirname(this.configPath), { recursive: true, mode: 0o700 });
       fs.writeFileSync(this.configPath, JSON.stringify(config, null, 2));
-      console.log('Saving configuration to config.json...');
+      console.log(`Saving configuration to ${this.configPath}...`);
       console.log('✓ Configuration saved\n');
     } catch (error) {
       throw new ConfigError(`Failed to save config: ${error.message}`);
@@ -337,22 +391,31 @@ export class ConfigManager {
       throw new ConfigError('Config not loaded');
     }
 
-    if (!this.config.rpc_url) {
-      throw new ConfigError('rpc_url is required in config.json');
-    }
-
-    if (!isValidUrl(this.config.rpc_url)) {
-      throw new ConfigError(ERROR_MESSAGES.INVALID_RPC_URL);
-    }
+    this.validateRpcEndpoints();
 
     if (!this.config.token) {
       throw new ConfigError('token is required in config.json');
     }
 
+    if (this.config.tokens !== undefined && (
+      !Array.isArray(this.config.tokens)
+      || !this.config.tokens.every((token) => typeof token === 'string' && token)
+    )) {
+      throw new ConfigError('tokens must be a list of token names in config.json');
+    }
+
     if (!this.config.privateKey) {
       throw new ConfigError('privateKey is required in config.json');
     }
 
+    this.validateReconnect();
+
+    const retention = parseRetention(this.config.retention ?? RETENTION.DEFAULT);
+    if (retention === null) {
+      throw new ConfigError('retention must be "forever", "pool" or a number of days in config.json');
+    }
+    this.config.retention = retention;
+
     // Force network to xna (mainnet only)
     this.config.network = NETWORK.DEFAULT;
 
@@ -368,6 +431,76 @@ export class ConfigManager {
     }
   }
 
+  /**
+   * Validate and normalize the RPC endpoint list
+   * `rpc_endpoints` is an ordered list of {url, username, password}; without it
+   * `rpc_url` and its credentials form a single endpoint. An rpc_url flag or
+   * environment override replaces the list. Afterwards `rpc_endpoints` is always
+   * set and `rpc_url` is the preferred endpoint.
+   * @throws {ConfigError} If no endpoint is configured or a URL is invalid
+   */
+  validateRpcEndpoints() {
+    let endpoints = this.config.rpc_endpoints;
+    if (this.overrides.rpc_url || endpoints === undefined || (Array.isArray(endpoints) && endpoints.length === 0)) {
+      if (!this.config.rpc_url) {
+        throw new ConfigError('rpc_url is required in config.json');
+      }
+      if (!isValidUrl(this.config.rpc_url)) {
+        throw new ConfigError(ERROR_MESSAGES.INVALID_RPC_URL);
+      }
+      endpoints = [{
+        url: this.config.rpc_url,
+        username: this.config.rpc_username,
+        password: this.config.rpc_password
+      }];
+    }
+
+    if (!Array.isArray(endpoints)) {
+      throw new ConfigError('rpc_endpoints must be a list in config.json');
+    }
+
+    endpoints.forEach((endpoint, index) => {
+      if (!endpoint || !isValidUrl(endpoint.url)) {
+        throw new ConfigError(`${ERROR_MESSAGES.INVALID_RPC_URL} in rpc_endpoints[${index}]`);
+      }
+    });
+
+    this.config.rpc_endpoints = endpoints.map(({ url, username, password }) => ({
+      url,
+      username: username || '',
+      password: password || ''
+    }));
+    this.config.rpc_url = this.config.rpc_endpoints[0].url;
+  }
+
+  /**
+   * Validate the optional reconnection backoff settings
+   * @throws {ConfigError} If a value is out of range
+   */
+  validateReconnect() {
+    const { reconnect } = this.config;
+    if (reconnect === undefined) {
+      return;
+    }
+    if (!reconnect || typeof reconnect !== 'object' || Array.isArray(reconnect)) {
+      throw new ConfigError('reconnect must be an object in config.json');
+    }
+
+    const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+    ['initialDelay', 'maxDelay'].forEach((key) => {
+      if (reconnect[key] !== undefined && !(isNumber(reconnect[key]) && reconnect[key] > 0)) {
+        throw new ConfigError(`reconnect.${key} must be a positive number of milliseconds`);
+      }
+    });
+    if (reconnect.multiplier !== undefined && !(isNumber(reconnect.multiplier) && reconnect.multiplier >= 1)) {
+      throw new ConfigError('reconnect.multiplier must be at least 1');
+    }
+    if (reconnect.jitter !== undefined
+      && !(isNumber(reconnect.jitter) && reconnect.jitter >= 0 && reconnect.jitter <= 1)) {
+      throw new ConfigError('reconnect.jitter must be between 0 and 1');
+    }
+  }
+
   /**
    * Get the loaded configuration
    * @returns {Object} Configuration object
@@ -375,4 +508,60 @@ export class ConfigManager {
   get() {
     return this.config;
   }
+
+  /**
+   * Get every watched token, the primary `token` first, without duplicates
+   * @returns {Array<string>} Token names
+   */
+  getTokens() {
+    return [...new Set([this.config.token, ...(this.config.tokens || [])])];
+  }
+
+  /**
+   * Get the key derived from the user password
+   * Same scrypt/AES-256-GCM key material that protects the private key,
+   * reused to encrypt local data such as message history.
+   * @returns {Buffer|null} Derived key or null if config is not loaded
+   */
+  getStorageKey() {
+    return this.storageKey;
+  }
+
+  /**
+   * Get the local history file path for a token
+   * Stored next to the configuration file.
+   * @param {string} token - DePIN token name
+   * @returns {string} Absolute history file path
+   */
+  getHistoryPath(token) {
+    const safeToken = String(token || '').replace(/[^A-Za-z0-9._-]/g, '_');
+    return path.join(
+      path.dirname(this.configPath),
+      `${HISTORY.FILE_PREFIX}-${safeToken}${HISTORY.FILE_EXTENSION}`
+    );
+  }
+
+  /**
+   * Get the outbox file path (next to the configuration file, shared by all tokens)
+   * @returns {string} Absolute outbox file path
+   */
+  getOutboxPath() {
+    return path.join(path.dirname(this.configPath), OUTBOX.FILE_NAME);
+  }
+
+  /**
+   * Get the default daemon Unix socket path (next to the configuration file)
+   * @returns {string} Absolute socket path
+   */
+  getDaemonSocketPath() {
+    return path.join(path.dirname(this.configPath), DAEMON.SOCKET_FILE_NAME);
+  }
+
+  /**
+   * Get the file where a running daemon publishes its endpoint and token
+   * @returns {string} Absolute info file path
+   */
+  getDaemonInfoPath() {
+    return path.join(path.dirname(this.configPath), DAEMON.INFO_FILE_NAME);
+  }
 }
@@ -0,0 +1,151 @@
+/**
+ * Named configuration profiles for Neurai DePIN Terminal
+ * Each profile is a directory holding its own config.json, history and daemon files.
+ * @module ProfileManager
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { CONFIG, PROFILES, CONFIG_ENV, DAEMON } from '../constants.js';
+import { ConfigError } from '../errors.js';
+
+const PROFILE_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+
+/**
+ * Resolve the XDG-style configuration home
+ * DEPIN_CONFIG_HOME, then $XDG_CONFIG_HOME (or %APPDATA% on Windows), then ~/.config.
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {string} Absolute configuration directory
+ */
+export function resolveConfigHome(env = process.env) {
+  if (env[CONFIG_ENV.CONFIG_HOME]) {
+    return path.resolve(env[CONFIG_ENV.CONFIG_HOME]);
+  }
+  const base = env.XDG_CONFIG_HOME
+    || (process.platform === 'win32' && env.APPDATA)
+    || path.join(os.homedir(), '.config');
+  return path.join(path.resolve(base), PROFILES.APP_DIR_NAME);
+}
+
+/**
+ * Manages profile directories under the configuration home
+ */
+export class ProfileManager {
+  /**
+   * Create a new ProfileManager instance
+   * @param {string} [configHome] - Configuration home, resolved from the environment by default
+   */
+  constructor(configHome = resolveConfigHome()) {
+    this.configHome = configHome;
+    this.profilesDir = path.join(configHome, PROFILES.DIR_NAME);
+  }
+
+  /**
+   * Validate a profile name
+   * @param {string} name - Profile name
+   * @returns {string} The name
+   * @throws {ConfigError} If the name is not allowed
+   */
+  validateName(name) {
+    if (typeof name !== 'string' || !PROFILE_NAME_PATTERN.test(name)) {
+      throw new ConfigError(
+        `Invalid profile name "${name}": use up to 64 letters, digits, ".", "_" or "-"`
+      );
+    }
+    return name;
+  }
+
+  getProfileDir(name) {
+    return path.join(this.profilesDir, this.validateName(name));
+  }
+
+  /**
+   * Get the config file path of a profile (which may not exist yet)
+   * @param {string} name - Profile name
+   * @returns {string} Absolute config.json path
+   */
+  getConfigPath(name) {
+    return path.join(this.getProfileDir(name), CONFIG.FILE_NAME);
+  }
+
+  exists(name) {
+    return fs.existsSync(this.getConfigPath(name));
+  }
+
+  /**
+   * List existing profiles with their non-secret settings
+   * @returns {Array<{name: string, configPath: string, token: (string|null), rpcUrl: (string|null)}>} Profiles sorted by name
+   */
+  list() {
+    if (!fs.existsSync(this.profilesDir)) {
+      return [];
+    }
+
+    return fs.readdirSync(this.profilesDir, { withFileTypes: true })
+      .filter((entry) => entry.isDirectory() && PROFILE_NAME_PATTERN.test(entry.name))
+      .map((entry) => {
+        const configPath = path.join(this.profilesDir, entry.name, CONFIG.FILE_NAME);
+        if (!fs.existsSync(configPath)) {
+          return null;
+        }
+        let config = {};
+        try {
+          config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+        } catch (error) {
+          // Listed without details; loading it reports the problem
+        }
+        return {
+          name: entry.name,
+          configPath,
+          token: config.token || null,
+          rpcUrl: Array.isArray(config.rpc_endpoints) && config.rpc_endpoints.length > 0
+            ? config.rpc_endpoints[0].url
+            : config.rpc_url || null
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Fail if a daemon is running for the profile (its files would move away)
+   * @param {string} name - Profile name
+   * @throws {ConfigError} If the daemon info file exists
+   */
+  assertNoDaemon(name) {
+    if (fs.existsSync(path.join(this.getProfileDir(name), DAEMON.INFO_FILE_NAME))) {
+      throw new ConfigError(`Profile "${name}" has a running daemon; stop it first`);
+    }
+  }
+
+  /**
+   * Rename a profile, keeping its history
+   * @param {string} from - Current name
+   * @param {string} to - New name
+   * @throws {ConfigError} If the source is missing or the target exists
+   */
+  rename(from, to) {
+    if (!this.exists(from)) {
+      throw new ConfigError(`Profile "${from}" does not exist`);
+    }
+    if (fs.existsSync(this.getProfileDir(to))) {
+      throw new ConfigError(`Profile "${to}" already exists`);
+    }
+    this.assertNoDaemon(from);
+    fs.renameSync(this.getProfileDir(from), this.getProfileDir(to));
+  }
+
+  /**
+   * Delete a profile directory including its history
+   * @param {string} name - Profile name
+   * @throws {ConfigError} If the profile does not exist
+   */
+  delete(name) {
+    if (!this.exists(name)) {
+      throw new ConfigError(`Profile "${name}" does not exist`);
+    }
+    this.assertNoDaemon(name);
+    fs.rmSync(this.getProfileDir(name), { recursive: true, force: true });
+  }
+}
@@ -0,0 +1,169 @@
+/**
+ * Non-interactive configuration sources
+ * Resolves command line flags and DEPIN_* environment variables into
+ * ConfigManager options so the client can run without a TTY.
+ * @module config/configSources
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { CONFIG, CONFIG_ENV, PROFILES } from '../constants.js';
+import { CliError, ConfigError } from '../errors.js';
+import { isValidUrl, isValidTimezone, parseRetention } from '../utils.js';
+import { ProfileManager, resolveConfigHome } from './ProfileManager.js';
+
+const parseInterval = (value, source) => {
+  const interval = Number(value);
+  if (!Number.isInteger(interval) || interval <= 0) {
+    throw new ConfigError(`${source} must be a positive number of milliseconds`);
+  }
+  return interval;
+};
+
+const parseUrl = (value, source) => {
+  if (!isValidUrl(value)) {
+    throw new ConfigError(`${source} is not a valid URL`);
+  }
+  return value;
+};
+
+const parseTokenList = (value) => value.split(',').map((token) => token.trim()).filter(Boolean);
+
+const parseTimezone = (value, source) => {
+  if (!isValidTimezone(value)) {
+    throw new ConfigError(`${source} must be a numeric offset (e.g. +1, -5) or UTC`);
+  }
+  return value;
+};
+
+const parseRetentionPolicy = (value, source) => {
+  const retention = parseRetention(value);
+  if (retention === null) {
+    throw new ConfigError(`${source} must be "forever", "pool" or a number of days`);
+  }
+  return retention;
+};
+
+/**
+ * Config keys that can be overridden, with their flag and environment variable
+ * Flags take precedence over environment variables, which take precedence over config.json.
+ */
+export const CONFIG_OVERRIDES = [
+  { key: 'rpc_url', flag: 'rpc-url', env: CONFIG_ENV.RPC_URL, parse: parseUrl },
+  { key: 'rpc_username', flag: 'rpc-username', env: CONFIG_ENV.RPC_USERNAME },
+  { key: 'rpc_password', flag: null, env: CONFIG_ENV.RPC_PASSWORD },
+  { key: 'token', flag: 'token', env: CONFIG_ENV.TOKEN },
+  { key: 'tokens', flag: 'tokens', env: CONFIG_ENV.TOKENS, parse: parseTokenList },
+  { key: 'pollInterval', flag: 'poll-interval', env: CONFIG_ENV.POLL_INTERVAL, parse: parseInterval },
+  { key: 'timezone', flag: 'timezone', env: CONFIG_ENV.TIMEZONE, parse: parseTimezone },
+  { key: 'retention', flag: 'retention', env: CONFIG_ENV.RETENTION, parse: parseRetentionPolicy },
+  { key: 'privateKey', flag: null, env: CONFIG_ENV.PRIVATE_KEY }
+];
+
+/**
+ * Read the first line of a file or file descriptor
+ * @param {string|number} source - File path or descriptor
+ * @param {string} label - Source description for errors
+ * @returns {string} First line without the trailing newline
+ * @throws {ConfigError} If the source cannot be read
+ */
+function readFirstLine(source, label) {
+  try {
+    return fs.readFileSync(source, 'utf-8').split(/\r?\n/)[0];
+  } catch (error) {
+    throw new ConfigError(`Cannot read password from ${label}: ${error.message}`);
+  }
+}
+
+/**
+ * Resolve the decryption password from flags or environment
+ * Order: --password-fd, --password-file, DEPIN_PASSWORD_FD, DEPIN_PASSWORD_FILE, DEPIN_PASSWORD.
+ * @param {Object} options - Parsed command line options
+ * @param {Object} env - Environment variables
+ * @returns {string|null} Password, or null to prompt on the terminal
+ * @throws {ConfigError} If a password source cannot be read
+ */
+function resolvePassword(options, env) {
+  const fd = options['password-fd'] ?? env[CONFIG_ENV.PASSWORD_FD];
+  if (fd !== undefined && fd !== '') {
+    const descriptor = Number(fd);
+    if (!Number.isInteger(descriptor) || descriptor < 0) {
+      throw new ConfigError(`Invalid password file descriptor: ${fd}`);
+    }
+    return readFirstLine(descriptor, `file descriptor ${descriptor}`);
+  }
+
+  const file = options['password-file'] ?? env[CONFIG_ENV.PASSWORD_FILE];
+  if (file) {
+    return readFirstLine(file, file);
+  }
+
+  if (env[CONFIG_ENV.PASSWORD] !== undefined) {
+    const password = env[CONFIG_ENV.PASSWORD];
+    // Keep the password out of the environment of any child process
+    delete env[CONFIG_ENV.PASSWORD];
+    return password;
+  }
+
+  return null;
+}
+
+/**
+ * Resolve which configuration file to use
+ * Order: --config/DEPIN_CONFIG, --profile/DEPIN_PROFILE, ./config.json if it
+ * exists (pre-profile setups), then the default profile.
+ * @param {Object} options - Parsed command line options
+ * @param {Object} env - Environment variables
+ * @returns {{configPath: string, profile: (string|null)}} Config path and profile name
+ * @throws {CliError} If both a config file and a profile are given
+ */
+export function resolveConfigPath(options = {}, env = process.env) {
+  const configFile = options.config || env[CONFIG_ENV.CONFIG];
+  const profile = options.profile || env[CONFIG_ENV.PROFILE];
+
+  if (options.config && options.profile) {
+    throw new CliError('Use either --config or --profile, not both');
+  }
+  if (configFile && !options.profile) {
+    return { configPath: path.resolve(configFile), profile: null };
+  }
+  if (profile) {
+    return { configPath: new ProfileManager(resolveConfigHome(env)).getConfigPath(profile), profile };
+  }
+
+  const legacyPath = path.join(process.cwd(), CONFIG.FILE_NAME);
+  if (fs.existsSync(legacyPath)) {
+    return { configPath: legacyPath, profile: null };
+  }
+  return {
+    configPath: new ProfileManager(resolveConfigHome(env)).getConfigPath(PROFILES.DEFAULT_NAME),
+    profile: PROFILES.DEFAULT_NAME
+  };
+}
+
+/**
+ * Build ConfigManager options from command line options and environment
+ * @param {Object} [options={}] - Parsed command line options
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {{configPath: string, profile: (string|null), overrides: Object, password: (string|null)}} ConfigManager options
+ * @throws {ConfigError} If a value is invalid
+ */
+export function resolveConfigOptions(options = {}, env = process.env) {
+  const overrides = {};
+
+  for (const { key, flag, env: envName, parse } of CONFIG_OVERRIDES) {
+    const fromFlag = flag ? options[flag] : undefined;
+    const value = fromFlag ?? env[envName];
+    if (value === undefined || value === '') {
+      continue;
+    }
+    const source = fromFlag !== undefined ? `--${flag}` : envName;
+    overrides[key] = parse ? parse(value, source) : value;
+  }
+
+  return {
+    ...resolveConfigPath(options, env),
+    overrides,
+    password: resolvePassword(options, env)
+  };
+}
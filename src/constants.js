@@ -31,7 +31,9 @@ export const PASSWORD = {
 export const POLLING = {
   DEFAULT_INTERVAL: 10000, // 10 seconds in milliseconds
   MIN_INTERVAL: 1000,
-  MAX_INTERVAL: 60000
+  MAX_INTERVAL: 60000,
+  BACKOFF_FACTOR: 1.5, // Interval growth after each poll without new messages
+  AWAY_AFTER: 300000 // 5 minutes without input marks the user as away
 };
 
 // RPC Configuration
@@ -39,13 +41,121 @@ export const RPC = {
   ENDPOINT_SUFFIX: '/rpc',
   DEFAULT_URL: 'https://rpc-depin.neurai.org',
   TIMEOUT: 30000,
+  REPROBE_INTERVAL: 60000, // how often a failed-over client checks the preferred endpoints
   DUMMY_MNEMONIC: 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about'
 };
 
 // Message Deduplication
 export const MESSAGE = {
-  SEPARATOR: '|',
-  FORCE_POLL_DELAY: 2000
+  SEPARATOR: '|'
+};
+
+// Reconnection backoff (config.json "reconnect" overrides the first four)
+export const RECONNECT = {
+  INITIAL_DELAY: 2000,
+  MAX_DELAY: 60000,
+  MULTIPLIER: 2,
+  JITTER: 0.2, // +/- fraction of the delay
+  VERIFY_INTERVAL: 30000 // token/pubkey re-check while connected
+};
+
+// Local daemon
+export const DAEMON = {
+  SOCKET_FILE_NAME: 'daemon.sock',
+  INFO_FILE_NAME: 'daemon.json', // endpoint + bearer token for clients, owner-only
+  DEFAULT_HOST: '127.0.0.1',
+  TOKEN_BYTES: 32,
+  MAX_BODY_BYTES: 1024 * 1024,
+  CLIENT_RETRY_MS: 5000
+};
+
+// Local message history
+export const HISTORY = {
+  FILE_PREFIX: 'history',
+  FILE_EXTENSION: '.enc',
+  UNREADABLE_SUFFIX: '.unreadable',
+  LOCK_SUFFIX: '.lock',
+  LOCK_TIMEOUT_MS: 2000,
+  LOCK_RETRY_MS: 20,
+  VERSION: 1,
+  SAVE_DELAY_MS: 2000
+};
+
+// Local history retention (config.json "retention": "forever", "pool" or a number of days)
+export const RETENTION = {
+  FOREVER: 'forever',
+  POOL: 'pool',
+  DEFAULT: 'forever'
+};
+
+// Pool expiry display and warnings
+export const EXPIRY = {
+  WARNING_SECONDS: 3600 // Warn about unread messages expiring within an hour
+};
+
+// Encrypted outbox of unsent messages (one per profile)
+export const OUTBOX = {
+  FILE_NAME: 'outbox.enc',
+  UNREADABLE_SUFFIX: '.unreadable',
+  VERSION: 1
+};
+
+// Structured message envelope inside the encrypted payload
+export const ENVELOPE = {
+  VERSION: 1
+};
+
+// Reply threading
+export const REPLY = {
+  QUOTE_LENGTH: 40 // Characters of the parent message quoted in a reply
+};
+
+// Message reactions
+export const REACTION = {
+  MAX_LENGTH: 16 // An emoji or a short tag, without spaces
+};
+
+// Files sent as a manifest and chunk messages
+export const FILE_TRANSFER = {
+  MAX_SIZE: 32 * 1024, // Bytes; larger files take too many pool messages
+  DEFAULT_MESSAGE_SIZE: 1024, // Plaintext bytes per message when the pool does not report maxmessagesize
+  MAX_NAME_LENGTH: 100,
+  ID_BYTES: 6,
+  STALL_SECONDS: 300, // Report missing parts after this long without progress
+  DROP_SECONDS: 3600 // Forget an incomplete file after this long without progress
+};
+
+// Composing in $VISUAL / $EDITOR
+export const EDITOR = {
+  DEFAULT_COMMAND: 'vi', // When neither VISUAL nor EDITOR is set
+  TEMP_PREFIX: 'depin-compose-',
+  FILE_NAME: 'message.txt'
+};
+
+// Message search
+export const SEARCH = {
+  MAX_RESULTS: 500
+};
+
+// Conversation export
+export const EXPORT = {
+  FORMATS: {
+    JSON: 'json',
+    CSV: 'csv',
+    MARKDOWN: 'md',
+    TEXT: 'txt'
+  },
+  FORMAT_ALIASES: {
+    markdown: 'md',
+    text: 'txt',
+    plain: 'txt'
+  },
+  SCOPES: {
+    ALL: 'all',
+    GROUP: 'group',
+    PEER: 'peer'
+  },
+  FILE_PREFIX: 'depin-export'
 };
 
 // Recipient cache
@@ -66,6 +176,10 @@ export const UI = {
   INPUT_BOX_HEIGHT: 3,
   STATUS_BAR_HEIGHT: 1,
   MESSAGE_BOX_OFFSET: 7, // top bar + tab bar + input + status
+  INPUT_HISTORY_SIZE: 100, // Submitted lines kept per tab
+  INPUT_MAX_LINES: 8, // Input box growth for multiline messages
+  MIN_WRAP_WIDTH: 20, // Narrower bodies wrap under the start of the line instead
+  WRAP_INDENT: 2,
   SCROLLBAR_CHAR: ' '
 };
 
@@ -93,6 +207,14 @@ export const ICONS = {
   LOADING: '⟳'
 };
 
+// Delivery state indicators shown after "YOU", by DeliveryTracker state
+export const DELIVERY_ICONS = {
+  built: '…',
+  submitted: '✓',
+  seen: '✓✓',
+  expired: '⊘'
+};
+
 // RPC Methods
 export const RPC_METHODS = {
   GET_BLOCKCHAIN_INFO: 'getblockchaininfo',
@@ -109,7 +231,17 @@ export const TERMINAL = {
   ENTER_ALT_SCREEN: '\x1b[?1049h',
   EXIT_ALT_SCREEN: '\x1b[?1049l',
   SHOW_CURSOR: '\x1b[?25h',
+  HIDE_CURSOR: '\x1b[?25l',
+  CLEAR_SCREEN: '\x1b[2J',
+  CLEAR_LINE: '\x1b[2K',
+  // Synchronized output (mode 2026): the terminal shows the update when it ends
+  BEGIN_SYNCHRONIZED_UPDATE: '\x1b[?2026h',
+  END_SYNCHRONIZED_UPDATE: '\x1b[?2026l',
   RESET_ATTRIBUTES: '\x1b[0m',
+  ENABLE_FOCUS_REPORTING: '\x1b[?1004h',
+  ENABLE_BRACKETED_PASTE: '\x1b[?2004h',
+  FOCUS_IN: '\x1b[I',
+  FOCUS_OUT: '\x1b[O',
   NEW_LINE: '\r\n',
   BACKSPACE: '\b \b'
 };
@@ -122,6 +254,32 @@ export const CONFIG = {
   PLAIN_KEY: 'privateKey'
 };
 
+// Named profiles under the XDG config directory
+export const PROFILES = {
+  APP_DIR_NAME: 'neurai-depin-terminal',
+  DIR_NAME: 'profiles',
+  DEFAULT_NAME: 'default'
+};
+
+// Environment variables for non-interactive configuration
+export const CONFIG_ENV = {
+  CONFIG: 'DEPIN_CONFIG',
+  CONFIG_HOME: 'DEPIN_CONFIG_HOME',
+  PROFILE: 'DEPIN_PROFILE',
+  RPC_URL: 'DEPIN_RPC_URL',
+  RPC_USERNAME: 'DEPIN_RPC_USERNAME',
+  RPC_PASSWORD: 'DEPIN_RPC_PASSWORD',
+  TOKEN: 'DEPIN_TOKEN',
+  TOKENS: 'DEPIN_TOKENS',
+  POLL_INTERVAL: 'DEPIN_POLL_INTERVAL',
+  TIMEZONE: 'DEPIN_TIMEZONE',
+  RETENTION: 'DEPIN_RETENTION',
+  PRIVATE_KEY: 'DEPIN_PRIVATE_KEY', // encrypted, same format as config.json
+  PASSWORD: 'DEPIN_PASSWORD',
+  PASSWORD_FILE: 'DEPIN_PASSWORD_FILE',
+  PASSWORD_FD: 'DEPIN_PASSWORD_FD'
+};
+
 // Special Key Codes
 export const KEY_CODES = {
   ENTER: '\n',
@@ -132,6 +290,16 @@ export const KEY_CODES = {
   BACKSPACE_ALT: '\b'
 };
 
+// Process exit codes
+export const EXIT_CODES = {
+  SUCCESS: 0,
+  ERROR: 1,
+  USAGE: 2,
+  CONFIG: 3, // configuration, password or key problems
+  RPC_UNAVAILABLE: 4,
+  SEND_FAILED: 5
+};
+
 // Error Messages
 export const ERROR_MESSAGES = {
   CONFIG_NOT_FOUND: 'Configuration file not found',
@@ -141,6 +309,7 @@ export const ERROR_MESSAGES = {
   PASSWORD_TOO_LONG: `Password must be at most ${PASSWORD.MAX_LENGTH} characters`,
   PASSWORDS_DONT_MATCH: 'Passwords do not match',
   MAX_ATTEMPTS_REACHED: `Maximum password attempts (${PASSWORD.MAX_ATTEMPTS}) reached`,
+  PASSWORD_REQUIRES_TTY: 'Password prompt requires an interactive terminal (use --password-file, --password-fd or DEPIN_PASSWORD)',
   WALLET_INIT_FAILED: 'Failed to initialize wallet',
   RPC_NOT_INITIALIZED: 'RPC client not initialized',
   NO_TOKEN_HOLDERS: 'No token holders found',
@@ -153,7 +322,9 @@ export const ERROR_MESSAGES = {
   TOKEN_NOT_OWNED: 'This address does not own the configured token',
   PUBKEY_NOT_REVEALED: 'Public key not revealed on blockchain',
   INVALID_PRIVATE_MESSAGE_FORMAT: 'Private message format: @address message',
-  RECIPIENT_PUBKEY_NOT_REVEALED: 'Recipient public key not revealed on blockchain'
+  RECIPIENT_PUBKEY_NOT_REVEALED: 'Recipient public key not revealed on blockchain',
+  RPC_UNAVAILABLE: 'RPC server not available',
+  DAEMON_CONNECTION_LOST: 'Daemon: Connection lost, retrying...'
 };
 
 // Success Messages
@@ -161,8 +332,10 @@ export const SUCCESS_MESSAGES = {
   CONFIG_LOADED: '✓ Configuration loaded',
   LIBRARY_LOADED: '✓ DePIN library loaded',
   RPC_CONNECTED: '✓ Connected to RPC server',
+  RPC_ENDPOINT_CHANGED: 'Switched RPC server to',
   TOKEN_VERIFIED: '✓ Token ownership verified',
   PUBKEY_VERIFIED: '✓ Public key revealed',
+  DAEMON_ATTACHED: '✓ Attached to daemon',
   CONNECTED: 'Connected! Type your message and press Enter to send.'
 };
 
@@ -174,8 +347,10 @@ export const INFO_MESSAGES = {
   STARTING_UI: 'Starting terminal interface...',
   PRESS_CTRL_C: 'Press ESC or CTRL+C to exit.',
   CONNECTING: 'Attempting to connect to DePIN server...',
+  CONNECTING_DAEMON: 'Connecting to local daemon...',
   RECONNECTING: 'Reconnecting, check server configuration',
   SENDING: 'Sending message...',
+  QUEUED: 'Message queued in the outbox; it will be sent when the connection is back (Ctrl+O to review)',
   VERIFYING_TOKEN: 'Verifying token ownership...',
   VERIFYING_PUBKEY: 'Verifying public key...'
 };
@@ -195,7 +370,8 @@ export const PRIVACY = {
 // Time Formats
 export const TIME = {
   LOCALE_TIME: 'toLocaleTimeString',
-  PLACEHOLDER: '--:--:--'
+  PLACEHOLDER: '--:--:--',
+  COUNTDOWN_REFRESH_MS: 1000
 };
 
 // Blessed Keys
@@ -217,5 +393,6 @@ export const ADDRESS = {
 
 // Hash Display
 export const HASH = {
-  DISPLAY_LENGTH: 16
+  DISPLAY_LENGTH: 16,
+  PATTERN: /^[0-9a-f]{64}$/
 };
@@ -0,0 +1,166 @@
+/**
+ * Client for the local DePIN daemon API
+ * @module DaemonClient
+ */
+
+import fs from 'fs';
+import http from 'http';
+import { EventEmitter } from 'events';
+import { DaemonError } from '../errors.js';
+
+/**
+ * Talks to a running daemon over its Unix socket or localhost port
+ * @extends EventEmitter
+ * @fires DaemonClient#event
+ * @fires DaemonClient#disconnect
+ */
+export class DaemonClient extends EventEmitter {
+  /**
+   * Create a new DaemonClient instance
+   * @param {Object} info - Daemon endpoint and credentials
+   * @param {string} [info.socketPath] - Unix domain socket path
+   * @param {string} [info.host] - TCP host
+   * @param {number} [info.port] - TCP port
+   * @param {string} info.token - Bearer token
+   */
+  constructor({ socketPath = null, host = null, port = null, token }) {
+    super();
+    this.endpoint = socketPath ? { socketPath } : { host, port };
+    this.token = token;
+    this.nextId = 1;
+    this.eventsRequest = null;
+  }
+
+  /**
+   * Create a client from the info file a running daemon writes
+   * @param {string} infoPath - Daemon info file path
+   * @returns {DaemonClient} Client instance
+   * @throws {DaemonError} If no daemon info is available
+   */
+  static fromInfoFile(infoPath) {
+    let info;
+    try {
+      info = JSON.parse(fs.readFileSync(infoPath, 'utf8'));
+    } catch (error) {
+      throw new DaemonError(`Daemon is not running (${infoPath} not readable)`);
+    }
+    if (!info || !info.token || !(info.socketPath || info.port)) {
+      throw new DaemonError(`Invalid daemon info file: ${infoPath}`);
+    }
+    return new DaemonClient(info);
+  }
+
+  requestOptions(method, path) {
+    return {
+      ...this.endpoint,
+      method,
+      path,
+      headers: { Authorization: `Bearer ${this.token}` }
+    };
+  }
+
+  /**
+   * Call a daemon method
+   * @param {string} method - Method name
+   * @param {Object} [params={}] - Method parameters
+   * @returns {Promise<*>} Method result
+   * @throws {DaemonError} If the daemon is unreachable or the method fails
+   */
+  call(method, params = {}) {
+    const body = JSON.stringify({ jsonrpc: '2.0', id: this.nextId++, method, params });
+
+    return new Promise((resolve, reject) => {
+      const options = this.requestOptions('POST', '/rpc');
+      options.headers['Content-Type'] = 'application/json';
+
+      const req = http.request(options, (res) => {
+        const chunks = [];
+        res.on('data', (chunk) => chunks.push(chunk));
+        res.on('end', () => {
+          let payload;
+          try {
+            payload = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+          } catch (error) {
+            reject(new DaemonError(`Invalid daemon response (HTTP ${res.statusCode})`));
+            return;
+          }
+          if (res.statusCode !== 200) {
+            reject(new DaemonError(`Daemon rejected request: ${payload.error || res.statusCode}`));
+          } else if (payload.error) {
+            reject(new DaemonError(payload.error.message, 'DAEMON_METHOD_ERROR'));
+          } else {
+            resolve(payload.result);
+          }
+        });
+      });
+      req.on('error', (error) => {
+        reject(new DaemonError(`Cannot reach daemon: ${error.message}`));
+      });
+      req.end(body);
+    });
+  }
+
+  /**
+   * Open the event stream
+   * Emits 'event' with ({event, data}) per line and 'disconnect' when the stream ends.
+   * @returns {Promise<void>} Resolves once the stream is open
+   * @throws {DaemonError} If the stream cannot be opened
+   */
+  subscribe() {
+    return new Promise((resolve, reject) => {
+      let buffer = '';
+      let opened = false;
+
+      const req = http.request(this.requestOptions('GET', '/events'), (res) => {
+        if (res.statusCode !== 200) {
+          res.resume();
+          reject(new DaemonError(`Daemon rejected subscription (HTTP ${res.statusCode})`));
+          return;
+        }
+        opened = true;
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+          buffer += chunk;
+          let newline = buffer.indexOf('\n');
+          while (newline !== -1) {
+            const line = buffer.slice(0, newline).trim();
+            buffer = buffer.slice(newline + 1);
+            if (line) {
+              try {
+                this.emit('event', JSON.parse(line));
+              } catch (error) {
+                // Ignore malformed lines
+              }
+            }
+            newline = buffer.indexOf('\n');
+          }
+        });
+        res.on('close', () => {
+          if (this.eventsRequest === req) {
+            this.eventsRequest = null;
+            this.emit('disconnect');
+          }
+        });
+        resolve();
+      });
+      req.on('error', (error) => {
+        if (!opened) {
+          reject(new DaemonError(`Cannot reach daemon: ${error.message}`));
+        }
+      });
+      this.eventsRequest = req;
+      req.end();
+    });
+  }
+
+  /**
+   * Close the event stream without emitting 'disconnect'
+   */
+  close() {
+    const req = this.eventsRequest;
+    this.eventsRequest = null;
+    if (req) {
+      req.destroy();
+    }
+  }
+}
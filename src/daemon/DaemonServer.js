@@ -0,0 +1,268 @@
+/**
+ * Local daemon API server for Neurai DePIN Terminal
+ * JSON-RPC 2.0 over HTTP on a Unix socket or localhost, plus an NDJSON event stream.
+ * @module DaemonServer
+ */
+
+import fs from 'fs';
+import http from 'http';
+import net from 'net';
+import crypto from 'crypto';
+import { DAEMON } from '../constants.js';
+import { DaemonError, extractErrorMessage } from '../errors.js';
+
+/**
+ * JSON-RPC 2.0 error codes
+ */
+export const JSON_RPC_ERRORS = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  SERVER_ERROR: -32000
+};
+
+/**
+ * Error thrown by a method handler to return a specific JSON-RPC error code
+ */
+export class JsonRpcError extends Error {
+  /**
+   * @param {number} code - JSON-RPC error code
+   * @param {string} message - Error message
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = 'JsonRpcError';
+    this.code = code;
+  }
+}
+
+/**
+ * Serves method handlers and broadcasts events to subscribers
+ *
+ * Routes (all require `Authorization: Bearer <token>`):
+ * - `POST /rpc` JSON-RPC 2.0 request
+ * - `GET /events` NDJSON stream of `{event, data}` lines
+ */
+export class DaemonServer {
+  /**
+   * Create a new DaemonServer instance
+   * @param {Object} options - Server options
+   * @param {Object<string, Function>} options.methods - Method name to async handler(params)
+   * @param {string} options.authToken - Bearer token clients must present
+   * @param {Function} [options.onSubscribe] - Returns events sent to a new subscriber
+   */
+  constructor({ methods, authToken, onSubscribe = null }) {
+    this.methods = methods;
+    this.authToken = authToken;
+    this.onSubscribe = onSubscribe;
+    this.subscribers = new Set();
+    this.socketPath = null;
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch(() => {
+        if (!res.headersSent) {
+          this.sendJson(res, 500, { error: 'Internal error' });
+        }
+      });
+    });
+  }
+
+  /**
+   * Generate a random bearer token
+   * @returns {string} Hex token
+   */
+  static generateToken() {
+    return crypto.randomBytes(DAEMON.TOKEN_BYTES).toString('hex');
+  }
+
+  /**
+   * Start listening on a Unix socket or a localhost TCP port
+   * @param {Object} endpoint - Listen endpoint
+   * @param {string} [endpoint.socketPath] - Unix domain socket path
+   * @param {number} [endpoint.port] - TCP port (bound to endpoint.host)
+   * @param {string} [endpoint.host] - TCP host, localhost by default
+   * @returns {Promise<Object>} Endpoint actually bound
+   * @throws {DaemonError} If the endpoint is in use
+   */
+  async listen({ socketPath = null, port = null, host = DAEMON.DEFAULT_HOST }) {
+    if (socketPath) {
+      await this.removeStaleSocket(socketPath);
+    }
+
+    await new Promise((resolve, reject) => {
+      const onError = (error) => {
+        reject(new DaemonError(`Cannot listen on ${socketPath || `${host}:${port}`}: ${error.message}`));
+      };
+      this.server.once('error', onError);
+      const args = socketPath ? [socketPath] : [port, host];
+      this.server.listen(...args, () => {
+        this.server.off('error', onError);
+        resolve();
+      });
+    });
+
+    if (socketPath) {
+      this.socketPath = socketPath;
+      fs.chmodSync(socketPath, 0o600);
+      return { socketPath };
+    }
+    return { host, port: this.server.address().port };
+  }
+
+  /**
+   * Remove a socket file left behind by a daemon that is no longer running
+   * @param {string} socketPath - Unix domain socket path
+   * @throws {DaemonError} If another daemon is still listening
+   */
+  async removeStaleSocket(socketPath) {
+    if (!fs.existsSync(socketPath)) {
+      return;
+    }
+
+    const inUse = await new Promise((resolve) => {
+      const probe = net.connect(socketPath);
+      probe.once('connect', () => {
+        probe.destroy();
+        resolve(true);
+      });
+      probe.once('error', () => resolve(false));
+    });
+
+    if (inUse) {
+      throw new DaemonError(`A daemon is already listening on ${socketPath}`);
+    }
+    fs.unlinkSync(socketPath);
+  }
+
+  /**
+   * Stop accepting requests and end all event streams
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.subscribers.forEach((res) => res.end());
+    this.subscribers.clear();
+    const closed = new Promise((resolve) => this.server.close(() => resolve()));
+    this.server.closeAllConnections();
+    await closed;
+    if (this.socketPath) {
+      fs.rmSync(this.socketPath, { force: true });
+      this.socketPath = null;
+    }
+  }
+
+  /**
+   * Broadcast an event to every subscriber
+   * @param {string} event - Event name
+   * @param {Object} data - Event payload
+   */
+  publish(event, data) {
+    const line = `${JSON.stringify({ event, data })}\n`;
+    this.subscribers.forEach((res) => res.write(line));
+  }
+
+  isAuthorized(req) {
+    const header = req.headers.authorization || '';
+    const presented = Buffer.from(header.startsWith('Bearer ') ? header.slice(7) : '');
+    const expected = Buffer.from(this.authToken);
+    return presented.length === expected.length && crypto.timingSafeEqual(presented, expected);
+  }
+
+  async handleRequest(req, res) {
+    if (!this.isAuthorized(req)) {
+      this.sendJson(res, 401, { error: 'Unauthorized' });
+      return;
+    }
+
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'GET' && pathname === '/events') {
+      this.subscribe(req, res);
+      return;
+    }
+
+    if (req.method === 'POST' && pathname === '/rpc') {
+      const body = await this.readBody(req);
+      if (body === null) {
+        this.sendJson(res, 413, { error: 'Request body too large' });
+        return;
+      }
+      this.sendJson(res, 200, await this.dispatch(body));
+      return;
+    }
+
+    this.sendJson(res, 404, { error: 'Not found' });
+  }
+
+  subscribe(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'application/x-ndjson',
+      'Cache-Control': 'no-cache'
+    });
+    this.subscribers.add(res);
+    req.on('close', () => this.subscribers.delete(res));
+
+    const initial = this.onSubscribe ? this.onSubscribe() : [];
+    initial.forEach(({ event, data }) => res.write(`${JSON.stringify({ event, data })}\n`));
+  }
+
+  /**
+   * Read a request body up to DAEMON.MAX_BODY_BYTES
+   * @param {http.IncomingMessage} req - Request
+   * @returns {Promise<string|null>} Body, or null if it is too large
+   */
+  async readBody(req) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+      size += chunk.length;
+      if (size > DAEMON.MAX_BODY_BYTES) {
+        return null;
+      }
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+  }
+
+  /**
+   * Execute a JSON-RPC request body
+   * @param {string} body - Raw request body
+   * @returns {Promise<Object>} JSON-RPC response object
+   */
+  async dispatch(body) {
+    let request;
+    try {
+      request = JSON.parse(body);
+    } catch (error) {
+      return this.errorResponse(null, JSON_RPC_ERRORS.PARSE_ERROR, 'Parse error');
+    }
+
+    const id = request && request.id !== undefined ? request.id : null;
+    if (!request || typeof request.method !== 'string') {
+      return this.errorResponse(id, JSON_RPC_ERRORS.INVALID_REQUEST, 'Invalid request');
+    }
+
+    const handler = Object.prototype.hasOwnProperty.call(this.methods, request.method)
+      ? this.methods[request.method]
+      : null;
+    if (!handler) {
+      return this.errorResponse(id, JSON_RPC_ERRORS.METHOD_NOT_FOUND, `Method not found: ${request.method}`);
+    }
+
+    try {
+      const result = await handler(request.params || {});
+      return { jsonrpc: '2.0', id, result: result === undefined ? null : result };
+    } catch (error) {
+      const code = error instanceof JsonRpcError ? error.code : JSON_RPC_ERRORS.SERVER_ERROR;
+      return this.errorResponse(id, code, extractErrorMessage(error));
+    }
+  }
+
+  errorResponse(id, code, message) {
+    return { jsonrpc: '2.0', id, error: { code, message } };
+  }
+
+  sendJson(res, status, payload) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(payload));
+  }
+}
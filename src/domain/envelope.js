@@ -0,0 +1,184 @@
+/**
+ * Versioned message envelope carried inside the encrypted payload
+ * Rich content is a JSON object `{"v": 1, "type": ..., ...fields}`. Clients
+ * without envelope support must still see readable text: plain text is sent
+ * as the bare text, replies in their quoted text form (see domain/replies),
+ * and other types as a readable line followed by the JSON on its own line.
+ * Any payload that is not a valid envelope is shown as text.
+ * @module domain/envelope
+ */
+
+import { ENVELOPE, FILE_TRANSFER, HASH, REACTION } from '../constants.js';
+import { decodeReply, encodeReply } from './replies.js';
+
+export const ENVELOPE_TYPES = {
+  TEXT: 'text',
+  REPLY: 'reply',
+  REACTION: 'reaction',
+  EDIT: 'edit',
+  DELETE_REQUEST: 'delete-request',
+  FILE_MANIFEST: 'file-manifest',
+  FILE_CHUNK: 'file-chunk',
+  RECEIPT: 'receipt'
+};
+
+const isString = (value) => typeof value === 'string';
+const isHash = (value) => isString(value) && HASH.PATTERN.test(value);
+// Every chunk carries at least one byte, so a file of FILE_TRANSFER.MAX_SIZE never needs more chunks
+const isChunkCount = (value) => Number.isInteger(value) && value >= 1 && value <= FILE_TRANSFER.MAX_SIZE;
+// C0 and C1 controls, ESC included, would drive the terminal of whoever shows the field
+const CONTROL_CHARACTERS = /[\x00-\x1f\x7f-\x9f]/;
+// A bare file name, as splitFile sends it
+const isFileName = (value) => isString(value)
+  && value.length > 0
+  && value.length <= FILE_TRANSFER.MAX_NAME_LENGTH
+  && !CONTROL_CHARACTERS.test(value)
+  && !/[/\\]/.test(value);
+
+/**
+ * Check a reaction: an emoji or a short tag without spaces or control characters
+ * @param {*} value - Reaction
+ * @returns {boolean} True if valid
+ */
+export const isValidReaction = (value) => isString(value)
+  && /^\S+$/u.test(value)
+  && !CONTROL_CHARACTERS.test(value)
+  && [...value].length <= REACTION.MAX_LENGTH;
+
+// Required fields of each type
+const VALIDATORS = {
+  [ENVELOPE_TYPES.TEXT]: (envelope) => isString(envelope.text),
+  [ENVELOPE_TYPES.REPLY]: (envelope) => isString(envelope.text)
+    && Boolean(envelope.replyTo)
+    && isHash(envelope.replyTo.hash)
+    && isString(envelope.replyTo.quote),
+  [ENVELOPE_TYPES.REACTION]: (envelope) => isHash(envelope.target)
+    && isValidReaction(envelope.reaction)
+    && (envelope.remove === undefined || typeof envelope.remove === 'boolean'),
+  [ENVELOPE_TYPES.EDIT]: (envelope) => isHash(envelope.target) && isString(envelope.text),
+  [ENVELOPE_TYPES.DELETE_REQUEST]: (envelope) => isHash(envelope.target),
+  [ENVELOPE_TYPES.FILE_MANIFEST]: (envelope) => isString(envelope.fileId)
+    && isFileName(envelope.name)
+    && Number.isInteger(envelope.size)
+    && envelope.size >= 0
+    && envelope.size <= FILE_TRANSFER.MAX_SIZE
+    && isChunkCount(envelope.total)
+    && envelope.total <= Math.max(envelope.size, 1)
+    && isHash(envelope.sha256),
+  [ENVELOPE_TYPES.FILE_CHUNK]: (envelope) => isString(envelope.fileId)
+    && isChunkCount(envelope.total)
+    && Number.isInteger(envelope.index)
+    && envelope.index >= 0
+    && envelope.index < envelope.total
+    && isString(envelope.data),
+  [ENVELOPE_TYPES.RECEIPT]: (envelope) => Array.isArray(envelope.targets) && envelope.targets.every(isHash)
+};
+
+const shortHash = (hash) => hash.slice(0, HASH.DISPLAY_LENGTH);
+const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+
+// Text shown before the JSON by clients without envelope support
+const FALLBACKS = {
+  [ENVELOPE_TYPES.REACTION]: (envelope) => (envelope.remove
+    ? `Took back reaction ${envelope.reaction} to message ${shortHash(envelope.target)}`
+    : `Reacted ${envelope.reaction} to message ${shortHash(envelope.target)}`),
+  [ENVELOPE_TYPES.EDIT]: (envelope) => `Edited message ${shortHash(envelope.target)}: ${envelope.text}`,
+  [ENVELOPE_TYPES.DELETE_REQUEST]: (envelope) => `Asked to delete message ${shortHash(envelope.target)}`,
+  [ENVELOPE_TYPES.FILE_MANIFEST]: (envelope) => `Sending file ${envelope.name} (${plural(envelope.size, 'byte')} in ${plural(envelope.total, 'part')})`,
+  [ENVELOPE_TYPES.FILE_CHUNK]: (envelope) => `File part ${envelope.index + 1}/${envelope.total}`,
+  [ENVELOPE_TYPES.RECEIPT]: (envelope) => `Read ${plural(envelope.targets.length, 'message')}`
+};
+
+/**
+ * Create an envelope of the current version
+ * @param {string} type - One of ENVELOPE_TYPES
+ * @param {Object} fields - Type-specific fields
+ * @returns {Object} Envelope
+ */
+export const createEnvelope = (type, fields) => ({ v: ENVELOPE.VERSION, type, ...fields });
+
+/**
+ * Check that a parsed object is an envelope of a known type
+ * Newer versions are accepted as long as the fields of the type are valid.
+ * @param {*} value - Parsed JSON
+ * @returns {boolean} True if valid
+ */
+export const isValidEnvelope = (value) => Boolean(value)
+  && typeof value === 'object'
+  && Number.isInteger(value.v)
+  && value.v >= 1
+  && Object.hasOwn(VALIDATORS, value.type)
+  && VALIDATORS[value.type](value);
+
+/**
+ * Encode an envelope as plaintext that starts with readable text
+ * @param {Object} envelope - Envelope
+ * @returns {string} Plaintext to encrypt
+ */
+export const encodeEnvelope = (envelope) => {
+  if (envelope.type === ENVELOPE_TYPES.TEXT) {
+    return envelope.text;
+  }
+  if (envelope.type === ENVELOPE_TYPES.REPLY) {
+    return encodeReply(envelope.text, envelope.replyTo);
+  }
+  // JSON.stringify escapes line breaks, so the envelope is always the last line
+  return `${FALLBACKS[envelope.type](envelope)}\n${JSON.stringify(envelope)}`;
+};
+
+/**
+ * Decode decrypted plaintext into an envelope
+ * The envelope is the last line, or the whole payload as sent by earlier
+ * versions. Plain text and quoted replies become text and reply envelopes;
+ * an envelope of an unknown type is shown by its text, or else by the
+ * readable text sent before it.
+ * @param {string} plaintext - Decrypted plaintext
+ * @returns {Object} Envelope
+ */
+export const decodeEnvelope = (plaintext) => {
+  const start = plaintext.lastIndexOf('\n{') + 1;
+  if (plaintext[start] === '{') {
+    try {
+      const parsed = JSON.parse(plaintext.slice(start));
+      if (isValidEnvelope(parsed)) {
+        return parsed;
+      }
+      const text = parsed && Number.isInteger(parsed.v)
+        ? (isString(parsed.text) ? parsed.text : plaintext.slice(0, Math.max(start - 1, 0)))
+        : '';
+      if (text) {
+        return createEnvelope(ENVELOPE_TYPES.TEXT, { text });
+      }
+    } catch (error) {
+      // Not JSON: plain text
+    }
+  }
+
+  const { message, replyTo } = decodeReply(plaintext);
+  return replyTo
+    ? createEnvelope(ENVELOPE_TYPES.REPLY, { text: message, replyTo })
+    : createEnvelope(ENVELOPE_TYPES.TEXT, { text: plaintext });
+};
+
+/**
+ * Message fields stored and displayed for an envelope
+ * @param {Object} envelope - Envelope
+ * @returns {{message: string, contentType: string, replyTo: (Object|null), content: (Object|null)}} Message fields
+ */
+export const toMessageFields = (envelope) => {
+  const { v, type, text, replyTo, ...content } = envelope;
+  return {
+    message: text || '',
+    contentType: type,
+    replyTo: replyTo || null,
+    content: Object.keys(content).length > 0 ? content : null
+  };
+};
+
+/**
+ * Content type of a stored message, including messages stored before the envelope
+ * @param {Object} msg - Message
+ * @returns {string} One of ENVELOPE_TYPES
+ */
+export const getContentType = (msg) => msg.contentType
+  || (msg.replyTo ? ENVELOPE_TYPES.REPLY : ENVELOPE_TYPES.TEXT);
@@ -0,0 +1,71 @@
+/**
+ * Files sent as a manifest envelope followed by chunk envelopes
+ * The manifest names the file and carries its size, number of chunks and
+ * SHA-256 checksum; each chunk carries a base64 slice that fits one message.
+ * @module domain/fileTransfer
+ */
+
+import crypto from 'crypto';
+import path from 'path';
+import { FILE_TRANSFER } from '../constants.js';
+import { MessageError } from '../errors.js';
+import { ENVELOPE_TYPES, createEnvelope, encodeEnvelope } from './envelope.js';
+
+export const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+/**
+ * Format a file size for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} e.g. "512 B" or "1.5 KB"
+ */
+export const formatFileSize = (bytes) => (bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`);
+
+/**
+ * Split a file into a manifest and the chunks that carry it
+ * Chunks are as large as the message size allows once the envelope around them is counted.
+ * @param {string} name - File name (only the base name is sent, with control characters and backslashes replaced)
+ * @param {Buffer} data - File content
+ * @param {number} maxMessageSize - Largest plaintext of one message in bytes
+ * @returns {{manifest: Object, chunks: Array<Object>}} Envelopes, to be sent in order
+ * @throws {MessageError} If a chunk cannot hold any data
+ */
+export const splitFile = (name, data, maxMessageSize) => {
+  const fileId = crypto.randomBytes(FILE_TRANSFER.ID_BYTES).toString('hex');
+
+  // The envelope grows with the number of chunks, so settle the count first
+  let total = 1;
+  let chunkSize = 0;
+  for (;;) {
+    const overhead = Buffer.byteLength(encodeEnvelope(createEnvelope(ENVELOPE_TYPES.FILE_CHUNK, {
+      fileId, index: total - 1, total, data: ''
+    })));
+    // base64 turns every 3 bytes into 4 characters
+    chunkSize = Math.floor((maxMessageSize - overhead) / 4) * 3;
+    if (chunkSize <= 0) {
+      throw new MessageError(`Messages of ${maxMessageSize} bytes are too small to carry a file`);
+    }
+    const needed = Math.max(Math.ceil(data.length / chunkSize), 1);
+    if (needed <= total) {
+      total = needed;
+      break;
+    }
+    total = needed;
+  }
+
+  const manifest = createEnvelope(ENVELOPE_TYPES.FILE_MANIFEST, {
+    fileId,
+    // Receivers reject names a terminal or another platform's paths would misread
+    name: path.basename(name).replace(/[\x00-\x1f\x7f-\x9f\\]/g, '_').slice(0, FILE_TRANSFER.MAX_NAME_LENGTH),
+    size: data.length,
+    total,
+    sha256: sha256(data)
+  });
+  const chunks = Array.from({ length: total }, (_, index) => createEnvelope(ENVELOPE_TYPES.FILE_CHUNK, {
+    fileId,
+    index,
+    total,
+    data: data.subarray(index * chunkSize, (index + 1) * chunkSize).toString('base64')
+  }));
+
+  return { manifest, chunks };
+};
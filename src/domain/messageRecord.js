@@ -0,0 +1,24 @@
+/**
+ * Public message record shared by the NDJSON stream and the daemon API
+ * @module domain/messageRecord
+ */
+
+import { normalizeMessageType } from './messageTypes.js';
+import { getContentType } from './envelope.js';
+
+/**
+ * Convert a poller event or stored message to its public record
+ * @param {Object} msg - Message
+ * @returns {{sender: string, timestamp: number, hash: string, messageType: string, peerAddress: (string|null), message: string, contentType: string, replyTo: (Object|null), content: (Object|null)}} Record
+ */
+export const toMessageRecord = (msg) => ({
+  sender: msg.sender,
+  timestamp: msg.timestamp,
+  hash: msg.hash,
+  messageType: normalizeMessageType(msg.messageType || msg.message_type),
+  peerAddress: msg.peerAddress || null,
+  message: msg.message,
+  contentType: getContentType(msg),
+  replyTo: msg.replyTo || null,
+  content: msg.content || null
+});
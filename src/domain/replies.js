@@ -0,0 +1,56 @@
+/**
+ * Reply references to parent messages
+ * Replies are sent as plain text with a quote of the parent and a
+ * "[re:<hash>]" line, so clients without envelope support read them as
+ * text; received, they become `reply` envelopes (see domain/envelope):
+ *
+ *   > NXXXdef123: Hello world
+ *   Hi there!
+ *   [re:<parent message hash>]
+ *
+ * @module domain/replies
+ */
+
+import { ADDRESS, REPLY } from '../constants.js';
+import { truncate } from '../utils.js';
+
+const REPLY_PATTERN = /^> ([^\n]*)\n([\s\S]+)\n\[re:([0-9a-f]{64})\]$/;
+
+// Quotes are shown in the status and prompt lines, where escapes would reach the terminal
+const stripControlCharacters = (text) => text.replace(/[\x00-\x1f\x7f-\x9f]/g, '');
+
+/**
+ * Build the reference a reply carries to its parent
+ * @param {Object} parent - Parent message
+ * @param {string} parent.hash - Parent message hash
+ * @param {string} parent.sender - Parent sender address
+ * @param {string} parent.message - Parent message text
+ * @returns {{hash: string, quote: string}} Reply reference
+ */
+export const createReplyReference = (parent) => {
+  const firstLine = (parent.message || '').split('\n')[0];
+  return {
+    hash: parent.hash,
+    quote: stripControlCharacters(`${(parent.sender || '').slice(0, ADDRESS.TRUNCATE_LENGTH)}: ${truncate(firstLine, REPLY.QUOTE_LENGTH)}`)
+  };
+};
+
+/**
+ * Write a reply in its plain-text form
+ * @param {string} message - Reply text
+ * @param {{hash: string, quote: string}} replyTo - Parent reference
+ * @returns {string} Plaintext to encrypt
+ */
+export const encodeReply = (message, replyTo) => `> ${replyTo.quote.replace(/\s*\n\s*/g, ' ')}\n${message}\n[re:${replyTo.hash}]`;
+
+/**
+ * Read a reply in its plain-text form
+ * @param {string} plaintext - Decrypted plaintext
+ * @returns {{message: string, replyTo: ({hash: string, quote: string}|null)}} Message text and reference
+ */
+export const decodeReply = (plaintext) => {
+  const match = plaintext.match(REPLY_PATTERN);
+  return match
+    ? { message: match[2], replyTo: { hash: match[3], quote: stripControlCharacters(match[1]) } }
+    : { message: plaintext, replyTo: null };
+};
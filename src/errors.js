@@ -104,6 +104,76 @@ export class EncryptionError extends DepinError {
   }
 }
 
+/**
+ * Local storage errors (history files)
+ * @extends DepinError
+ */
+export class StorageError extends DepinError {
+  /**
+   * @param {string} message - Error message
+   * @param {string} [code] - Error code
+   */
+  constructor(message, code = 'STORAGE_ERROR') {
+    super(message, code);
+  }
+}
+
+/**
+ * Command line usage errors
+ * @extends DepinError
+ */
+export class CliError extends DepinError {
+  /**
+   * @param {string} message - Error message
+   * @param {string} [code] - Error code
+   */
+  constructor(message, code = 'CLI_ERROR') {
+    super(message, code);
+  }
+}
+
+/**
+ * Local daemon errors (server or client side)
+ * @extends DepinError
+ */
+export class DaemonError extends DepinError {
+  /**
+   * @param {string} message - Error message
+   * @param {string} [code] - Error code
+   */
+  constructor(message, code = 'DAEMON_ERROR') {
+    super(message, code);
+  }
+}
+
+/**
+ * Slash-command errors in the terminal interface (unknown command, bad arguments)
+ * @extends DepinError
+ */
+export class CommandError extends DepinError {
+  /**
+   * @param {string} message - Error message
+   * @param {string} [code] - Error code
+   */
+  constructor(message, code = 'COMMAND_ERROR') {
+    super(message, code);
+  }
+}
+
+/**
+ * External editor errors (editor not found or failed)
+ * @extends DepinError
+ */
+export class EditorError extends DepinError {
+  /**
+   * @param {string} message - Error message
+   * @param {string} [code] - Error code
+   */
+  constructor(message, code = 'EDITOR_ERROR') {
+    super(message, code);
+  }
+}
+
 /**
  * Library loading errors
  * @extends DepinError
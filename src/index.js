@@ -6,28 +6,52 @@
  * @module index
  */
 
+import fs from 'fs';
+import path from 'path';
 import { ConfigManager } from './config/ConfigManager.js';
+import { resolveConfigOptions } from './config/configSources.js';
 import { loadDepinMsgLibrary } from './lib/depinMsgLoader.js';
 import { WalletManager } from './wallet/WalletManager.js';
 import { RpcService } from './services/RpcService.js';
+import { ReconnectPolicy } from './services/ReconnectPolicy.js';
 import { MessageStore } from './messaging/MessageStore.js';
+import { MessageHistory } from './messaging/MessageHistory.js';
 import { MessagePoller } from './messaging/MessagePoller.js';
 import { MessageSender } from './messaging/MessageSender.js';
+import { Outbox } from './messaging/Outbox.js';
+import { DeliveryTracker } from './messaging/DeliveryTracker.js';
+import { FILE_STATUS } from './messaging/FileAssembler.js';
 import { RecipientDirectory } from './messaging/RecipientDirectory.js';
 import { CharsmUI } from './ui/CharsmUI.js';
+import { completePath } from './ui/CommandRegistry.js';
+import { DaemonClient } from './daemon/DaemonClient.js';
 import {
   INFO_MESSAGES,
   SUCCESS_MESSAGES,
   ERROR_MESSAGES,
   WARNING_MESSAGES,
-  MESSAGE,
   RECIPIENT_CACHE,
   HASH,
-  ICONS
+  ICONS,
+  EXPORT,
+  DAEMON,
+  RECONNECT,
+  SEARCH,
+  FILE_TRANSFER,
+  EXIT_CODES
 } from './constants.js';
-import { extractErrorMessage, isKnownError, isDebugMode } from './errors.js';
+import { MessageError, StorageError, extractErrorMessage, isKnownError, isDebugMode } from './errors.js';
 import { MESSAGE_TYPES } from './domain/messageTypes.js';
-import { emergencyTerminalCleanup, drainInput } from './utils.js';
+import { formatFileSize } from './domain/fileTransfer.js';
+import { emergencyTerminalCleanup, drainInput, parseRpcHost, formatTimestamp } from './utils.js';
+import { MessageExporter, normalizeExportFormat } from './messaging/MessageExporter.js';
+import { parseCli, CLI_COMMANDS, USAGE } from './cli/parseCli.js';
+import { runCommand } from './cli/runCommand.js';
+import { runExportCommand } from './cli/exportCommand.js';
+import { runSendCommand } from './cli/sendCommand.js';
+import { runListenCommand } from './cli/listenCommand.js';
+import { runDaemonCommand } from './cli/daemonCommand.js';
+import { runProfileCommand } from './cli/profileCommand.js';
 
 /**
  * Global UI instance for cleanup on exit
@@ -35,17 +59,24 @@ import { emergencyTerminalCleanup, drainInput } from './utils.js';
  */
 let uiInstance = null;
 
+/**
+ * Global per-token messaging refs so history can be flushed on exit
+ * @type {Array<Object>}
+ */
+let messagingSessions = [];
+
 /**
  * Initialize configuration
- * @returns {Promise<Object>} Configuration object
+ * @param {Object} options - Parsed command line options (config flags)
+ * @returns {Promise<ConfigManager>} Configuration manager with loaded config
  */
-async function initializeConfig() {
+async function initializeConfig(options) {
   console.log(INFO_MESSAGES.LOADING_CONFIG);
-  const configManager = new ConfigManager();
-  const config = await configManager.load();
+  const configManager = new ConfigManager(resolveConfigOptions(options));
+  await configManager.load();
   console.log(SUCCESS_MESSAGES.CONFIG_LOADED);
   console.log('');
-  return config;
+  return configManager;
 }
 
 /**
@@ -86,17 +117,42 @@ async function initializeRpc(config) {
   return rpcService;
 }
 
+/**
+ * Create a message store backed by the encrypted local history
+ * @param {MessageHistory} history - Message history instance
+ * @param {string|number} retention - Local retention policy (config.json `retention`)
+ * @returns {MessageStore} Store with persisted messages loaded
+ */
+function createMessageStore(history, retention) {
+  const messageStore = new MessageStore({ history, retention });
+  messageStore.load();
+  return messageStore;
+}
+
+/**
+ * Flush pending history writes, ignoring failures
+ * @param {MessageStore} messageStore - Message store instance
+ */
+function flushMessageStore(messageStore) {
+  try {
+    messageStore.flush();
+  } catch (error) {
+    // Nothing else we can do while shutting down
+  }
+}
+
 /**
  * Initialize messaging components
  * @param {Object} config - Configuration object
  * @param {WalletManager} walletManager - Wallet manager instance
  * @param {RpcService} rpcService - RPC service instance
  * @param {Object} neuraiDepinMsg - DePIN library instance
+ * @param {MessageHistory} history - Encrypted local history
  * @returns {Object} Messaging components (store, poller, sender)
  */
-function initializeMessaging(config, walletManager, rpcService, neuraiDepinMsg) {
+function initializeMessaging(config, walletManager, rpcService, neuraiDepinMsg, history) {
   const recipientDirectory = new RecipientDirectory(config, rpcService, neuraiDepinMsg);
-  const messageStore = new MessageStore();
+  const messageStore = createMessageStore(history, config.retention);
   const messagePoller = new MessagePoller(
     config,
     rpcService,
@@ -116,15 +172,104 @@ function initializeMessaging(config, walletManager, rpcService, neuraiDepinMsg)
   return { messageStore, messagePoller, messageSender, recipientDirectory };
 }
 
+/**
+ * Create the messaging components of one watched token
+ * Each token has its own history, store, poller, sender and recipient directory;
+ * the wallet and RPC service are shared.
+ * @param {ConfigManager} configManager - Configuration manager (history location and key)
+ * @param {string} token - DePIN token name
+ * @param {WalletManager} walletManager - Wallet manager instance
+ * @param {RpcService} rpcService - Shared RPC service instance
+ * @param {Object} neuraiDepinMsg - DePIN library instance
+ * @returns {Object} Session with token, config, history and messaging components
+ */
+function createTokenSession(configManager, token, walletManager, rpcService, neuraiDepinMsg) {
+  const config = { ...configManager.get(), token };
+  const history = new MessageHistory(
+    configManager.getHistoryPath(token),
+    configManager.getStorageKey()
+  );
+
+  return {
+    token,
+    config,
+    history,
+    ...initializeMessaging(config, walletManager, rpcService, neuraiDepinMsg, history),
+    detachPollerUi: null
+  };
+}
+
+/**
+ * Search the stores of every session
+ * @param {Array<Object>} sessions - Token sessions
+ * @param {string} query - Free text query
+ * @returns {Array<Object>} Matches tagged with their token, oldest first
+ */
+function searchSessions(sessions, query) {
+  const results = sessions
+    .flatMap((session) => session.messageStore.search(query).map((msg) => ({ ...msg, token: session.token })))
+    .sort((a, b) => a.timestamp - b.timestamp);
+  return results.length > SEARCH.MAX_RESULTS ? results.slice(-SEARCH.MAX_RESULTS) : results;
+}
+
+/**
+ * Describe what a received file is still missing
+ * @param {FileAssembler} fileAssembler - Assembler holding the transfer
+ * @param {Object} transfer - Incomplete transfer
+ * @returns {string} e.g. "missing parts 3, 6 of 8"
+ */
+function formatMissingParts(fileAssembler, transfer) {
+  const missing = fileAssembler.getMissing(transfer).map((index) => index + 1);
+  const shown = missing.length > 10 ? `${missing.slice(0, 10).join(', ')}, ...` : missing.join(', ');
+  const parts = missing.length > 0 ? `missing parts ${shown} of ${transfer.total}` : 'all parts received';
+  return transfer.manifest ? parts : `${parts}, and the manifest`;
+}
+
 /**
  * Connect poller events to UI
  * @param {MessagePoller} messagePoller - Message poller instance
  * @param {CharsmUI} ui - Terminal UI instance
  * @param {RpcService} rpcService - RPC service instance
+ * @param {Function} onRpcDown - Called when polling fails
+ * @param {string} token - Token the poller watches
  */
-function connectPollerToUI(messagePoller, ui, rpcService, onRpcDown) {
+function connectPollerToUI(messagePoller, ui, rpcService, onRpcDown, token) {
+  const { fileAssembler } = messagePoller;
+  // Files still arriving, shown again after each poll clears the status line
+  const receiving = new Set();
+  const showReceiving = (transfer) => {
+    const received = transfer.chunks.size;
+    ui.updateSendStatus(
+      `Receiving ${fileAssembler.getName(transfer)} from ${transfer.sender}: ${received}/${transfer.total} parts`,
+      'info'
+    );
+  };
+
   const onMessage = (msg) => {
-    ui.addMessage(msg);
+    ui.addMessage({ ...msg, token });
+  };
+
+  const onFile = (transfer) => {
+    const name = fileAssembler.getName(transfer);
+    receiving.delete(transfer);
+    if (transfer.status === FILE_STATUS.COMPLETE) {
+      ui.showSuccess(
+        `Received ${name} (${formatFileSize(transfer.manifest.size)}) from ${transfer.sender}: `
+        + `/save-file ${transfer.fileId} [PATH] to save it`
+      );
+    } else if (transfer.status === FILE_STATUS.CORRUPT) {
+      ui.showError(`${name} from ${transfer.sender} does not match its checksum and was dropped`);
+    } else {
+      receiving.add(transfer);
+      showReceiving(transfer);
+    }
+  };
+
+  const onFileStalled = (transfer) => {
+    receiving.delete(transfer);
+    ui.showError(
+      `${fileAssembler.getName(transfer)} from ${transfer.sender} is incomplete: ${formatMissingParts(fileAssembler, transfer)}`
+    );
   };
 
   const onPollComplete = (status) => {
@@ -141,6 +286,10 @@ function connectPollerToUI(messagePoller, ui, rpcService, onRpcDown) {
     // Clear error status if connection is successful
     if (rpcService.isConnected()) {
       ui.clearSendStatus();
+      const [latest] = [...receiving].slice(-1);
+      if (latest) {
+        showReceiving(latest);
+      }
     }
   };
 
@@ -165,67 +314,489 @@ function connectPollerToUI(messagePoller, ui, rpcService, onRpcDown) {
     ui.updateSendStatus('Connected to server', 'success');
   };
 
+  const onPruned = (messages) => {
+    ui.removeMessages(messages.map((msg) => msg.hash));
+  };
+
   messagePoller.on('message', onMessage);
   messagePoller.on('poll-complete', onPollComplete);
   messagePoller.on('error', onError);
   messagePoller.on('reconnected', onReconnected);
+  messagePoller.on('pruned', onPruned);
+  messagePoller.on('file', onFile);
+  messagePoller.on('file-stalled', onFileStalled);
 
   return () => {
     messagePoller.off('message', onMessage);
     messagePoller.off('poll-complete', onPollComplete);
     messagePoller.off('error', onError);
     messagePoller.off('reconnected', onReconnected);
+    messagePoller.off('pruned', onPruned);
+    messagePoller.off('file', onFile);
+    messagePoller.off('file-stalled', onFileStalled);
   };
 }
 
 /**
- * Connect UI send action to message sender
+ * Show the active RPC endpoint in the header and report failovers
+ * @param {RpcService} rpcService - RPC service instance
  * @param {CharsmUI} ui - Terminal UI instance
- * @param {MessageSender} messageSender - Message sender instance
- * @param {MessagePoller} messagePoller - Message poller instance
  */
-function connectSenderToUI(ui, messageSender, getMessageStore, getMessagePoller) {
-  ui.onSend(async (message) => {
+function connectRpcServiceToUI(rpcService, ui) {
+  ui.updateRpcEndpoint(rpcService.getActiveEndpoint());
+  rpcService.on('endpoint-changed', (endpoint) => {
+    ui.updateRpcEndpoint(endpoint);
+    ui.updateSendStatus(`${SUCCESS_MESSAGES.RPC_ENDPOINT_CHANGED} ${parseRpcHost(endpoint.url)}`, 'info');
+  });
+}
+
+/**
+ * Show delivery states of outgoing messages in the UI
+ * @param {DeliveryTracker} deliveryTracker - Delivery tracker shared by all tokens
+ * @param {CharsmUI} ui - Terminal UI instance
+ */
+function connectDeliveryTrackerToUI(deliveryTracker, ui) {
+  deliveryTracker.on('change', (entry) => ui.updateDelivery(entry));
+  deliveryTracker.on('discard', (messageHash) => ui.discardDelivery(messageHash));
+}
+
+/**
+ * Feed a token session's sends into the delivery tracker
+ * @param {MessageSender} messageSender - Message sender of the session
+ * @param {DeliveryTracker} deliveryTracker - Delivery tracker
+ * @param {string} token - Token the sender uses
+ * @param {string} address - Our address
+ */
+function trackSenderDeliveries(messageSender, deliveryTracker, token, address) {
+  messageSender.on('built', (details) => deliveryTracker.markBuilt({ ...details, token, sender: address }));
+  messageSender.on('submitted', ({ messageHash }) => deliveryTracker.markSubmitted(messageHash));
+  messageSender.on('failed', ({ messageHash }) => deliveryTracker.discard(messageHash));
+}
+
+/**
+ * Let terminal focus and user presence slow down or speed up polling
+ * @param {CharsmUI} ui - Terminal UI instance
+ * @param {Function} getMessagePollers - Returns the current message pollers
+ */
+function connectPresenceToPollers(ui, getMessagePollers) {
+  ui.onPresenceChange((presence) => {
+    getMessagePollers().forEach((poller) => poller.setPresence(presence));
+  });
+}
+
+/**
+ * Build the function that sends a message and reports it in the UI
+ * Each getter receives the token of the tab the message was typed in.
+ * @param {CharsmUI} ui - Terminal UI instance
+ * @param {Function} getMessageSender - Returns the message sender for a token
+ * @param {Function} getMessageStore - Returns the message store for a token
+ * @param {Function} getMessagePoller - Returns the message poller for a token
+ * @returns {Function} (message, token, options) => Promise that rejects if sending fails
+ */
+function createMessageDelivery(ui, getMessageSender, getMessageStore, getMessagePoller) {
+  return async (message, token, { replyTo = null } = {}) => {
     ui.updateSendStatus(INFO_MESSAGES.SENDING, 'info');
 
+    const result = await getMessageSender(token).send(message, null, { replyTo });
+    const hashPreview = result.hash
+      ? `${result.hash.slice(0, HASH.DISPLAY_LENGTH)}...`
+      : 'N/A';
+
+    if (result.messageType === MESSAGE_TYPES.PRIVATE && result.messageHash && result.recipientAddress) {
+      const store = getMessageStore(token);
+      if (store) {
+        store.registerOutgoingPrivateMessage(result.messageHash, result.recipientAddress);
+      }
+      ui.openPrivateTab(token, result.recipientAddress, true);
+    }
+
+    if (result.messageType === MESSAGE_TYPES.PRIVATE) {
+      ui.updateSendStatus(
+        `Private message sent to ${result.recipientAddress}. Hash: ${hashPreview}`,
+        'success'
+      );
+    } else {
+      ui.updateSendStatus(
+        `Message sent to ${result.recipients} recipients. Hash: ${hashPreview}`,
+        'success'
+      );
+    }
+
+    // Poll faster for a while to see the message and any replies
+    const poller = getMessagePoller(token);
+    if (poller) {
+      poller.notifyActivity();
+    }
+  };
+}
+
+/**
+ * Connect UI send action to message delivery
+ * With an outbox, messages typed while offline or blocked are queued, and so
+ * are messages that fail because the server stopped answering.
+ * @param {CharsmUI} ui - Terminal UI instance
+ * @param {Function} deliver - Sends a message, see createMessageDelivery
+ * @param {Object|null} [outboxQueue=null] - Outbox handle from connectOutboxToUI
+ */
+function connectSenderToUI(ui, deliver, outboxQueue = null) {
+  ui.onSend(async (message, token, options = {}) => {
+    const replyTo = options.replyTo || null;
+    if (outboxQueue && outboxQueue.shouldQueue()) {
+      outboxQueue.enqueue(token, message, null, replyTo);
+      return;
+    }
+
     try {
-      const result = await messageSender.send(message);
-      const hashPreview = result.hash
-        ? `${result.hash.slice(0, HASH.DISPLAY_LENGTH)}...`
-        : 'N/A';
+      await deliver(message, token, { replyTo });
+    } catch (error) {
+      const errorMsg = extractErrorMessage(error);
+      if (outboxQueue && !(await outboxQueue.isReachable())) {
+        outboxQueue.enqueue(token, message, errorMsg, replyTo);
+        return;
+      }
+      ui.updateSendStatus(`Error: ${errorMsg}`, 'error');
+    }
+  });
+}
 
+/**
+ * Connect UI reactions to the message sender
+ * Reactions are not queued in the outbox; one that fails is reported and can be sent again.
+ * @param {CharsmUI} ui - Terminal UI instance
+ * @param {Function} getMessageSender - Returns the message sender for a token
+ * @param {Function} getMessageStore - Returns the message store for a token
+ * @param {Function} getMessagePoller - Returns the message poller for a token
+ */
+function connectReactionsToUI(ui, getMessageSender, getMessageStore, getMessagePoller) {
+  ui.onReact(async ({ target, reaction, remove, token, peerAddress }) => {
+    ui.updateSendStatus(INFO_MESSAGES.SENDING, 'info');
+    try {
+      const result = await getMessageSender(token).react(target, reaction, peerAddress, { remove });
       if (result.messageType === MESSAGE_TYPES.PRIVATE && result.messageHash && result.recipientAddress) {
-        const store = getMessageStore();
+        const store = getMessageStore(token);
         if (store) {
           store.registerOutgoingPrivateMessage(result.messageHash, result.recipientAddress);
         }
-        ui.openPrivateTab(result.recipientAddress, true);
       }
+      ui.updateSendStatus(remove ? `Reaction ${reaction} removed` : `Reacted with ${reaction}`, 'success');
 
-      if (result.messageType === MESSAGE_TYPES.PRIVATE) {
-        ui.updateSendStatus(
-          `Private message sent to ${result.recipientAddress}. Hash: ${hashPreview}`,
-          'success'
-        );
-      } else {
-        ui.updateSendStatus(
-          `Message sent to ${result.recipients} recipients. Hash: ${hashPreview}`,
-          'success'
-        );
+      // Poll faster so the reaction is counted soon
+      const poller = getMessagePoller(token);
+      if (poller) {
+        poller.notifyActivity();
       }
+    } catch (error) {
+      ui.updateSendStatus(`Error: ${extractErrorMessage(error)}`, 'error');
+    }
+  });
+}
 
-      // Force a poll after sending to see the message
-      setTimeout(() => {
-        const poller = getMessagePoller();
-        if (poller) {
-          poller.poll();
-        }
-      }, MESSAGE.FORCE_POLL_DELAY);
+/**
+ * Show the outbox in the UI, apply edits and cancellations, and flush it
+ * @param {CharsmUI} ui - Terminal UI instance
+ * @param {Outbox} outbox - Loaded outbox
+ * @param {RpcService} rpcService - RPC service instance
+ * @param {Function} deliverItem - Sends an outbox item, rejects on failure
+ * @returns {{shouldQueue: Function, isReachable: Function, enqueue: Function, flush: Function}} Outbox handle
+ */
+function connectOutboxToUI(ui, outbox, rpcService, deliverItem) {
+  // An unsaved queue stays in memory until exit, so report it and keep going
+  const reportSaveError = (error) => {
+    ui.updateSendStatus(`Error: ${extractErrorMessage(error)}`, 'error');
+  };
+  const whileSaving = (action) => {
+    try {
+      return action();
     } catch (error) {
-      const errorMsg = extractErrorMessage(error);
-      ui.updateSendStatus(`Error: ${errorMsg}`, 'error');
+      if (!(error instanceof StorageError)) {
+        throw error;
+      }
+      reportSaveError(error);
+      return null;
+    }
+  };
+
+  const isReachable = () => rpcService.testConnection(true);
+  const flush = () => outbox.flush(deliverItem, isReachable).catch(reportSaveError);
+  const flushIfConnected = () => {
+    if (rpcService.isConnected()) {
+      flush();
+    }
+  };
+
+  ui.setOutboxItems(outbox.getItems());
+  outbox.on('change', (items) => ui.setOutboxItems(items));
+  outbox.on('error', reportSaveError);
+
+  ui.onOutboxAction(({ action, id, text }) => {
+    if (action === 'cancel') {
+      whileSaving(() => {
+        if (outbox.remove(id)) {
+          ui.updateSendStatus('Queued message cancelled', 'info');
+        }
+      });
+    } else if (action === 'edit') {
+      whileSaving(() => {
+        if (!outbox.update(id, text)) {
+          ui.updateSendStatus('Error: The queued message was already sent or is being sent', 'error');
+          return;
+        }
+        ui.updateSendStatus('Queued message updated', 'info');
+      });
+      flushIfConnected();
+    } else if (action === 'retry') {
+      whileSaving(() => outbox.retry(id));
+      flush();
+    }
+  });
+
+  return {
+    // Keep the order: while anything is queued, new messages queue behind it
+    shouldQueue: () => ui.isBlocked() || !rpcService.isConnected() || outbox.getPendingItems().length > 0,
+    isReachable,
+    enqueue: (token, text, lastError = null, replyTo = null) => {
+      whileSaving(() => {
+        outbox.enqueue(token, text, lastError, replyTo);
+        ui.updateSendStatus(INFO_MESSAGES.QUEUED, 'info');
+      });
+      flushIfConnected();
+    },
+    flush
+  };
+}
+
+/**
+ * Export stored messages from the `/export` UI command
+ * Arguments may appear in any order: a format (json, csv, md, txt),
+ * a scope (tab, group, all or @address) and a destination file.
+ * @param {CharsmUI} ui - Terminal UI instance
+ * @param {MessageExporter} exporter - Exporter instance
+ * @param {MessageStore} messageStore - Current message store
+ * @param {Array<string>} args - Command arguments
+ */
+function exportFromUI(ui, exporter, messageStore, args) {
+  let format = EXPORT.FORMATS.JSON;
+  let scope = null;
+  let filePath = null;
+
+  for (const arg of args) {
+    const candidateFormat = normalizeExportFormat(arg);
+    if (candidateFormat) {
+      format = candidateFormat;
+    } else if (arg === EXPORT.SCOPES.ALL || arg === EXPORT.SCOPES.GROUP) {
+      scope = { type: arg };
+    } else if (arg === 'tab') {
+      scope = null;
+    } else if (arg.startsWith('@') && arg.length > 1) {
+      scope = { type: EXPORT.SCOPES.PEER, peerAddress: arg.slice(1) };
+    } else {
+      filePath = arg;
+    }
+  }
+
+  if (!scope) {
+    const peerAddress = ui.getActivePeerAddress();
+    scope = peerAddress
+      ? { type: EXPORT.SCOPES.PEER, peerAddress }
+      : { type: EXPORT.SCOPES.GROUP };
+  }
+
+  try {
+    const messages = exporter.select(messageStore.getMessages(), scope);
+    const content = exporter.format(messages, format, scope);
+    const written = exporter.writeFile(filePath || exporter.defaultFileName(format, scope), content);
+    ui.updateSendStatus(`Exported ${messages.length} messages to ${written}`, 'success');
+  } catch (error) {
+    ui.updateSendStatus(`Export failed: ${extractErrorMessage(error)}`, 'error');
+  }
+}
+
+/**
+ * Send a file from the `/send-file PATH` UI command to the active conversation
+ * @param {CharsmUI} ui - Terminal UI instance
+ * @param {Object} session - Messaging session of the active token
+ * @param {string} filePath - File to send
+ */
+async function sendFileFromUI(ui, session, filePath) {
+  let data;
+  try {
+    data = fs.readFileSync(path.resolve(filePath));
+  } catch (error) {
+    ui.updateSendStatus(`Cannot read ${filePath}: ${error.message}`, 'error');
+    return;
+  }
+
+  const name = path.basename(filePath);
+  try {
+    ui.updateSendStatus(`Sending ${name}...`, 'info');
+    const result = await session.messageSender.sendFile(
+      name,
+      data,
+      ui.getActivePeerAddress(),
+      (sent, total) => ui.updateSendStatus(`Sending ${name}: ${sent}/${total} parts`, 'info')
+    );
+    if (result.messageType === MESSAGE_TYPES.PRIVATE) {
+      result.messageHashes.forEach(
+        (hash) => session.messageStore.registerOutgoingPrivateMessage(hash, result.recipientAddress)
+      );
+    }
+    ui.updateSendStatus(
+      `Sent ${result.name} (${formatFileSize(result.size)}) in ${result.total} parts, id ${result.fileId}`,
+      'success'
+    );
+    session.messagePoller.notifyActivity();
+  } catch (error) {
+    ui.updateSendStatus(`File not sent: ${extractErrorMessage(error)}`, 'error');
+  }
+}
+
+/**
+ * Save a received file from the `/save-file ID [PATH]` UI command
+ * @param {CharsmUI} ui - Terminal UI instance
+ * @param {FileAssembler} fileAssembler - Assembler of the active token
+ * @param {string} fileId - File id from the manifest
+ * @param {string|null} filePath - Destination, the file name in the working directory when null
+ */
+function saveFileFromUI(ui, fileAssembler, fileId, filePath) {
+  const transfer = fileAssembler.find(fileId);
+  if (!transfer) {
+    ui.updateSendStatus(`No received file with id ${fileId}`, 'error');
+    return;
+  }
+  const name = fileAssembler.getName(transfer);
+  if (transfer.status === FILE_STATUS.CORRUPT) {
+    ui.updateSendStatus(`${name} does not match its checksum and cannot be saved`, 'error');
+    return;
+  }
+  if (transfer.status === FILE_STATUS.RECEIVING) {
+    ui.updateSendStatus(`${name} is incomplete: ${formatMissingParts(fileAssembler, transfer)}`, 'error');
+    return;
+  }
+
+  try {
+    const written = fileAssembler.save(transfer, filePath || undefined);
+    ui.updateSendStatus(`Saved ${name} to ${written}`, 'success');
+  } catch (error) {
+    ui.updateSendStatus(`Save failed: ${extractErrorMessage(error)}`, 'error');
+  }
+}
+
+/**
+ * Register the slash-commands that need the messaging components
+ * Commands act on the token of the active tab; the interface registers the others.
+ * @param {CharsmUI} ui - Terminal UI instance
+ * @param {Object} handlers - Access to the messaging components
+ * @param {WalletManager} handlers.walletManager - Wallet manager instance
+ * @param {string} handlers.timezone - Timezone for displayed times
+ * @param {Function} handlers.getMessageStore - Returns the current message store for a token
+ * @param {Function} handlers.getRecipients - Resolves to the addresses with a revealed public key for a token
+ * @param {Function} handlers.describeStatus - Resolves to the lines shown by /status for a token
+ * @param {Function} handlers.reconnect - Checks the connection now
+ * @param {Function|null} [handlers.getSession=null] - Returns the messaging session of a token; null when attached to a daemon
+ */
+function connectCommandsToUI(ui, {
+  walletManager,
+  timezone,
+  getMessageStore,
+  getRecipients,
+  describeStatus,
+  reconnect,
+  getSession = null
+}) {
+  const completeAddress = (partial, { token }) => ui.getKnownAddresses(token)
+    .map((address) => (partial.startsWith('@') ? `@${address}` : address));
+
+  ui.commands.register({
+    name: 'export',
+    description: 'Export messages; any of a format (json, csv, md, txt), a scope (tab, group, all, @address) and a file',
+    args: [{
+      name: 'options',
+      variadic: true,
+      complete: (partial) => [
+        ...Object.values(EXPORT.FORMATS),
+        'tab',
+        EXPORT.SCOPES.GROUP,
+        EXPORT.SCOPES.ALL,
+        ...completePath(partial)
+      ]
+    }],
+    run: ({ options }, { token }) => {
+      const exporter = new MessageExporter({ token, address: walletManager.getAddress() });
+      exportFromUI(ui, exporter, getMessageStore(token), options);
+    }
+  });
+
+  ui.commands.register({
+    name: 'whois',
+    description: 'Show what is known about an address',
+    args: [{ name: 'address', required: true, complete: completeAddress }],
+    run: async ({ address }, { token }) => {
+      const target = address.replace(/^@/, '');
+      const messages = getMessageStore(token).getMessages().filter((msg) => msg.sender === target);
+      const recipients = await getRecipients(token);
+      const details = [
+        target === walletManager.getAddress() ? 'this is you' : null,
+        recipients.includes(target)
+          ? 'public key revealed (can receive private messages)'
+          : 'no revealed public key (cannot receive private messages)',
+        `${messages.length} message(s) in history`,
+        messages.length > 0
+          ? `last seen ${formatTimestamp(messages[messages.length - 1].timestamp, timezone)}`
+          : null
+      ];
+      ui.showInfo(`${target}: ${details.filter(Boolean).join(', ')}`);
+    }
+  });
+
+  ui.commands.register({
+    name: 'status',
+    description: 'Show the connection, polling and outbox state',
+    run: async (args, { token }) => {
+      (await describeStatus(token)).forEach((line) => ui.showInfo(line));
+    }
+  });
+
+  ui.commands.register({
+    name: 'reconnect',
+    description: 'Check the connection now instead of waiting for the next retry',
+    run: () => {
+      ui.updateSendStatus('Checking the connection...', 'info');
+      reconnect();
     }
   });
+
+  // Files need the poller and sender of this process
+  if (!getSession) {
+    return;
+  }
+
+  ui.commands.register({
+    name: 'send-file',
+    description: `Send a file of up to ${formatFileSize(FILE_TRANSFER.MAX_SIZE)} to the active conversation`,
+    args: [{ name: 'path', required: true, complete: completePath }],
+    run: ({ path: filePath }, { token }) => sendFileFromUI(ui, getSession(token), filePath)
+  });
+
+  ui.commands.register({
+    name: 'save-file',
+    description: 'Save a received file',
+    args: [
+      {
+        name: 'id',
+        required: true,
+        complete: (partial, { token }) => getSession(token).messagePoller.fileAssembler.list()
+          .filter((transfer) => transfer.status === FILE_STATUS.COMPLETE)
+          .map((transfer) => transfer.fileId)
+      },
+      { name: 'path', complete: completePath }
+    ],
+    run: ({ id, path: filePath }, { token }) => saveFileFromUI(
+      ui,
+      getSession(token).messagePoller.fileAssembler,
+      id,
+      filePath
+    )
+  });
 }
 
 /**
@@ -269,14 +840,24 @@ async function performInitialConnectionCheck(rpcService, ui) {
  * Start verification loop for Token and PubKey
  * @param {RpcService} rpcService - RPC service
  * @param {WalletManager} walletManager - Wallet manager
- * @param {Object} config - Configuration
+ * @param {Array<string>} tokens - Watched tokens
  * @param {CharsmUI} ui - UI instance
- * @param {MessagePoller} messagePoller - Message poller instance
+ * @param {Function} getMessagePollers - Returns the pollers of every token
+ * @param {Function} resetMessagingAfterReconnect - Rebuilds messaging after an outage
+ * @param {ReconnectPolicy} reconnectPolicy - Backoff for retries while blocked
  */
-function startVerificationLoop(rpcService, walletManager, config, ui, getMessagePoller, resetMessagingAfterReconnect) {
-  const RETRY_MS = 30000;
+function startVerificationLoop(
+  rpcService,
+  walletManager,
+  tokens,
+  ui,
+  getMessagePollers,
+  resetMessagingAfterReconnect,
+  reconnectPolicy
+) {
   let timeoutId = null;
   let hadBlockingErrors = false;
+  let verifying = false;
 
   const scheduleNext = (ms) => {
     if (timeoutId) {
@@ -287,11 +868,30 @@ function startVerificationLoop(rpcService, walletManager, config, ui, getMessage
     }, ms);
   };
 
+  // While blocked, retries follow the backoff policy instead of the periodic check
+  const scheduleRetry = () => {
+    clearTimeout(timeoutId);
+    timeoutId = null;
+    reconnectPolicy.schedule(verify);
+  };
+
   const verify = async () => {
+    if (verifying) {
+      return;
+    }
+    verifying = true;
+    try {
+      await runVerification();
+    } finally {
+      verifying = false;
+    }
+  };
+
+  const runVerification = async () => {
     const errors = [];
     const address = walletManager.getAddress();
 
-    const messagePoller = getMessagePoller();
+    const messagePollers = getMessagePollers();
 
     // 1. Check / (re)connect RPC
     // Only happens when this verification runs (aligned with overlay countdown).
@@ -304,15 +904,17 @@ function startVerificationLoop(rpcService, walletManager, config, ui, getMessage
 
     if (!isConnected) {
       errors.push('RPC: Unable to connect to RPC server or Node.');
-      if (messagePoller) {
-        messagePoller.wasDisconnected = true;
-      }
+      messagePollers.forEach((poller) => {
+        poller.wasDisconnected = true;
+      });
     } else {
       try {
-        // 2. Verify Token
-        const hasToken = await rpcService.verifyTokenOwnership(address, config.token);
-        if (!hasToken) {
-          errors.push(`Token: You do not have the configured token (${config.token}).`);
+        // 2. Verify every token
+        for (const token of tokens) {
+          const hasToken = await rpcService.verifyTokenOwnership(address, token);
+          if (!hasToken) {
+            errors.push(`Token: You do not have the configured token (${token}).`);
+          }
         }
 
         // 3. Verify Public Key
@@ -329,55 +931,119 @@ function startVerificationLoop(rpcService, walletManager, config, ui, getMessage
     // Update UI
     if (errors.length > 0) {
       hadBlockingErrors = true;
-      ui.showBlockingErrors(errors);
-      if (messagePoller) {
-        messagePoller.stop();
-      }
-      scheduleNext(RETRY_MS);
+      messagePollers.forEach((poller) => poller.stop());
+      scheduleRetry();
+      ui.showBlockingErrors(errors, () => reconnectPolicy.getRemainingMs());
     } else {
       const shouldFullSync = hadBlockingErrors;
       hadBlockingErrors = false;
+      reconnectPolicy.reset();
       ui.clearBlockingErrors();
 
       if (shouldFullSync && typeof resetMessagingAfterReconnect === 'function') {
         await resetMessagingAfterReconnect();
-      } else if (messagePoller) {
-        messagePoller.start();
-        try {
-          await messagePoller.poll();
-        } catch (e) {
-          // Poller error handler will surface this and reschedule.
+      } else {
+        for (const poller of messagePollers) {
+          poller.start();
+          try {
+            await poller.poll();
+          } catch (e) {
+            // Poller error handler will surface this and reschedule.
+          }
         }
       }
 
-      scheduleNext(RETRY_MS);
+      // A poll that failed meanwhile has already scheduled a retry
+      if (!reconnectPolicy.isPending()) {
+        scheduleNext(RECONNECT.VERIFY_INTERVAL);
+      }
     }
   };
 
   const notifyRpcDown = () => {
-    // Start a fresh 30s countdown and retry schedule
-    hadBlockingErrors = true;
-    ui.showBlockingErrors(['RPC: Unable to connect to RPC server or Node.']);
-    const messagePoller = getMessagePoller();
-    if (messagePoller) {
-      messagePoller.wasDisconnected = true;
-      messagePoller.stop();
+    // Every poller reports the same outage; keep the retry already scheduled
+    if (reconnectPolicy.isPending()) {
+      return;
     }
-    scheduleNext(RETRY_MS);
+    hadBlockingErrors = true;
+    getMessagePollers().forEach((poller) => {
+      poller.wasDisconnected = true;
+      poller.stop();
+    });
+    scheduleRetry();
+    ui.showBlockingErrors(
+      ['RPC: Unable to connect to RPC server or Node.'],
+      () => reconnectPolicy.getRemainingMs()
+    );
   };
 
   const start = () => {
     verify();
   };
 
-  return { notifyRpcDown, start };
+  // Check now instead of waiting for the next check or retry (/reconnect)
+  const verifyNow = () => {
+    if (!reconnectPolicy.retryNow()) {
+      verify();
+    }
+  };
+
+  ui.onRetryNow(() => reconnectPolicy.retryNow());
+
+  return { notifyRpcDown, start, verifyNow };
 }
 
 /**
- * Main application entry point
+ * Restore the terminal and exit on SIGINT (Ctrl+C) and SIGTERM
+ * Only for the interface; subcommands install their own shutdown handlers.
+ */
+function installTerminalSignalHandlers() {
+  const onSignal = () => {
+    if (uiInstance) {
+      uiInstance.cleanup();
+    }
+    process.exit(0);
+  };
+  process.on('SIGINT', onSignal);
+  process.on('SIGTERM', onSignal);
+}
+
+/**
+ * Report a fatal startup error and exit
+ * @param {Error} error - Error that stopped the interface
+ */
+function exitWithFatalError(error) {
+  if (uiInstance) {
+    uiInstance.cleanup();
+  }
+
+  const errorMsg = extractErrorMessage(error, 'Unknown error');
+
+  // For known errors, show a clean message. For unknown errors or debug mode, show stack trace
+  if (isKnownError(error)) {
+    console.error('\n✗ Error:', errorMsg);
+    if (isDebugMode() && error.stack) {
+      console.error('\nStack trace:');
+      console.error(error.stack);
+    }
+  } else {
+    console.error('\n✗ Fatal error:', errorMsg);
+    if (error.stack) {
+      console.error('\nStack trace:');
+      console.error(error.stack);
+    }
+  }
+
+  process.exit(1);
+}
+
+/**
+ * Terminal interface entry point
  * Orchestrates initialization and starts the application
+ * @param {Object} options - Parsed command line options
  */
-async function main() {
+async function runTerminal(options) {
+  installTerminalSignalHandlers();
   try {
     // Emergency cleanup to ensure terminal is in a clean state
     emergencyTerminalCleanup();
@@ -386,7 +1052,9 @@ async function main() {
     console.log('=====================\n');
 
     // 1. Load configuration
-    const config = await initializeConfig();
+    const configManager = await initializeConfig(options);
+    const config = configManager.get();
+    const tokens = configManager.getTokens();
 
     // Comprehensive stdin cleanup after password prompt
     if (process.stdin.isTTY) {
@@ -410,160 +1078,423 @@ async function main() {
     // 4. Initialize RPC
     const rpcService = await initializeRpc(config);
 
-    // 5. Initialize messaging components
-    const { messageStore, messagePoller, messageSender, recipientDirectory } = initializeMessaging(
-      config,
+    // 5. Initialize messaging components, one session per token sharing the RPC service
+    const sessions = tokens.map((token) => createTokenSession(
+      configManager,
+      token,
       walletManager,
       rpcService,
       neuraiDepinMsg
-    );
+    ));
+    messagingSessions = sessions;
+    const getSession = (token) => sessions.find((session) => session.token === token) || sessions[0];
 
-    // Mutable messaging refs to allow reset on reconnect
-    const messaging = {
-      messageStore,
-      messagePoller,
-      messageSender,
-      recipientDirectory,
-      detachPollerUi: null,
-      recipientRefreshInterval: null
-    };
-
-    const refreshRecipientCache = async (force = false) => {
+    const refreshRecipientCache = async (session, force = false) => {
       try {
-        await messaging.messageSender.refreshRecipientCache(force);
+        await session.messageSender.refreshRecipientCache(force);
       } catch (error) {
         // Non-fatal: keep existing cache if any
       }
     };
+    const refreshRecipientCaches = (force = false) => Promise.all(
+      sessions.map((session) => refreshRecipientCache(session, force))
+    );
 
     // 6. Initialize UI
     console.log(INFO_MESSAGES.STARTING_UI);
     console.log('');
-    const ui = await CharsmUI.create(config, walletManager, rpcService);
+    const ui = await CharsmUI.create(config, walletManager, rpcService, tokens);
     uiInstance = ui;
     ui.setRecipientProvider(
-      () => messaging.messageSender.getPrivateRecipientAddresses(),
-      () => messaging.messageSender.getCachedPrivateRecipientAddresses()
+      (token) => getSession(token).messageSender.getPrivateRecipientAddresses(),
+      (token) => getSession(token).messageSender.getCachedPrivateRecipientAddresses()
     );
+    ui.setSearchProvider((query) => searchSessions(sessions, query));
+    ui.setThreadProvider((msg) => getSession(msg.token).messageStore.getThread(msg.hash));
+    ui.setReactionProvider((msg) => getSession(msg.token).messageStore.getReactions(msg.hash));
+    sessions.forEach((session) => {
+      ui.loadHistory(session.messageStore.getMessages().map((msg) => ({ ...msg, token: session.token })));
+    });
+
+    // Follow our messages from build to pool expiry; those in the history were seen already
+    const myAddress = walletManager.getAddress();
+    const deliveryTracker = new DeliveryTracker();
+    connectDeliveryTrackerToUI(deliveryTracker, ui);
+    sessions.forEach((session) => {
+      trackSenderDeliveries(session.messageSender, deliveryTracker, session.token, myAddress);
+      session.messageStore.getMessages()
+        .filter((msg) => msg.sender === myAddress)
+        .forEach((msg) => deliveryTracker.markSeen(msg.hash, msg.timestamp));
+    });
 
     // 7. Get initial pool info and check connection
+    connectRpcServiceToUI(rpcService, ui);
     await performInitialConnectionCheck(rpcService, ui);
-    refreshRecipientCache(true);
-    messaging.recipientRefreshInterval = setInterval(
-      () => refreshRecipientCache(true),
-      RECIPIENT_CACHE.REFRESH_MS
+    refreshRecipientCaches(true);
+    setInterval(() => refreshRecipientCaches(true), RECIPIENT_CACHE.REFRESH_MS);
+
+    // 8. Queue messages that cannot be sent yet in the encrypted outbox
+    const deliver = createMessageDelivery(
+      ui,
+      (token) => getSession(token).messageSender,
+      (token) => getSession(token).messageStore,
+      (token) => getSession(token).messagePoller
     );
+    const outbox = new Outbox(
+      configManager.getOutboxPath(),
+      configManager.getStorageKey(),
+      new ReconnectPolicy(config.reconnect)
+    );
+    outbox.load();
+    const outboxQueue = connectOutboxToUI(ui, outbox, rpcService, async (item) => {
+      if (!tokens.includes(item.token)) {
+        throw new MessageError(`${item.token} is not watched in this session`);
+      }
+      await deliver(item.text, item.token, { replyTo: item.replyTo || null });
+    });
 
     let onRpcDownHandler = null;
 
-    const attachCurrentPollerToUI = () => {
-      if (messaging.detachPollerUi) {
-        messaging.detachPollerUi();
-        messaging.detachPollerUi = null;
+    const attachPollerToUI = (session) => {
+      if (session.detachPollerUi) {
+        session.detachPollerUi();
+        session.detachPollerUi = null;
       }
-      messaging.detachPollerUi = connectPollerToUI(
-        messaging.messagePoller,
+      const { messagePoller } = session;
+      const detachUi = connectPollerToUI(
+        messagePoller,
         ui,
         rpcService,
         (err) => {
           if (typeof onRpcDownHandler === 'function') {
             onRpcDownHandler(err);
           }
-        }
+        },
+        session.token
       );
+      // Send queued messages as soon as the connection is back
+      const onReconnected = () => outboxQueue.flush();
+      // Our messages coming back from the pool confirm delivery
+      const onMessage = (msg) => {
+        if (msg.sender === myAddress) {
+          deliveryTracker.markSeen(msg.hash, msg.timestamp);
+        }
+      };
+      const onPollComplete = ({ poolInfo }) => {
+        if (poolInfo) {
+          deliveryTracker.setExpiryHours(poolInfo.messageexpiryhours);
+        } else {
+          deliveryTracker.expireOld();
+        }
+      };
+      messagePoller.on('reconnected', onReconnected);
+      messagePoller.on('message', onMessage);
+      messagePoller.on('poll-complete', onPollComplete);
+      session.detachPollerUi = () => {
+        detachUi();
+        messagePoller.off('reconnected', onReconnected);
+        messagePoller.off('message', onMessage);
+        messagePoller.off('poll-complete', onPollComplete);
+      };
     };
 
-    const resetMessagingAfterReconnect = async () => {
+    const resetSession = (session) => {
       // Make reconnection behave like initial startup: new store + new poller + listeners.
-      if (messaging.detachPollerUi) {
-        messaging.detachPollerUi();
-        messaging.detachPollerUi = null;
+      if (session.detachPollerUi) {
+        session.detachPollerUi();
+        session.detachPollerUi = null;
       }
-      if (messaging.messagePoller) {
-        messaging.messagePoller.stop();
-        messaging.messagePoller.removeAllListeners();
+      if (session.messagePoller) {
+        session.messagePoller.stop();
+        session.messagePoller.removeAllListeners();
       }
 
-      messaging.messageStore = new MessageStore();
-      messaging.messagePoller = new MessagePoller(
-        config,
+      // Persist what we have, then reload it so the full sync merges with history
+      flushMessageStore(session.messageStore);
+      try {
+        session.messageStore = createMessageStore(session.history, session.config.retention);
+      } catch (error) {
+        // The file cannot be read right now: keep the messages in memory, a later save retries it
+      }
+      session.messagePoller = new MessagePoller(
+        session.config,
         rpcService,
-        messaging.messageStore,
+        session.messageStore,
         neuraiDepinMsg,
         walletManager,
-        messaging.recipientDirectory
+        session.recipientDirectory
       );
 
       // Mark as disconnected so the first poll is a full sync
-      messaging.messagePoller.wasDisconnected = true;
+      session.messagePoller.wasDisconnected = true;
+      session.messagePoller.setPresence(ui.getPresence());
 
-      attachCurrentPollerToUI();
+      attachPollerToUI(session);
+    };
+
+    const resetMessagingAfterReconnect = async () => {
+      sessions.forEach(resetSession);
 
       // Refresh pool info like at startup
       await performInitialConnectionCheck(rpcService, ui);
 
-      await refreshRecipientCache(true);
-      messaging.messagePoller.start();
-      await messaging.messagePoller.poll();
+      await refreshRecipientCaches(true);
+      for (const session of sessions) {
+        session.messagePoller.start();
+        await session.messagePoller.poll();
+      }
     };
 
-    const getMessagePoller = () => messaging.messagePoller;
-    const getMessageStore = () => messaging.messageStore;
+    const getMessagePollers = () => sessions.map((session) => session.messagePoller);
 
-    // 8. Create verification loop (Single retry mechanism)
+    // 9. Create verification loop (Single retry mechanism)
     const verification = startVerificationLoop(
       rpcService,
       walletManager,
-      config,
+      tokens,
       ui,
-      getMessagePoller,
-      resetMessagingAfterReconnect
+      getMessagePollers,
+      resetMessagingAfterReconnect,
+      new ReconnectPolicy(config.reconnect)
     );
     onRpcDownHandler = verification.notifyRpcDown;
 
-    // 9. Connect poller events to UI
-    attachCurrentPollerToUI();
+    // 10. Connect poller events to UI
+    sessions.forEach(attachPollerToUI);
+    connectPresenceToPollers(ui, getMessagePollers);
 
-    // 10. Connect message sending from UI
-    connectSenderToUI(ui, messaging.messageSender, getMessageStore, getMessagePoller);
+    // 11. Connect message sending and slash-commands from UI
+    connectSenderToUI(ui, deliver, outboxQueue);
+    connectReactionsToUI(
+      ui,
+      (token) => getSession(token).messageSender,
+      (token) => getSession(token).messageStore,
+      (token) => getSession(token).messagePoller
+    );
+    connectCommandsToUI(ui, {
+      walletManager,
+      timezone: config.timezone,
+      getMessageStore: (token) => getSession(token).messageStore,
+      getRecipients: (token) => getSession(token).messageSender.getPrivateRecipientAddresses(),
+      describeStatus: async (token) => {
+        const session = getSession(token);
+        const endpoint = rpcService.getActiveEndpoint();
+        const lines = [
+          `RPC: ${parseRpcHost(endpoint.url)}${endpoint.count > 1 ? ` (${endpoint.index + 1}/${endpoint.count})` : ''}, `
+          + `${rpcService.isConnected() ? 'connected' : 'disconnected'}`,
+          `${token}: ${session.messageStore.getCount()} message(s) stored, `
+          + `polling every ${Math.round(session.messagePoller.currentInterval / 1000)}s`,
+          `Outbox: ${outbox.getItems().length} queued message(s)`
+        ];
+        try {
+          const poolInfo = await rpcService.call('depingetmsginfo', []);
+          lines.push(`Pool: ${poolInfo.messages} message(s), kept for ${poolInfo.messageexpiryhours}h`);
+        } catch (error) {
+          lines.push(`Pool: unavailable (${extractErrorMessage(error)})`);
+        }
+        return lines;
+      },
+      reconnect: () => verification.verifyNow(),
+      getSession
+    });
 
-    // 11. Start verification loop (after wiring listeners)
+    // 12. Start verification loop (after wiring listeners)
     verification.start();
 
-    // 12. Mark as disconnected if starting without connection
+    // Send what was left in the outbox by the previous session
+    if (rpcService.isConnected()) {
+      outboxQueue.flush();
+    }
+
+    // 13. Mark as disconnected if starting without connection
     if (!rpcService.isConnected()) {
-      messaging.messagePoller.wasDisconnected = true;
+      getMessagePollers().forEach((poller) => {
+        poller.wasDisconnected = true;
+      });
     }
 
-    // 13. Show instructions
+    // 14. Show instructions
     const exitMsgHash = ui.showInfo(INFO_MESSAGES.PRESS_CTRL_C);
     setTimeout(() => {
       ui.removeMessage(exitMsgHash);
     }, 10000);
 
   } catch (error) {
-    if (uiInstance) {
-      uiInstance.cleanup();
-    }
+    exitWithFatalError(error);
+  }
+}
 
-    const errorMsg = extractErrorMessage(error, 'Unknown error');
+/**
+ * Terminal interface attached to a running daemon
+ * The daemon owns the key, poller and sender; this process only renders.
+ * @param {Object} options - Parsed command line options (--config locates the daemon)
+ */
+async function runAttachedTerminal(options) {
+  installTerminalSignalHandlers();
+  try {
+    emergencyTerminalCleanup();
 
-    // For known errors, show a clean message. For unknown errors or debug mode, show stack trace
-    if (isKnownError(error)) {
-      console.error('\n✗ Error:', errorMsg);
-      if (isDebugMode() && error.stack) {
-        console.error('\nStack trace:');
-        console.error(error.stack);
+    console.log('Neurai DePIN Terminal');
+    console.log('=====================\n');
+
+    const configManager = new ConfigManager(resolveConfigOptions(options));
+    const client = DaemonClient.fromInfoFile(configManager.getDaemonInfoPath());
+    console.log(INFO_MESSAGES.CONNECTING_DAEMON);
+    const status = await client.call('status');
+    console.log(`${SUCCESS_MESSAGES.DAEMON_ATTACHED}: ${status.address}`);
+    console.log('');
+
+    const config = { token: status.token, rpc_url: status.rpcUrl, timezone: status.timezone };
+    const wallet = { getAddress: () => status.address };
+
+    // In-memory mirror of the daemon history for search and /export
+    const messageStore = new MessageStore();
+
+    console.log(INFO_MESSAGES.STARTING_UI);
+    const ui = await CharsmUI.create(config, wallet, null);
+    uiInstance = ui;
+
+    let cachedRecipients = [];
+    ui.setRecipientProvider(
+      async () => {
+        const result = await client.call('recipients');
+        cachedRecipients = result.addresses;
+        return cachedRecipients;
+      },
+      () => cachedRecipients
+    );
+    ui.setSearchProvider((query) => messageStore.search(query));
+    ui.setThreadProvider((msg) => messageStore.getThread(msg.hash));
+    ui.setReactionProvider((msg) => messageStore.getReactions(msg.hash));
+
+    const applyStatus = (daemonStatus) => {
+      ui.updateRpcEndpoint(daemonStatus.rpcEndpoint);
+      ui.updatePoolInfo(daemonStatus.poolInfo);
+      ui.updateTopBar({
+        connected: daemonStatus.connected,
+        lastPoll: daemonStatus.lastPoll ? new Date(daemonStatus.lastPoll) : null
+      });
+    };
+
+    // Returns only the messages the mirror has not seen yet
+    const syncHistory = async () => {
+      const records = await client.call('history');
+      return records.filter((record) => messageStore.addMessage(record));
+    };
+
+    client.on('event', ({ event, data }) => {
+      if (event === 'message' && messageStore.addMessage(data)) {
+        ui.addMessage(data);
+      } else if (event === 'status') {
+        applyStatus(data);
       }
-    } else {
-      console.error('\n✗ Fatal error:', errorMsg);
-      if (error.stack) {
-        console.error('\nStack trace:');
-        console.error(error.stack);
+    });
+
+    const reconnectPolicy = new ReconnectPolicy({ initialDelay: DAEMON.CLIENT_RETRY_MS });
+    const reattach = () => {
+      reconnectPolicy.schedule(async () => {
+        try {
+          await client.subscribe();
+          (await syncHistory()).forEach((record) => ui.addMessage(record));
+          reconnectPolicy.reset();
+          ui.clearBlockingErrors();
+        } catch (error) {
+          reattach();
+        }
+      });
+    };
+    ui.onRetryNow(() => reconnectPolicy.retryNow());
+
+    client.on('disconnect', () => {
+      ui.updateTopBar({ connected: false, lastPoll: null });
+      reattach();
+      ui.showBlockingErrors(
+        [ERROR_MESSAGES.DAEMON_CONNECTION_LOST],
+        () => reconnectPolicy.getRemainingMs()
+      );
+    });
+
+    // Subscribe before fetching history so nothing falls in between
+    await client.subscribe();
+    ui.loadHistory(await syncHistory());
+    applyStatus(status);
+
+    const daemonSender = {
+      send: (message, recipientAddress, { replyTo = null } = {}) => client.call('send', { message, replyTo }),
+      react: (target, reaction, to, { remove = false } = {}) => client.call('react', { target, reaction, to, remove })
+    };
+    connectSenderToUI(ui, createMessageDelivery(ui, () => daemonSender, () => messageStore, () => null));
+    connectReactionsToUI(ui, () => daemonSender, () => messageStore, () => null);
+    connectCommandsToUI(ui, {
+      walletManager: wallet,
+      timezone: config.timezone,
+      getMessageStore: () => messageStore,
+      getRecipients: async () => (await client.call('recipients')).addresses,
+      describeStatus: async () => {
+        const daemonStatus = await client.call('status');
+        return [
+          `Daemon: ${daemonStatus.address}, ${daemonStatus.messages} message(s) stored`,
+          `RPC: ${parseRpcHost(daemonStatus.rpcUrl)}, ${daemonStatus.connected ? 'connected' : 'disconnected'}`,
+          `Last poll: ${daemonStatus.lastPoll || 'never'}`
+        ];
+      },
+      reconnect: () => {
+        if (!reconnectPolicy.retryNow()) {
+          ui.updateSendStatus('Attached to the daemon', 'success');
+        }
       }
-    }
+    });
 
-    process.exit(1);
+    const exitMsgHash = ui.showInfo(INFO_MESSAGES.PRESS_CTRL_C);
+    setTimeout(() => {
+      ui.removeMessage(exitMsgHash);
+    }, 10000);
+  } catch (error) {
+    exitWithFatalError(error);
+  }
+}
+
+/**
+ * Main application entry point
+ * Dispatches to the terminal interface or a subcommand
+ */
+async function main() {
+  let cli;
+  try {
+    cli = parseCli(process.argv.slice(2));
+  } catch (error) {
+    console.error(`✗ Error: ${extractErrorMessage(error)}\n`);
+    console.error(USAGE);
+    process.exit(EXIT_CODES.USAGE);
+  }
+
+  if (cli.options.help) {
+    console.log(USAGE);
+    process.exit(EXIT_CODES.SUCCESS);
+  }
+
+  switch (cli.command) {
+    case CLI_COMMANDS.SEND:
+      await runCommand(() => runSendCommand(cli.options, cli.positionals));
+      break;
+    case CLI_COMMANDS.LISTEN:
+      await runCommand(() => runListenCommand(cli.options));
+      break;
+    case CLI_COMMANDS.DAEMON:
+      await runCommand(() => runDaemonCommand(cli.options));
+      break;
+    case CLI_COMMANDS.EXPORT:
+      await runCommand(() => runExportCommand(cli.options));
+      break;
+    case CLI_COMMANDS.PROFILE:
+      await runCommand(() => runProfileCommand(cli.options, cli.positionals));
+      break;
+    default:
+      if (cli.options.attach) {
+        await runAttachedTerminal(cli.options);
+      } else {
+        await runTerminal(cli.options);
+      }
   }
 }
 
@@ -594,30 +1525,11 @@ process.on('unhandledRejection', (error) => {
   process.exit(1);
 });
 
-/**
- * Handle SIGINT (Ctrl+C)
- */
-process.on('SIGINT', () => {
-  if (uiInstance) {
-    uiInstance.cleanup();
-  }
-  process.exit(0);
-});
-
-/**
- * Handle SIGTERM
- */
-process.on('SIGTERM', () => {
-  if (uiInstance) {
-    uiInstance.cleanup();
-  }
-  process.exit(0);
-});
-
 /**
  * Handle process exit
  */
 process.on('exit', () => {
+  messagingSessions.forEach((session) => flushMessageStore(session.messageStore));
   if (uiInstance) {
     uiInstance.cleanup();
   }
@@ -0,0 +1,167 @@
+/**
+ * Delivery tracking for Neurai DePIN Terminal
+ * Follows outgoing messages from build to pool expiry by their message hash
+ * @module DeliveryTracker
+ */
+
+import { EventEmitter } from 'events';
+
+export const DELIVERY_STATES = {
+  BUILT: 'built',
+  SUBMITTED: 'submitted',
+  SEEN: 'seen',
+  EXPIRED: 'expired'
+};
+
+// States only move forward
+const STATE_ORDER = [
+  DELIVERY_STATES.BUILT,
+  DELIVERY_STATES.SUBMITTED,
+  DELIVERY_STATES.SEEN,
+  DELIVERY_STATES.EXPIRED
+];
+
+/**
+ * Tracks the delivery state of outgoing messages
+ *
+ * Events:
+ * - `change` (entry) when a message enters a new state
+ * - `discard` (messageHash) when a built message was not submitted
+ */
+export class DeliveryTracker extends EventEmitter {
+  constructor() {
+    super();
+    /** @type {Map<string, Object>} Entry by message hash */
+    this.entries = new Map();
+    /** @type {number|null} Pool message lifetime in seconds, once known */
+    this.expirySeconds = null;
+  }
+
+  getState(messageHash) {
+    const entry = this.entries.get(messageHash);
+    return entry ? entry.state : null;
+  }
+
+  /**
+   * Move an entry forward, ignoring late or repeated updates
+   * @param {Object} entry - Tracked entry
+   * @param {string} state - New state
+   */
+  advance(entry, state) {
+    if (STATE_ORDER.indexOf(state) <= STATE_ORDER.indexOf(entry.state)) {
+      return;
+    }
+    entry.state = state;
+    this.emit('change', { ...entry });
+  }
+
+  /**
+   * Start tracking a message built by MessageSender
+   * @param {Object} details - MessageSender `built` event plus the token
+   * @param {string} details.messageHash - Message hash
+   * @param {string} details.token - Token the message is sent with
+   * @param {string} details.sender - Sender address
+   * @param {string} details.message - Plaintext message
+   * @param {number} details.timestamp - Unix timestamp in seconds
+   * @param {"private"|"group"} details.messageType - Message type
+   * @param {string|null} details.recipientAddress - Target address for private messages
+   * @param {string} [details.contentType] - Envelope type
+   * @param {Object|null} [details.replyTo] - Parent message reference
+   * @param {Object|null} [details.content] - Other envelope fields
+   */
+  markBuilt({
+    messageHash,
+    token,
+    sender,
+    message,
+    timestamp,
+    messageType,
+    recipientAddress,
+    contentType,
+    replyTo = null,
+    content = null
+  }) {
+    if (this.entries.has(messageHash)) {
+      return;
+    }
+    const entry = {
+      messageHash,
+      token,
+      sender,
+      message,
+      timestamp,
+      messageType,
+      peerAddress: recipientAddress || null,
+      contentType,
+      replyTo,
+      content,
+      state: DELIVERY_STATES.BUILT
+    };
+    this.entries.set(messageHash, entry);
+    this.emit('change', { ...entry });
+  }
+
+  markSubmitted(messageHash) {
+    const entry = this.entries.get(messageHash);
+    if (entry) {
+      this.advance(entry, DELIVERY_STATES.SUBMITTED);
+    }
+  }
+
+  /**
+   * Record that the pool returned one of our messages
+   * Messages not sent in this session (e.g. restored from history) are tracked from here on.
+   * @param {string} messageHash - Message hash reported by the pool
+   * @param {number} timestamp - Unix timestamp in seconds
+   */
+  markSeen(messageHash, timestamp) {
+    let entry = this.entries.get(messageHash);
+    if (!entry) {
+      entry = { messageHash, timestamp, state: DELIVERY_STATES.SUBMITTED };
+      this.entries.set(messageHash, entry);
+    }
+    this.advance(entry, this.isExpired(entry) ? DELIVERY_STATES.EXPIRED : DELIVERY_STATES.SEEN);
+  }
+
+  /**
+   * Forget a built message that the pool did not accept
+   * @param {string} messageHash - Message hash
+   */
+  discard(messageHash) {
+    const entry = this.entries.get(messageHash);
+    if (entry && entry.state === DELIVERY_STATES.BUILT) {
+      this.entries.delete(messageHash);
+      this.emit('discard', messageHash);
+    }
+  }
+
+  isExpired(entry, now = Math.floor(Date.now() / 1000)) {
+    return this.expirySeconds !== null && entry.timestamp + this.expirySeconds <= now;
+  }
+
+  /**
+   * Update the pool message lifetime and expire messages past it
+   * @param {number} expiryHours - Pool `messageexpiryhours`
+   */
+  setExpiryHours(expiryHours) {
+    if (Number.isFinite(expiryHours) && expiryHours > 0) {
+      this.expirySeconds = expiryHours * 3600;
+    }
+    this.expireOld();
+  }
+
+  /**
+   * Mark submitted and seen messages whose pool lifetime has passed
+   * @param {number} [now] - Unix timestamp in seconds
+   */
+  expireOld(now = Math.floor(Date.now() / 1000)) {
+    if (this.expirySeconds === null) {
+      return;
+    }
+    for (const entry of this.entries.values()) {
+      if (entry.state !== DELIVERY_STATES.BUILT && entry.state !== DELIVERY_STATES.EXPIRED && this.isExpired(entry, now)) {
+        this.advance(entry, DELIVERY_STATES.EXPIRED);
+      }
+    }
+  }
+}
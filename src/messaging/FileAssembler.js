@@ -0,0 +1,197 @@
+/**
+ * File reassembly for Neurai DePIN Terminal
+ * Collects the manifest and chunk messages of received files and checks
+ * the result against the manifest checksum
+ * @module FileAssembler
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { FILE_TRANSFER } from '../constants.js';
+import { StorageError } from '../errors.js';
+import { ENVELOPE_TYPES, getContentType } from '../domain/envelope.js';
+import { sha256 } from '../domain/fileTransfer.js';
+
+export const FILE_STATUS = {
+  RECEIVING: 'receiving',
+  COMPLETE: 'complete',
+  CORRUPT: 'corrupt'
+};
+
+/**
+ * Received files by sender and file id
+ */
+export class FileAssembler {
+  constructor() {
+    /** @type {Map<string, Object>} Transfer by "sender:fileId" */
+    this.transfers = new Map();
+  }
+
+  /**
+   * Count a manifest or chunk message towards its file
+   * Chunks may arrive before the manifest; the file is checked once both are complete.
+   * @param {Object} msg - Stored message with contentType and content
+   * @param {number} [now] - Unix timestamp in seconds
+   * @returns {Object|null} Updated transfer, or null if the message changed nothing
+   */
+  add(msg, now = Math.floor(Date.now() / 1000)) {
+    const type = getContentType(msg);
+    if (type !== ENVELOPE_TYPES.FILE_MANIFEST && type !== ENVELOPE_TYPES.FILE_CHUNK) {
+      return null;
+    }
+
+    const { fileId, total } = msg.content;
+    const key = `${msg.sender}:${fileId}`;
+    let transfer = this.transfers.get(key);
+    if (!transfer) {
+      transfer = {
+        fileId,
+        sender: msg.sender,
+        messageType: msg.messageType,
+        peerAddress: msg.peerAddress || null,
+        manifest: null,
+        total,
+        chunks: new Map(),
+        data: null,
+        status: FILE_STATUS.RECEIVING,
+        updatedAt: now,
+        stallReported: false
+      };
+      this.transfers.set(key, transfer);
+    }
+    if (transfer.status !== FILE_STATUS.RECEIVING) {
+      return null;
+    }
+
+    if (type === ENVELOPE_TYPES.FILE_MANIFEST) {
+      if (transfer.manifest || (transfer.chunks.size > 0 && total !== transfer.total)) {
+        return null;
+      }
+      transfer.manifest = msg.content;
+      transfer.total = total;
+    } else {
+      if (total !== transfer.total || transfer.chunks.has(msg.content.index)) {
+        return null;
+      }
+      transfer.chunks.set(msg.content.index, msg.content.data);
+    }
+    transfer.updatedAt = now;
+    transfer.stallReported = false;
+
+    if (transfer.manifest && transfer.chunks.size === transfer.total) {
+      this.assemble(transfer);
+    }
+    return transfer;
+  }
+
+  /**
+   * Join the chunks of a complete transfer and verify size and checksum
+   * @param {Object} transfer - Transfer with all chunks
+   */
+  assemble(transfer) {
+    const data = Buffer.concat(
+      [...transfer.chunks.keys()].sort((a, b) => a - b)
+        .map((index) => Buffer.from(transfer.chunks.get(index), 'base64'))
+    );
+    const valid = data.length === transfer.manifest.size && sha256(data) === transfer.manifest.sha256;
+    transfer.status = valid ? FILE_STATUS.COMPLETE : FILE_STATUS.CORRUPT;
+    transfer.data = valid ? data : null;
+    transfer.chunks.clear();
+  }
+
+  /**
+   * Chunk indexes not received yet
+   * @param {Object} transfer - Transfer
+   * @returns {Array<number>} Zero-based indexes
+   */
+  getMissing(transfer) {
+    if (transfer.status !== FILE_STATUS.RECEIVING) {
+      return [];
+    }
+    return Array.from({ length: transfer.total }, (_, index) => index)
+      .filter((index) => !transfer.chunks.has(index));
+  }
+
+  /**
+   * Incomplete transfers without progress for FILE_TRANSFER.STALL_SECONDS
+   * Each stall is returned once; new progress arms the report again.
+   * @param {number} [now] - Unix timestamp in seconds
+   * @returns {Array<Object>} Stalled transfers
+   */
+  takeStalled(now = Math.floor(Date.now() / 1000)) {
+    const stalled = [...this.transfers.values()].filter((transfer) => transfer.status === FILE_STATUS.RECEIVING
+      && !transfer.stallReported
+      && now - transfer.updatedAt >= FILE_TRANSFER.STALL_SECONDS);
+    stalled.forEach((transfer) => {
+      transfer.stallReported = true;
+    });
+    return stalled;
+  }
+
+  /**
+   * Forget incomplete transfers without progress for FILE_TRANSFER.DROP_SECONDS
+   * Keeps senders from filling memory with files they never finish.
+   * @param {number} [now] - Unix timestamp in seconds
+   * @returns {Array<Object>} Dropped transfers
+   */
+  dropAbandoned(now = Math.floor(Date.now() / 1000)) {
+    const abandoned = [...this.transfers].filter(([, transfer]) => transfer.status === FILE_STATUS.RECEIVING
+      && now - transfer.updatedAt >= FILE_TRANSFER.DROP_SECONDS);
+    abandoned.forEach(([key]) => this.transfers.delete(key));
+    return abandoned.map(([, transfer]) => transfer);
+  }
+
+  list() {
+    return [...this.transfers.values()];
+  }
+
+  /**
+   * Find a transfer by file id, the most recent one if several senders used it
+   * @param {string} fileId - File id from the manifest
+   * @returns {Object|null} Transfer
+   */
+  find(fileId) {
+    return this.list()
+      .filter((transfer) => transfer.fileId === fileId)
+      .sort((a, b) => b.updatedAt - a.updatedAt)[0] || null;
+  }
+
+  /**
+   * Name to show for a transfer, without control characters
+   * @param {Object} transfer - Transfer
+   * @returns {string} File name from the manifest, or the file id before it arrives
+   */
+  getName(transfer) {
+    const name = transfer.manifest ? transfer.manifest.name : transfer.fileId;
+    return String(name).replace(/[\x00-\x1f\x7f-\x9f]/g, '');
+  }
+
+  /**
+   * File name to save a transfer under when no path is given
+   * @param {Object} transfer - Complete transfer
+   * @returns {string} Base name from the manifest, or one derived from the file id
+   */
+  getDefaultFileName(transfer) {
+    const name = path.basename(this.getName(transfer));
+    return name && name !== '.' && name !== '..' ? name : `depin-file-${transfer.fileId}`;
+  }
+
+  /**
+   * Write a complete file to disk (owner-only permissions, never overwriting)
+   * @param {Object} transfer - Complete transfer
+   * @param {string} [filePath] - Destination, the default file name in the working directory otherwise
+   * @returns {string} Absolute path written
+   * @throws {StorageError} If the file cannot be written
+   */
+  save(transfer, filePath = this.getDefaultFileName(transfer)) {
+    const absolutePath = path.resolve(filePath);
+    try {
+      fs.writeFileSync(absolutePath, transfer.data, { mode: 0o600, flag: 'wx' });
+    } catch (error) {
+      throw new StorageError(error.code === 'EEXIST'
+        ? `${absolutePath} already exists`
+        : `Failed to save file: ${error.message}`);
+    }
+    return absolutePath;
+  }
+}
@@ -0,0 +1,226 @@
+/**
+ * Conversation exporter for Neurai DePIN Terminal
+ * Writes stored messages as JSON, CSV, Markdown or plain text
+ * @module MessageExporter
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { EXPORT } from '../constants.js';
+import { StorageError } from '../errors.js';
+import { MESSAGE_TYPES, normalizeMessageType } from '../domain/messageTypes.js';
+
+const CSV_COLUMNS = ['timestamp', 'datetime', 'sender', 'message_type', 'peer_address', 'hash', 'message'];
+
+/**
+ * Resolve a user supplied format name
+ * @param {string} name - Format name or alias (json, csv, md, markdown, txt, text)
+ * @returns {string|null} Canonical format or null if unknown
+ */
+export const normalizeExportFormat = (name) => {
+  if (typeof name !== 'string') {
+    return null;
+  }
+  const lowered = name.toLowerCase();
+  if (Object.values(EXPORT.FORMATS).includes(lowered)) {
+    return lowered;
+  }
+  return EXPORT.FORMAT_ALIASES[lowered] || null;
+};
+
+/**
+ * Formats stored messages for archiving
+ */
+export class MessageExporter {
+  /**
+   * Create a new MessageExporter instance
+   * @param {Object} meta - Export metadata
+   * @param {string} meta.token - DePIN token name
+   * @param {string} [meta.address] - Own address
+   */
+  constructor({ token, address = null }) {
+    this.token = token;
+    this.address = address;
+  }
+
+  /**
+   * Select the messages belonging to a scope
+   * @param {Array<Object>} messages - Stored messages
+   * @param {Object} scope - Export scope
+   * @param {string} scope.type - "all", "group" or "peer"
+   * @param {string} [scope.peerAddress] - Peer address for "peer" scope
+   * @returns {Array<Object>} Messages sorted by timestamp
+   */
+  select(messages, scope) {
+    return messages
+      .filter((msg) => {
+        const type = normalizeMessageType(msg.messageType || msg.message_type);
+        if (scope.type === EXPORT.SCOPES.GROUP) {
+          return type === MESSAGE_TYPES.GROUP;
+        }
+        if (scope.type === EXPORT.SCOPES.PEER) {
+          return type === MESSAGE_TYPES.PRIVATE && msg.peerAddress === scope.peerAddress;
+        }
+        return true;
+      })
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Convert a message to the exported record shape
+   * @param {Object} msg - Stored message
+   * @returns {Object} Export record
+   */
+  toRecord(msg) {
+    return {
+      timestamp: msg.timestamp,
+      datetime: new Date(msg.timestamp * 1000).toISOString(),
+      sender: msg.sender,
+      messageType: normalizeMessageType(msg.messageType || msg.message_type),
+      peerAddress: msg.peerAddress || null,
+      hash: msg.hash,
+      message: msg.message
+    };
+  }
+
+  describeScope(scope) {
+    if (scope.type === EXPORT.SCOPES.PEER) {
+      return `private conversation with ${scope.peerAddress}`;
+    }
+    if (scope.type === EXPORT.SCOPES.GROUP) {
+      return 'group messages';
+    }
+    return 'all conversations';
+  }
+
+  /**
+   * Render messages in the requested format
+   * @param {Array<Object>} messages - Messages to export
+   * @param {string} format - Canonical format (json, csv, md, txt)
+   * @param {Object} scope - Export scope used for the header
+   * @returns {string} Export document
+   */
+  format(messages, format, scope) {
+    const records = messages.map((msg) => this.toRecord(msg));
+    const exportedAt = new Date().toISOString();
+
+    switch (format) {
+      case EXPORT.FORMATS.CSV:
+        return this.formatCsv(records);
+      case EXPORT.FORMATS.MARKDOWN:
+        return this.formatMarkdown(records, scope, exportedAt);
+      case EXPORT.FORMATS.TEXT:
+        return this.formatText(records, scope, exportedAt);
+      case EXPORT.FORMATS.JSON:
+      default:
+        return `${JSON.stringify({
+          exportedAt,
+          token: this.token,
+          address: this.address,
+          scope: this.describeScope(scope),
+          count: records.length,
+          messages: records
+        }, null, 2)}\n`;
+    }
+  }
+
+  formatCsv(records) {
+    // Cells a spreadsheet would evaluate as a formula get a leading ' and are quoted
+    const escape = (value) => {
+      const raw = value === null || value === undefined ? '' : String(value);
+      const formula = /^[=+\-@\t\r]/.test(raw);
+      const text = formula ? `'${raw}` : raw;
+      return formula || /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = records.map((record) => [
+      record.timestamp,
+      record.datetime,
+      record.sender,
+      record.messageType,
+      record.peerAddress,
+      record.hash,
+      record.message
+    ].map(escape).join(','));
+
+    return `${[CSV_COLUMNS.join(','), ...rows].join('\r\n')}\r\n`;
+  }
+
+  formatMarkdown(records, scope, exportedAt) {
+    const cell = (value) => String(value ?? '')
+      .replace(/\|/g, '\\|')
+      .replace(/\r?\n/g, '<br>');
+
+    const lines = [
+      `# DePIN export: ${this.token}`,
+      '',
+      `- Scope: ${this.describeScope(scope)}`,
+      `- Address: ${this.address || 'N/A'}`,
+      `- Exported at: ${exportedAt}`,
+      `- Messages: ${records.length}`,
+      '',
+      '| Time (UTC) | Sender | Type | Peer | Hash | Message |',
+      '| --- | --- | --- | --- | --- | --- |'
+    ];
+
+    records.forEach((record) => {
+      lines.push(`| ${[
+        record.datetime,
+        record.sender,
+        record.messageType,
+        record.peerAddress || '',
+        `\`${record.hash}\``,
+        record.message
+      ].map(cell).join(' | ')} |`);
+    });
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  formatText(records, scope, exportedAt) {
+    const lines = [
+      `DePIN export: ${this.token} (${this.describeScope(scope)})`,
+      `Address: ${this.address || 'N/A'}`,
+      `Exported at: ${exportedAt}`,
+      `Messages: ${records.length}`,
+      ''
+    ];
+
+    records.forEach((record) => {
+      const peer = record.peerAddress ? ` -> ${record.peerAddress}` : '';
+      lines.push(`[${record.datetime}] ${record.sender}${peer} (${record.messageType}) ${record.hash}`);
+      String(record.message).split(/\r?\n/).forEach((line) => lines.push(`    ${line}`));
+    });
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Build a default file name for an export
+   * @param {string} format - Canonical format
+   * @param {Object} scope - Export scope
+   * @returns {string} File name
+   */
+  defaultFileName(format, scope) {
+    const label = scope.type === EXPORT.SCOPES.PEER ? scope.peerAddress : scope.type;
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    return `${EXPORT.FILE_PREFIX}-${label}-${stamp}.${format}`;
+  }
+
+  /**
+   * Write an export document to disk (owner-only permissions)
+   * @param {string} filePath - Destination path
+   * @param {string} content - Export document
+   * @returns {string} Absolute path written
+   * @throws {StorageError} If the file cannot be written
+   */
+  writeFile(filePath, content) {
+    const absolutePath = path.resolve(filePath);
+    try {
+      fs.writeFileSync(absolutePath, content, { mode: 0o600 });
+    } catch (error) {
+      throw new StorageError(`Failed to write export: ${error.message}`);
+    }
+    return absolutePath;
+  }
+}
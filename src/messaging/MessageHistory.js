@@ -0,0 +1,146 @@
+/**
+ * Encrypted local message history for Neurai DePIN Terminal
+ * Persists decrypted messages to disk with AES-256-GCM
+ * @module MessageHistory
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { HISTORY } from '../constants.js';
+import { StorageError } from '../errors.js';
+import { encryptWithKey, decryptWithKey, isProcessAlive, moveAside } from '../utils.js';
+
+const lockWait = new Int32Array(new SharedArrayBuffer(4));
+
+/**
+ * Take the lock file of a history file, waiting while another process holds it
+ * The lock holds the owner's pid; a lock left by a process that is gone is removed.
+ * @param {string} lockPath - Lock file path
+ * @returns {Function} Releases the lock
+ * @throws {StorageError} If the lock is still held after HISTORY.LOCK_TIMEOUT_MS
+ */
+function acquireLock(lockPath) {
+  const deadline = Date.now() + HISTORY.LOCK_TIMEOUT_MS;
+  for (;;) {
+    try {
+      fs.writeFileSync(lockPath, String(process.pid), { mode: 0o600, flag: 'wx' });
+      return () => fs.rmSync(lockPath, { force: true });
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw new StorageError(`Failed to lock message history: ${error.message}`);
+      }
+    }
+
+    let owner = NaN;
+    try {
+      owner = Number.parseInt(fs.readFileSync(lockPath, 'utf-8'), 10);
+    } catch (error) {
+      // Released meanwhile, or not written yet
+    }
+    if (Number.isInteger(owner) && !isProcessAlive(owner)) {
+      fs.rmSync(lockPath, { force: true });
+      continue;
+    }
+    if (Date.now() >= deadline) {
+      throw new StorageError(`Message history is locked by another process (${lockPath})`);
+    }
+    // Saves are synchronous (they also run on exit), so wait without the event loop
+    Atomics.wait(lockWait, 0, 0, HISTORY.LOCK_RETRY_MS);
+  }
+}
+
+/**
+ * Reads and writes the encrypted history file
+ */
+export class MessageHistory {
+  /**
+   * Create a new MessageHistory instance
+   * @param {string} filePath - History file path
+   * @param {Buffer} key - 32-byte key derived from the user password
+   */
+  constructor(filePath, key) {
+    this.filePath = filePath;
+    this.key = key;
+  }
+
+  /**
+   * Load history from disk
+   * A file that cannot be decrypted or parsed (other password, corrupted) is
+   * moved aside so the next save does not overwrite it. A file that cannot be
+   * read is left alone.
+   * @returns {{messages: Array<Object>, outgoingPrivateRecipients: Array<Array<string>>}} Stored data
+   * @throws {StorageError} If the file exists but cannot be read
+   */
+  load() {
+    const empty = { messages: [], outgoingPrivateRecipients: [] };
+
+    let content;
+    try {
+      content = fs.readFileSync(this.filePath, 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return empty;
+      }
+      throw new StorageError(`Failed to read message history: ${error.message}`);
+    }
+
+    try {
+      const file = JSON.parse(content);
+      if (file.version !== HISTORY.VERSION || typeof file.payload !== 'string') {
+        throw new StorageError('Unsupported history file format');
+      }
+
+      const data = JSON.parse(decryptWithKey(file.payload, this.key));
+      return {
+        messages: Array.isArray(data.messages) ? data.messages : [],
+        outgoingPrivateRecipients: Array.isArray(data.outgoingPrivateRecipients)
+          ? data.outgoingPrivateRecipients
+          : []
+      };
+    } catch (error) {
+      moveAside(this.filePath, HISTORY.UNREADABLE_SUFFIX);
+      return empty;
+    }
+  }
+
+  /**
+   * Read, change and write the history while holding its lock
+   * Several processes (terminal, `listen`, `daemon`) may use the same file;
+   * merging what is on disk before writing keeps messages the others saved.
+   * @param {Function} merge - Receives the stored data, returns the data to write
+   * @throws {StorageError} If the file cannot be locked, read or written
+   */
+  update(merge) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true, mode: 0o700 });
+    const release = acquireLock(`${this.filePath}${HISTORY.LOCK_SUFFIX}`);
+    try {
+      this.save(merge(this.load()));
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Write history to disk atomically (temp file + rename)
+   * Callers that may share the file with other processes use update().
+   * @param {Object} data - Data to persist
+   * @param {Array<Object>} data.messages - Stored messages
+   * @param {Array<Array<string>>} data.outgoingPrivateRecipients - [hash, address] pairs
+   * @throws {StorageError} If the file cannot be written
+   */
+  save(data) {
+    const tempPath = `${this.filePath}.tmp`;
+
+    try {
+      const file = {
+        version: HISTORY.VERSION,
+        payload: encryptWithKey(JSON.stringify(data), this.key)
+      };
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true, mode: 0o700 });
+      fs.writeFileSync(tempPath, JSON.stringify(file), { mode: 0o600 });
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      throw new StorageError(`Failed to save message history: ${error.message}`);
+    }
+  }
+}
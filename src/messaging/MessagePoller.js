@@ -5,25 +5,34 @@
  */
 
 import { EventEmitter } from 'events';
-import { RPC_METHODS } from '../constants.js';
+import { POLLING, RPC_METHODS } from '../constants.js';
 import { isEncryptedResponse } from '../utils.js';
 import { MESSAGE_TYPES, normalizeMessageType } from '../domain/messageTypes.js';
+import { decodeEnvelope, toMessageFields } from '../domain/envelope.js';
 import { RecipientDirectory } from './RecipientDirectory.js';
+import { FileAssembler } from './FileAssembler.js';
 
 /**
- * Polls for new DePIN messages at regular intervals
+ * Polls for new DePIN messages at an adaptive interval
+ * The interval drops to POLLING.MIN_INTERVAL after activity (sends, new
+ * messages, the user coming back) and grows by POLLING.BACKOFF_FACTOR after
+ * each quiet poll, up to `pollInterval` while the user is present or
+ * POLLING.MAX_INTERVAL while the terminal is unfocused or the user is away.
  * @extends EventEmitter
  * @fires MessagePoller#message
  * @fires MessagePoller#poll-complete
  * @fires MessagePoller#error
  * @fires MessagePoller#reconnected
+ * @fires MessagePoller#pruned
+ * @fires MessagePoller#file
+ * @fires MessagePoller#file-stalled
  */
 export class MessagePoller extends EventEmitter {
   /**
    * Create a new MessagePoller instance
    * @param {Object} config - Configuration object
    * @param {string} config.token - DePIN token name
-   * @param {number} config.pollInterval - Polling interval in milliseconds
+   * @param {number} config.pollInterval - Idle polling interval in milliseconds while the user is present
    * @param {RpcService} rpcService - RPC service instance
    * @param {MessageStore} messageStore - Message store instance
    * @param {Object} neuraiDepinMsg - DePIN message library
@@ -37,11 +46,33 @@ export class MessagePoller extends EventEmitter {
     this.messageStore = messageStore;
     this.neuraiDepinMsg = neuraiDepinMsg;
     this.walletManager = walletManager;
-    this.intervalId = null;
+    this.timeoutId = null;
+    this.nextPollAt = null;
+    this.running = false;
     this.isPolling = false;
+    this.currentInterval = config.pollInterval;
+    this.focused = true;
+    this.away = false;
     this.wasDisconnected = false; // Track if we were disconnected
     this.recipientDirectory = recipientDirectory
       || new RecipientDirectory(config, rpcService, neuraiDepinMsg);
+
+    // Files received before a restart or reconnection can still be saved
+    this.fileAssembler = new FileAssembler();
+    this.messageStore.getMessages().forEach((msg) => this.trackFile(msg));
+  }
+
+  /**
+   * Count a received manifest or chunk towards its file
+   * Files we sent ourselves are not reassembled.
+   * @param {Object} msg - Stored message
+   * @returns {Object|null} Updated transfer, see FileAssembler.add()
+   */
+  trackFile(msg) {
+    if (msg.sender === this.walletManager.getAddress()) {
+      return null;
+    }
+    return this.fileAssembler.add(msg);
   }
 
   /**
@@ -53,23 +84,90 @@ export class MessagePoller extends EventEmitter {
   }
 
   /**
-   * Start polling at configured interval
+   * Start polling; each poll schedules the next one
    */
   start() {
-    if (this.intervalId) {
+    if (this.running) {
       return;
     }
+    this.running = true;
     this.poll(); // Initial poll
-    this.intervalId = setInterval(() => this.poll(), this.config.pollInterval);
   }
 
   /**
    * Stop polling
    */
   stop() {
-    if (this.intervalId) {
-      clearInterval(this.intervalId);
-      this.intervalId = null;
+    this.running = false;
+    this.clearSchedule();
+  }
+
+  clearSchedule() {
+    clearTimeout(this.timeoutId);
+    this.timeoutId = null;
+    this.nextPollAt = null;
+  }
+
+  /**
+   * Schedule the next poll, replacing any pending one
+   * @param {number} delay - Delay in milliseconds
+   */
+  scheduleNext(delay) {
+    this.clearSchedule();
+    this.nextPollAt = Date.now() + delay;
+    this.timeoutId = setTimeout(() => {
+      this.timeoutId = null;
+      this.nextPollAt = null;
+      this.poll();
+    }, delay);
+  }
+
+  /**
+   * Longest interval for the current presence
+   * @returns {number} Interval in milliseconds
+   */
+  getIdleInterval() {
+    return this.focused && !this.away ? this.config.pollInterval : POLLING.MAX_INTERVAL;
+  }
+
+  getInterval() {
+    return this.currentInterval;
+  }
+
+  /**
+   * Adjust the interval after a poll
+   * @param {number} newMessages - Messages received by the poll
+   */
+  adaptInterval(newMessages) {
+    this.currentInterval = newMessages > 0
+      ? POLLING.MIN_INTERVAL
+      : Math.min(this.currentInterval * POLLING.BACKOFF_FACTOR, this.getIdleInterval());
+  }
+
+  /**
+   * Poll faster for a while, e.g. after sending a message
+   * Brings a pending poll forward if it would run later than the new interval.
+   */
+  notifyActivity() {
+    this.currentInterval = POLLING.MIN_INTERVAL;
+    if (this.running && this.nextPollAt !== null && this.nextPollAt - Date.now() > this.currentInterval) {
+      this.scheduleNext(this.currentInterval);
+    }
+  }
+
+  /**
+   * Update terminal focus and user presence
+   * Coming back counts as activity; leaving lets the interval grow to POLLING.MAX_INTERVAL.
+   * @param {Object} presence - Presence flags
+   * @param {boolean} presence.focused - Terminal has focus
+   * @param {boolean} presence.away - No input for POLLING.AWAY_AFTER
+   */
+  setPresence({ focused, away }) {
+    const wasPresent = this.focused && !this.away;
+    this.focused = focused;
+    this.away = away;
+    if (!wasPresent && focused && !away) {
+      this.notifyActivity();
     }
   }
 
@@ -171,9 +269,33 @@ export class MessagePoller extends EventEmitter {
         }
       }
 
+      this.adaptInterval(newMessagesCount);
+
+      /**
+       * File stalled event
+       * @event MessagePoller#file-stalled
+       * @type {Object} Transfer missing chunks for FILE_TRANSFER.STALL_SECONDS, see FileAssembler
+       */
+      this.fileAssembler.takeStalled().forEach((transfer) => this.emit('file-stalled', transfer));
+      this.fileAssembler.dropAbandoned();
+
       // Get pool info
       const poolInfo = await this.fetchPoolInfo();
 
+      // Apply the local retention policy now that the pool lifetime is known
+      if (poolInfo) {
+        this.messageStore.setPoolExpiryHours(poolInfo.messageexpiryhours);
+      }
+      const pruned = this.messageStore.prune();
+      if (pruned.length > 0) {
+        /**
+         * Pruned event
+         * @event MessagePoller#pruned
+         * @type {Array<Object>} Messages dropped by the retention policy
+         */
+        this.emit('pruned', pruned);
+      }
+
       /**
        * Poll complete event
        * @event MessagePoller#poll-complete
@@ -210,6 +332,10 @@ export class MessagePoller extends EventEmitter {
       this.emit('error', error);
     } finally {
       this.isPolling = false;
+      // Error listeners stop the poller while disconnected
+      if (this.running) {
+        this.scheduleNext(this.currentInterval);
+      }
     }
   }
 
@@ -268,6 +394,8 @@ export class MessagePoller extends EventEmitter {
         return false; // Not for us or malformed
       }
 
+      // Dispatch on the envelope type: text, reply, reaction, edit, ...
+      const fields = toMessageFields(decodeEnvelope(plaintext));
       const messageType = normalizeMessageType(msg.message_type || msg.messageType);
       let peerAddress = null;
 
@@ -280,15 +408,16 @@ export class MessagePoller extends EventEmitter {
       }
 
       // Add to store with deduplication
-      const isNew = this.messageStore.addMessage({
+      const record = {
         sender: msg.sender,
-        message: plaintext,
+        ...fields,
         timestamp: msg.timestamp,
         hash: msg.hash,
         signature: msg.signature_hex,
         messageType: messageType,
         peerAddress: peerAddress
-      });
+      };
+      const isNew = this.messageStore.addMessage(record);
 
       if (isNew) {
         /**
@@ -296,18 +425,31 @@ export class MessagePoller extends EventEmitter {
          * @event MessagePoller#message
          * @type {Object}
          * @property {string} sender - Sender address
-         * @property {string} message - Decrypted message content
+         * @property {string} message - Decrypted message text
+         * @property {string} contentType - Envelope type (text, reply, reaction, ...)
+         * @property {Object|null} replyTo - Parent message reference for replies
+         * @property {Object|null} content - Other envelope fields
          * @property {number} timestamp - Unix timestamp in seconds
          * @property {string} hash - Message hash
          */
         this.emit('message', {
           sender: msg.sender,
-          message: plaintext,
+          ...fields,
           timestamp: msg.timestamp,
           hash: msg.hash,
           messageType: messageType,
           peerAddress: peerAddress
         });
+
+        const transfer = this.trackFile(record);
+        if (transfer) {
+          /**
+           * File event - a received file made progress, completed or failed its checksum
+           * @event MessagePoller#file
+           * @type {Object} Transfer, see FileAssembler
+           */
+          this.emit('file', transfer);
+        }
         return true;
       }
 
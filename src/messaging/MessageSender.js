@@ -4,19 +4,27 @@
  * @module MessageSender
  */
 
+import { EventEmitter } from 'events';
 import {
   RPC_METHODS,
-  ERROR_MESSAGES
+  ERROR_MESSAGES,
+  FILE_TRANSFER
 } from '../constants.js';
 import { MessageError, DepinError } from '../errors.js';
 import { hasPrivacyLayer } from '../utils.js';
 import { RecipientDirectory } from './RecipientDirectory.js';
 import { MESSAGE_TYPES } from '../domain/messageTypes.js';
+import { ENVELOPE_TYPES, createEnvelope, encodeEnvelope, toMessageFields } from '../domain/envelope.js';
+import { formatFileSize, splitFile } from '../domain/fileTransfer.js';
 
 /**
  * Sends DePIN messages to token holders or a specific recipient
+ * @extends EventEmitter
+ * @fires MessageSender#built
+ * @fires MessageSender#submitted
+ * @fires MessageSender#failed
  */
-export class MessageSender {
+export class MessageSender extends EventEmitter {
   /**
    * Create a new MessageSender instance
    * @param {Object} config - Configuration object
@@ -27,6 +35,7 @@ export class MessageSender {
    * @param {RecipientDirectory} [recipientDirectory] - Recipient directory (shared cache)
    */
   constructor(config, walletManager, rpcService, neuraiDepinMsg, recipientDirectory = null) {
+    super();
     this.config = config;
     this.walletManager = walletManager;
     this.rpcService = rpcService;
@@ -114,7 +123,7 @@ export class MessageSender {
       return { messageType: MESSAGE_TYPES.GROUP, message: trimmed, recipientAddress: null };
     }
 
-    const match = trimmed.match(/^@(\S+)\s+(.+)$/);
+    const match = trimmed.match(/^@(\S+)\s+([\s\S]+)$/);
 
     if (!match) {
       throw new MessageError(ERROR_MESSAGES.INVALID_PRIVATE_MESSAGE_FORMAT);
@@ -131,15 +140,16 @@ export class MessageSender {
    * @param {string} message - Plaintext message
    * @param {Array<string>} recipientPubKeys - Array of recipient public keys
    * @param {"private"|"group"} messageType - Message type
+   * @param {number} [timestamp] - Unix timestamp in seconds, now by default
    * @returns {Promise<Object>} Build result with hex payload
    */
-  async buildEncryptedMessage(message, recipientPubKeys, messageType) {
+  async buildEncryptedMessage(message, recipientPubKeys, messageType, timestamp = Math.floor(Date.now() / 1000)) {
     return await this.neuraiDepinMsg.buildDepinMessage({
       token: this.config.token,
       senderAddress: this.walletManager.getAddress(),
       senderPubKey: this.walletManager.getPublicKey(),
       privateKey: this.walletManager.getPrivateKeyHex(),
-      timestamp: Math.floor(Date.now() / 1000),
+      timestamp,
       message: message,
       recipientPubKeys: recipientPubKeys,
       messageType: messageType
@@ -181,9 +191,98 @@ export class MessageSender {
   }
 
   /**
-   * Send a group or private message
-   * @param {string} message - Plaintext message to send
-   * @returns {Promise<Object>} Result object with hash and recipient count
+   * Send a group or private text message
+   * @param {string} message - Plaintext message to send ("@address text" for private)
+   * @param {string|null} [recipientAddress=null] - Send privately to this address without parsing a prefix
+   * @param {Object} [options] - Send options
+   * @param {{hash: string, quote: string}|null} [options.replyTo=null] - Parent message reference, see domain/replies
+   * @returns {Promise<Object>} Result object, see sendEnvelope()
+   * @throws {MessageError} If sending fails
+   */
+  async send(message, recipientAddress = null, { replyTo = null } = {}) {
+    const parsed = recipientAddress
+      ? { messageType: MESSAGE_TYPES.PRIVATE, message: message.trim(), recipientAddress }
+      : this.parseMessageInput(message);
+    const envelope = replyTo
+      ? createEnvelope(ENVELOPE_TYPES.REPLY, { text: parsed.message, replyTo })
+      : createEnvelope(ENVELOPE_TYPES.TEXT, { text: parsed.message });
+    return this.sendEnvelope(envelope, parsed.recipientAddress);
+  }
+
+  /**
+   * React to a message, or take a reaction back
+   * @param {string} target - Hash of the message reacted to
+   * @param {string} reaction - Emoji or short tag
+   * @param {string|null} [recipientAddress=null] - Peer of the private conversation holding the target
+   * @param {Object} [options] - Reaction options
+   * @param {boolean} [options.remove=false] - Take the reaction back
+   * @returns {Promise<Object>} Result object, see sendEnvelope()
+   * @throws {MessageError} If sending fails
+   */
+  async react(target, reaction, recipientAddress = null, { remove = false } = {}) {
+    const envelope = createEnvelope(ENVELOPE_TYPES.REACTION, {
+      target,
+      reaction,
+      ...(remove ? { remove: true } : {})
+    });
+    return this.sendEnvelope(envelope, recipientAddress);
+  }
+
+  /**
+   * Largest plaintext the pool accepts in one message
+   * @returns {Promise<number>} Bytes, FILE_TRANSFER.DEFAULT_MESSAGE_SIZE if the pool does not report it
+   */
+  async getMaxMessageSize() {
+    try {
+      const rpc = this.getRpc();
+      const msgInfo = await rpc(RPC_METHODS.DEPIN_GET_MSG_INFO, []);
+      if (Number.isInteger(msgInfo?.maxmessagesize) && msgInfo.maxmessagesize > 0) {
+        return msgInfo.maxmessagesize;
+      }
+    } catch (error) {
+      // Fall back to the default size
+    }
+    return FILE_TRANSFER.DEFAULT_MESSAGE_SIZE;
+  }
+
+  /**
+   * Send a small file as a manifest followed by its chunks
+   * Every part goes through sendEnvelope(), so it is built, wrapped and submitted like any message.
+   * @param {string} name - File name (only the base name is sent)
+   * @param {Buffer} data - File content
+   * @param {string|null} [recipientAddress=null] - Send privately to this address
+   * @param {Function} [onProgress] - Called with (sentChunks, totalChunks) after every chunk
+   * @returns {Promise<Object>} Manifest result of sendEnvelope() plus fileId, name, size, total and the messageHashes of all parts
+   * @throws {MessageError} If the file is too large or a part cannot be sent
+   */
+  async sendFile(name, data, recipientAddress = null, onProgress = () => {}) {
+    if (data.length > FILE_TRANSFER.MAX_SIZE) {
+      throw new MessageError(`Files are limited to ${formatFileSize(FILE_TRANSFER.MAX_SIZE)}`);
+    }
+
+    const { manifest, chunks } = splitFile(name, data, await this.getMaxMessageSize());
+    const result = await this.sendEnvelope(manifest, recipientAddress);
+    const messageHashes = [result.messageHash];
+    for (const [index, chunk] of chunks.entries()) {
+      const chunkResult = await this.sendEnvelope(chunk, recipientAddress);
+      messageHashes.push(chunkResult.messageHash);
+      onProgress(index + 1, chunks.length);
+    }
+
+    return {
+      ...result,
+      fileId: manifest.fileId,
+      name: manifest.name,
+      size: manifest.size,
+      total: manifest.total,
+      messageHashes
+    };
+  }
+
+  /**
+   * Send an envelope to the group or to one address
+   * @param {Object} envelope - Envelope, see domain/envelope
+   * @param {string|null} [recipientAddress=null] - Send privately to this address
    * @returns {Promise<Object>} result
    * @returns {string} result.hash - Transaction hash
    * @returns {number} result.recipients - Number of recipients
@@ -193,22 +292,24 @@ export class MessageSender {
    * @returns {string} result.messageHash - Message hash used for deduplication
    * @throws {MessageError} If sending fails
    */
-  async send(message) {
+  async sendEnvelope(envelope, recipientAddress = null) {
+    const messageType = recipientAddress ? MESSAGE_TYPES.PRIVATE : MESSAGE_TYPES.GROUP;
+    let messageHash = null;
+
     try {
       // Attempt reconnection if not connected
       if (!this.rpcService.isConnected()) {
         const reconnected = await this.rpcService.attemptReconnect(true);
 
         if (!reconnected) {
-          throw new MessageError('RPC server not available. Cannot send message.');
+          throw new MessageError(`${ERROR_MESSAGES.RPC_UNAVAILABLE}. Cannot send message.`);
         }
       }
 
-      const parsed = this.parseMessageInput(message);
       let recipientPubKeys = [];
 
-      if (parsed.messageType === 'private') {
-        const recipientPubkey = await this.getRecipientPubkeyForAddress(parsed.recipientAddress);
+      if (messageType === MESSAGE_TYPES.PRIVATE) {
+        const recipientPubkey = await this.getRecipientPubkeyForAddress(recipientAddress);
         recipientPubKeys = [recipientPubkey];
       } else {
         // 1. Get pubkeys from all recipients (broadcast)
@@ -216,11 +317,35 @@ export class MessageSender {
       }
 
       // 3. Build encrypted message
+      const timestamp = Math.floor(Date.now() / 1000);
       const buildResult = await this.buildEncryptedMessage(
-        parsed.message,
+        encodeEnvelope(envelope),
         recipientPubKeys,
-        parsed.messageType
+        messageType,
+        timestamp
       );
+      messageHash = buildResult.messageHash;
+
+      /**
+       * Built event - the message is encrypted and about to be submitted
+       * @event MessageSender#built
+       * @type {Object}
+       * @property {string} messageHash - Hash the pool will report for the message
+       * @property {string} message - Message text
+       * @property {string} contentType - Envelope type
+       * @property {Object|null} replyTo - Parent message reference
+       * @property {Object|null} content - Other envelope fields
+       * @property {number} timestamp - Unix timestamp in seconds
+       * @property {"private"|"group"} messageType - Message type
+       * @property {string|null} recipientAddress - Target address for private messages
+       */
+      this.emit('built', {
+        messageHash,
+        ...toMessageFields(envelope),
+        timestamp,
+        messageType,
+        recipientAddress
+      });
 
       // 4. Wrap with server privacy layer if enabled
       const payload = await this.wrapWithPrivacyLayer(buildResult.hex);
@@ -231,18 +356,37 @@ export class MessageSender {
       // Mark as connected on successful send
       this.rpcService.connected = true;
 
+      /**
+       * Submitted event - the pool accepted the message
+       * @event MessageSender#submitted
+       * @type {Object}
+       * @property {string} messageHash - Message hash
+       * @property {string} hash - Hash returned by depinsubmitmsg
+       */
+      this.emit('submitted', { messageHash, hash: result.hash || result.txid });
+
       return {
         hash: result.hash || result.txid,
-        recipients: parsed.messageType === 'private' ? 1 : recipientPubKeys.length,
-        timestamp: Math.floor(Date.now() / 1000),
-        messageType: parsed.messageType,
-        recipientAddress: parsed.recipientAddress,
+        recipients: messageType === MESSAGE_TYPES.PRIVATE ? 1 : recipientPubKeys.length,
+        timestamp,
+        messageType,
+        recipientAddress,
         messageHash: buildResult.messageHash
       };
     } catch (error) {
       // Mark as disconnected on error
       this.rpcService.connected = false;
 
+      if (messageHash) {
+        /**
+         * Failed event - a built message was not accepted by the pool
+         * @event MessageSender#failed
+         * @type {Object}
+         * @property {string} messageHash - Message hash
+         */
+        this.emit('failed', { messageHash });
+      }
+
       if (error instanceof DepinError) {
         throw error;
       }
@@ -1,10 +1,23 @@
 /**
  * Message store for Neurai DePIN Terminal
- * Handles message storage and deduplication
+ * Handles message storage, deduplication and optional persistence
  * @module MessageStore
  */
 
+import { HISTORY, SEARCH, RETENTION } from '../constants.js';
 import { createMessageKey } from '../utils.js';
+import { SearchIndex } from './SearchIndex.js';
+import { ENVELOPE_TYPES, getContentType } from '../domain/envelope.js';
+import { MESSAGE_TYPES, normalizeMessageType } from '../domain/messageTypes.js';
+
+/**
+ * Conversation a message belongs to, so reactions stay in their conversation
+ * @param {Object} msg - Message
+ * @returns {string} Conversation key
+ */
+const conversationKey = (msg) => (normalizeMessageType(msg.messageType) === MESSAGE_TYPES.PRIVATE
+  ? `private:${msg.peerAddress || ''}`
+  : MESSAGE_TYPES.GROUP);
 
 /**
  * Stores and deduplicates DePIN messages
@@ -12,16 +25,79 @@ import { createMessageKey } from '../utils.js';
 export class MessageStore {
   /**
    * Create a new MessageStore instance
+   * @param {Object} [options] - Store options
+   * @param {MessageHistory} [options.history] - Encrypted history used for persistence
+   * @param {string|number} [options.retention] - "forever", "pool" or a number of days
    */
-  constructor() {
+  constructor({ history = null, retention = RETENTION.DEFAULT } = {}) {
     /** @type {Array<Object>} Stored messages sorted by timestamp */
     this.messages = [];
 
     /** @type {Set<string>} Set of seen message keys for deduplication */
     this.seenHashes = new Set();
 
+    /** @type {Map<string, Object>} Message by deduplication key */
+    this.messagesByKey = new Map();
+
+    /** @type {Map<string, Object>} Message by message hash */
+    this.messagesByHash = new Map();
+
+    /** @type {Map<string, Array<Object>>} Replies by parent message hash */
+    this.repliesByParent = new Map();
+
+    /** @type {Map<string, Map<string, Object>>} Latest reaction per sender and reaction, by target hash */
+    this.reactionsByTarget = new Map();
+
+    /** @type {SearchIndex} Full-text index over sender and content */
+    this.searchIndex = new SearchIndex();
+
     /** @type {Map<string, string>} Map of outgoing private message hash to recipient */
     this.outgoingPrivateRecipients = new Map();
+
+    /** @type {MessageHistory|null} Persistent history backend */
+    this.history = history;
+
+    /** @type {NodeJS.Timeout|null} Pending debounced save */
+    this.saveTimer = null;
+
+    /** @type {string|number} Local retention policy */
+    this.retention = retention;
+
+    /** @type {number|null} Pool message lifetime in seconds, once known */
+    this.poolExpirySeconds = null;
+  }
+
+  /**
+   * Load persisted messages into the store
+   * Uses the same hash|signature deduplication as live messages.
+   * @returns {number} Number of messages loaded
+   */
+  load() {
+    if (!this.history) {
+      return 0;
+    }
+
+    const data = this.history.load();
+    let loaded = 0;
+
+    for (const msg of data.messages) {
+      if (msg && msg.hash && this.insertMessage(msg)) {
+        loaded++;
+      }
+    }
+
+    // Rewrite the file without messages the retention policy dropped
+    if (loaded < data.messages.length) {
+      this.scheduleSave();
+    }
+
+    for (const [hash, recipientAddress] of data.outgoingPrivateRecipients) {
+      if (hash && recipientAddress && !this.outgoingPrivateRecipients.has(hash)) {
+        this.outgoingPrivateRecipients.set(hash, recipientAddress);
+      }
+    }
+
+    return loaded;
   }
 
   /**
@@ -35,22 +111,248 @@ export class MessageStore {
    * @param {string} msg.message - Message content
    * @param {string} [msg.messageType] - Message type ("group" or "private")
    * @param {string} [msg.peerAddress] - Peer address for private messages
+   * @param {Object} [msg.replyTo] - Parent message reference ({hash, quote}) for replies
    * @returns {boolean} True if message is new, false if duplicate
    */
   addMessage(msg) {
+    if (!this.insertMessage(msg)) {
+      return false; // Duplicate message
+    }
+
+    this.scheduleSave();
+    return true; // New message added
+  }
+
+  /**
+   * Insert a message keeping the list sorted by timestamp (oldest first)
+   * Messages older than the retention policy allows are not kept.
+   * @param {Object} msg - Message object
+   * @returns {boolean} True if message is new, false if duplicate or past retention
+   */
+  insertMessage(msg) {
     const key = createMessageKey(msg.hash, msg.signature);
 
-    if (this.seenHashes.has(key)) {
-      return false; // Duplicate message
+    if (this.seenHashes.has(key) || msg.timestamp < this.getRetentionCutoff()) {
+      return false;
     }
 
     this.seenHashes.add(key);
-    this.messages.push(msg);
+    this.messagesByKey.set(key, msg);
+    const contentType = getContentType(msg);
+    if (contentType === ENVELOPE_TYPES.REACTION) {
+      this.addReaction(msg);
+    } else if (contentType !== ENVELOPE_TYPES.FILE_CHUNK) {
+      this.searchIndex.add(key, `${msg.sender || ''} ${msg.message || ''}`);
+    }
+    if (!this.messagesByHash.has(msg.hash)) {
+      this.messagesByHash.set(msg.hash, msg);
+    }
+    if (msg.replyTo && msg.replyTo.hash) {
+      const replies = this.repliesByParent.get(msg.replyTo.hash) || [];
+      replies.push(msg);
+      this.repliesByParent.set(msg.replyTo.hash, replies);
+    }
 
-    // Keep messages sorted by timestamp (oldest first)
-    this.messages.sort((a, b) => a.timestamp - b.timestamp);
+    // Binary search for the insertion point after equal timestamps
+    let low = 0;
+    let high = this.messages.length;
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      if (this.messages[mid].timestamp <= msg.timestamp) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    this.messages.splice(low, 0, msg);
 
-    return true; // New message added
+    return true;
+  }
+
+  /**
+   * Count a reaction message towards its target
+   * The newest reaction message of a sender decides whether the reaction is set or removed.
+   * @param {Object} msg - Reaction message with content {target, reaction, remove}
+   */
+  addReaction(msg) {
+    const { target, reaction, remove } = msg.content;
+    const reactions = this.reactionsByTarget.get(target) || new Map();
+    const entryKey = `${msg.sender}\n${reaction}`;
+    const current = reactions.get(entryKey);
+    if (!current || current.timestamp <= msg.timestamp) {
+      reactions.set(entryKey, {
+        sender: msg.sender,
+        reaction,
+        timestamp: msg.timestamp,
+        hash: msg.hash,
+        removed: remove === true,
+        conversation: conversationKey(msg)
+      });
+    }
+    this.reactionsByTarget.set(target, reactions);
+  }
+
+  /**
+   * Get the reactions to a message
+   * Only reactions sent in the message's own conversation are counted.
+   * @param {string} hash - Target message hash
+   * @returns {Array<{reaction: string, count: number, senders: Array<string>}>} Reactions, most frequent first
+   */
+  getReactions(hash) {
+    const target = this.messagesByHash.get(hash);
+    const reactions = this.reactionsByTarget.get(hash);
+    if (!target || !reactions) {
+      return [];
+    }
+
+    const conversation = conversationKey(target);
+    const senders = new Map();
+    for (const entry of reactions.values()) {
+      if (entry.removed || entry.conversation !== conversation) {
+        continue;
+      }
+      senders.set(entry.reaction, [...(senders.get(entry.reaction) || []), entry.sender]);
+    }
+
+    return [...senders]
+      .map(([reaction, list]) => ({ reaction, count: list.length, senders: list }))
+      .sort((a, b) => b.count - a.count);
+  }
+
+  /**
+   * Oldest timestamp the retention policy keeps
+   * @param {number} [now] - Unix timestamp in seconds
+   * @returns {number} Cutoff in seconds, or 0 to keep everything
+   */
+  getRetentionCutoff(now = Math.floor(Date.now() / 1000)) {
+    if (typeof this.retention === 'number') {
+      return now - this.retention * 86400;
+    }
+    if (this.retention === RETENTION.POOL && this.poolExpirySeconds !== null) {
+      return now - this.poolExpirySeconds;
+    }
+    return 0;
+  }
+
+  /**
+   * Record the pool message lifetime used by the "pool" retention policy
+   * @param {number} expiryHours - Pool `messageexpiryhours`
+   */
+  setPoolExpiryHours(expiryHours) {
+    if (Number.isFinite(expiryHours) && expiryHours > 0) {
+      this.poolExpirySeconds = expiryHours * 3600;
+    }
+  }
+
+  /**
+   * Drop messages older than the retention policy allows
+   * Their keys stay in the deduplication set so a full sync does not add them back.
+   * @param {number} [now] - Unix timestamp in seconds
+   * @returns {Array<Object>} Removed messages, oldest first
+   */
+  prune(now = Math.floor(Date.now() / 1000)) {
+    const cutoff = this.getRetentionCutoff(now);
+    let count = 0;
+    while (count < this.messages.length && this.messages[count].timestamp < cutoff) {
+      count++;
+    }
+    if (count === 0) {
+      return [];
+    }
+
+    const removed = this.messages.splice(0, count);
+    for (const msg of removed) {
+      const key = createMessageKey(msg.hash, msg.signature);
+      this.messagesByKey.delete(key);
+      this.searchIndex.remove(key, `${msg.sender || ''} ${msg.message || ''}`);
+      this.outgoingPrivateRecipients.delete(msg.hash);
+      if (this.messagesByHash.get(msg.hash) === msg) {
+        this.messagesByHash.delete(msg.hash);
+      }
+      this.reactionsByTarget.delete(msg.hash);
+      if (getContentType(msg) === ENVELOPE_TYPES.REACTION) {
+        const reactions = this.reactionsByTarget.get(msg.content.target);
+        const entryKey = `${msg.sender}\n${msg.content.reaction}`;
+        if (reactions && reactions.get(entryKey)?.hash === msg.hash) {
+          reactions.delete(entryKey);
+        }
+      }
+      if (msg.replyTo && this.repliesByParent.has(msg.replyTo.hash)) {
+        const replies = this.repliesByParent.get(msg.replyTo.hash).filter((reply) => reply !== msg);
+        if (replies.length > 0) {
+          this.repliesByParent.set(msg.replyTo.hash, replies);
+        } else {
+          this.repliesByParent.delete(msg.replyTo.hash);
+        }
+      }
+    }
+
+    this.scheduleSave();
+    return removed;
+  }
+
+  /**
+   * Schedule a debounced write of the history file
+   */
+  scheduleSave() {
+    if (!this.history || this.saveTimer) {
+      return;
+    }
+
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      try {
+        this.flush();
+      } catch (error) {
+        // Non-fatal: the next change schedules another attempt
+      }
+    }, HISTORY.SAVE_DELAY_MS);
+    this.saveTimer.unref?.();
+  }
+
+  /**
+   * Write pending changes to the history file immediately
+   * Messages another process (terminal, `listen`, `daemon`) saved to the
+   * file meanwhile are kept, except those this store pruned.
+   * @throws {StorageError} If the history file cannot be written
+   */
+  flush() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+
+    if (!this.history) {
+      return;
+    }
+
+    this.history.update((stored) => this.mergeWithStored(stored));
+  }
+
+  /**
+   * Data to write: this store's messages plus the stored ones it has never seen
+   * Those are written back only; they are not added to the store, so they are
+   * still reported as new if the poller receives them later.
+   * @param {{messages: Array<Object>, outgoingPrivateRecipients: Array<Array<string>>}} stored - Data on disk
+   * @returns {{messages: Array<Object>, outgoingPrivateRecipients: Array<Array<string>>}} Data to write
+   */
+  mergeWithStored(stored) {
+    const cutoff = this.getRetentionCutoff();
+    const others = stored.messages.filter((msg) => msg && msg.hash
+      && msg.timestamp >= cutoff
+      && !this.seenHashes.has(createMessageKey(msg.hash, msg.signature)));
+    const otherHashes = new Set(others.map((msg) => msg.hash));
+
+    return {
+      messages: others.length > 0
+        ? [...this.messages, ...others].sort((a, b) => a.timestamp - b.timestamp)
+        : this.messages,
+      outgoingPrivateRecipients: [
+        ...this.outgoingPrivateRecipients,
+        ...stored.outgoingPrivateRecipients.filter(([hash]) => otherHashes.has(hash)
+          && !this.outgoingPrivateRecipients.has(hash))
+      ]
+    };
   }
 
   /**
@@ -61,6 +363,7 @@ export class MessageStore {
   registerOutgoingPrivateMessage(hash, recipientAddress) {
     if (hash && recipientAddress) {
       this.outgoingPrivateRecipients.set(hash, recipientAddress);
+      this.scheduleSave();
     }
   }
 
@@ -81,6 +384,69 @@ export class MessageStore {
     return [...this.messages];
   }
 
+  /**
+   * Search stored messages
+   * Every query term must match the start of a word in the sender or content.
+   * @param {string} query - Free text query
+   * @param {number} [limit=SEARCH.MAX_RESULTS] - Maximum number of results (newest kept)
+   * @returns {Array<Object>} Matching messages sorted by timestamp (oldest first)
+   */
+  search(query, limit = SEARCH.MAX_RESULTS) {
+    const keys = this.searchIndex.search(query);
+    if (!keys || keys.size === 0) {
+      return [];
+    }
+
+    const results = [...keys]
+      .map((key) => this.messagesByKey.get(key))
+      .filter(Boolean)
+      .sort((a, b) => a.timestamp - b.timestamp);
+
+    return results.length > limit ? results.slice(-limit) : results;
+  }
+
+  /**
+   * Get a stored message by its hash
+   * @param {string} hash - Message hash
+   * @returns {Object|null} Message or null
+   */
+  getMessageByHash(hash) {
+    return this.messagesByHash.get(hash) || null;
+  }
+
+  /**
+   * Get the thread a message belongs to
+   * Follows reply references up to the oldest stored ancestor, then collects
+   * every stored reply below it.
+   * @param {string} hash - Hash of any message in the thread
+   * @returns {Array<Object>} Thread messages sorted by timestamp (oldest first), empty if unknown
+   */
+  getThread(hash) {
+    let root = this.messagesByHash.get(hash);
+    if (!root) {
+      return [];
+    }
+
+    const ancestors = new Set([root.hash]);
+    while (root.replyTo && this.messagesByHash.has(root.replyTo.hash) && !ancestors.has(root.replyTo.hash)) {
+      root = this.messagesByHash.get(root.replyTo.hash);
+      ancestors.add(root.hash);
+    }
+
+    const thread = [root];
+    const visited = new Set([root.hash]);
+    for (let i = 0; i < thread.length; i++) {
+      for (const reply of this.repliesByParent.get(thread[i].hash) || []) {
+        if (!visited.has(reply.hash)) {
+          visited.add(reply.hash);
+          thread.push(reply);
+        }
+      }
+    }
+
+    return thread.sort((a, b) => a.timestamp - b.timestamp);
+  }
+
   /**
    * Get the latest timestamp from stored messages
    * Used for incremental polling
@@ -91,7 +457,8 @@ export class MessageStore {
       return 0;
     }
 
-    return Math.max(...this.messages.map(m => m.timestamp));
+    // Messages are kept sorted, so the newest one is last
+    return this.messages[this.messages.length - 1].timestamp;
   }
 
   /**
@@ -109,6 +476,11 @@ export class MessageStore {
   clear() {
     this.messages = [];
     this.seenHashes.clear();
+    this.messagesByKey.clear();
+    this.messagesByHash.clear();
+    this.repliesByParent.clear();
+    this.reactionsByTarget.clear();
+    this.searchIndex.clear();
     this.outgoingPrivateRecipients.clear();
   }
 
@@ -0,0 +1,273 @@
+/**
+ * Persistent outbox for Neurai DePIN Terminal
+ * Keeps messages that could not be sent yet in an encrypted file and
+ * retries them with backoff
+ * @module Outbox
+ */
+
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { OUTBOX } from '../constants.js';
+import { StorageError, extractErrorMessage } from '../errors.js';
+import { encryptWithKey, decryptWithKey, moveAside } from '../utils.js';
+import { MESSAGE_TYPES } from '../domain/messageTypes.js';
+import { ReconnectPolicy } from '../services/ReconnectPolicy.js';
+
+export const OUTBOX_STATUS = {
+  PENDING: 'pending',
+  SENDING: 'sending',
+  FAILED: 'failed'
+};
+
+/**
+ * Describe the conversation a queued text belongs to
+ * Texts are stored as typed, with the "@address " prefix for private messages.
+ * @param {string} text - Queued text
+ * @returns {{messageType: string, peerAddress: (string|null), message: string}} Conversation and body
+ */
+export function describeOutboxText(text) {
+  const match = text.match(/^@(\S+)\s+([\s\S]+)$/);
+  return match
+    ? { messageType: MESSAGE_TYPES.PRIVATE, peerAddress: match[1], message: match[2] }
+    : { messageType: MESSAGE_TYPES.GROUP, peerAddress: null, message: text };
+}
+
+/**
+ * Queue of unsent messages, oldest first
+ *
+ * Events:
+ * - `change` (items) after every modification
+ * - `error` (error) when a scheduled flush fails to save the queue
+ */
+export class Outbox extends EventEmitter {
+  /**
+   * Create a new Outbox instance
+   * @param {string} filePath - Outbox file path
+   * @param {Buffer} key - 32-byte key derived from the user password
+   * @param {ReconnectPolicy} [retryPolicy] - Backoff between flush attempts
+   */
+  constructor(filePath, key, retryPolicy = new ReconnectPolicy()) {
+    super();
+    this.filePath = filePath;
+    this.key = key;
+    this.retryPolicy = retryPolicy;
+    this.items = [];
+    this.flushing = false;
+  }
+
+  /**
+   * Load queued messages from disk
+   * A file that cannot be decrypted or parsed is moved aside so the next save
+   * does not overwrite it; a file that cannot be read is left alone.
+   * Items interrupted while sending are pending again.
+   * @throws {StorageError} If the file exists but cannot be read
+   */
+  load() {
+    this.items = [];
+
+    let content;
+    try {
+      content = fs.readFileSync(this.filePath, 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return;
+      }
+      throw new StorageError(`Failed to read the outbox: ${error.message}`);
+    }
+
+    try {
+      const file = JSON.parse(content);
+      if (file.version !== OUTBOX.VERSION || typeof file.payload !== 'string') {
+        throw new StorageError('Unsupported outbox file format');
+      }
+      const data = JSON.parse(decryptWithKey(file.payload, this.key));
+      this.items = (Array.isArray(data.items) ? data.items : []).map((item) => ({
+        ...item,
+        status: item.status === OUTBOX_STATUS.FAILED ? OUTBOX_STATUS.FAILED : OUTBOX_STATUS.PENDING
+      }));
+    } catch (error) {
+      moveAside(this.filePath, OUTBOX.UNREADABLE_SUFFIX);
+    }
+  }
+
+  /**
+   * Write the queue to disk atomically (temp file + rename)
+   * An empty queue removes the file.
+   * @throws {StorageError} If the file cannot be written
+   */
+  save() {
+    const tempPath = `${this.filePath}.tmp`;
+
+    try {
+      if (this.items.length === 0) {
+        fs.rmSync(this.filePath, { force: true });
+        return;
+      }
+      const file = {
+        version: OUTBOX.VERSION,
+        payload: encryptWithKey(JSON.stringify({ items: this.items }), this.key)
+      };
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true, mode: 0o700 });
+      fs.writeFileSync(tempPath, JSON.stringify(file), { mode: 0o600 });
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      throw new StorageError(`Failed to save outbox: ${error.message}`);
+    }
+  }
+
+  // Listeners see the change even when saving it fails; the queue stays in memory
+  changed() {
+    this.emit('change', this.getItems());
+    this.save();
+  }
+
+  getItems() {
+    return this.items.map((item) => ({ ...item }));
+  }
+
+  getPendingItems() {
+    return this.items.filter((item) => item.status === OUTBOX_STATUS.PENDING);
+  }
+
+  get(id) {
+    return this.items.find((item) => item.id === id) || null;
+  }
+
+  /**
+   * Add a message to the end of the queue
+   * @param {string} token - Token the message is sent with
+   * @param {string} text - Text as typed ("@address text" for private messages)
+   * @param {string|null} [lastError=null] - Why it was not sent
+   * @param {Object|null} [replyTo=null] - Parent message reference for replies
+   * @returns {Object} Queued item
+   */
+  enqueue(token, text, lastError = null, replyTo = null) {
+    const item = {
+      id: crypto.randomUUID(),
+      token,
+      text,
+      replyTo,
+      createdAt: Math.floor(Date.now() / 1000),
+      attempts: 0,
+      status: OUTBOX_STATUS.PENDING,
+      lastError
+    };
+    this.items.push(item);
+    this.changed();
+    return item;
+  }
+
+  /**
+   * Replace the text of a queued message and queue it again
+   * @param {string} id - Item id
+   * @param {string} text - New text
+   * @returns {boolean} False if the item is gone or being sent
+   */
+  update(id, text) {
+    const item = this.get(id);
+    if (!item || item.status === OUTBOX_STATUS.SENDING) {
+      return false;
+    }
+    item.text = text;
+    item.status = OUTBOX_STATUS.PENDING;
+    item.lastError = null;
+    this.changed();
+    return true;
+  }
+
+  /**
+   * Queue a failed message again
+   * @param {string} id - Item id
+   * @returns {boolean} False if the item is gone or being sent
+   */
+  retry(id) {
+    const item = this.get(id);
+    if (!item || item.status === OUTBOX_STATUS.SENDING) {
+      return false;
+    }
+    item.status = OUTBOX_STATUS.PENDING;
+    this.changed();
+    return true;
+  }
+
+  /**
+   * Drop a queued message
+   * @param {string} id - Item id
+   * @returns {boolean} False if the item is gone
+   */
+  remove(id) {
+    const before = this.items.length;
+    this.items = this.items.filter((item) => item.id !== id);
+    if (this.items.length === before) {
+      return false;
+    }
+    this.changed();
+    return true;
+  }
+
+  setStatus(item, status, lastError = item.lastError) {
+    item.status = status;
+    item.lastError = lastError;
+    this.changed();
+  }
+
+  /**
+   * Send pending messages in order
+   * A failure while the server is unreachable keeps the message pending and
+   * schedules the next flush with backoff; a failure from a reachable server
+   * marks the message failed so the user can edit or cancel it.
+   * Rejects with a StorageError if the queue cannot be saved.
+   * @param {Function} deliver - Sends an item, rejects on failure
+   * @param {Function} checkConnection - Resolves to true if the server is reachable
+   * @returns {Promise<void>}
+   */
+  async flush(deliver, checkConnection) {
+    if (this.flushing) {
+      return;
+    }
+    this.flushing = true;
+    this.retryPolicy.cancel();
+
+    let current = null;
+    try {
+      for (const item of this.getPendingItems()) {
+        current = item;
+        // Cancelled or edited while an earlier item was being sent
+        if (this.get(item.id) !== item || item.status !== OUTBOX_STATUS.PENDING) {
+          continue;
+        }
+        item.attempts += 1;
+        this.setStatus(item, OUTBOX_STATUS.SENDING);
+
+        try {
+          await deliver(item);
+        } catch (error) {
+          const message = extractErrorMessage(error);
+          if (await checkConnection()) {
+            this.setStatus(item, OUTBOX_STATUS.FAILED, message);
+            continue;
+          }
+          this.setStatus(item, OUTBOX_STATUS.PENDING, message);
+          this.retryPolicy.schedule(() => {
+            this.flush(deliver, checkConnection).catch((saveError) => this.emit('error', saveError));
+          });
+          return;
+        }
+        // Outside the try: a failed save must not count as a failed delivery
+        this.remove(item.id);
+      }
+      this.retryPolicy.reset();
+    } catch (error) {
+      // A save failed; an item left marked as sending would never be retried
+      if (current && current.status === OUTBOX_STATUS.SENDING) {
+        current.status = OUTBOX_STATUS.PENDING;
+        this.emit('change', this.getItems());
+      }
+      throw error;
+    } finally {
+      this.flushing = false;
+    }
+  }
+}
@@ -0,0 +1,132 @@
+/**
+ * Full-text search index for stored messages
+ * Inverted index of lowercase terms with prefix lookup.
+ * @module SearchIndex
+ */
+
+const TERM_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Split text into unique lowercase search terms
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Unique terms
+ */
+export const tokenize = (text) => {
+  if (!text) {
+    return [];
+  }
+  const matches = String(text).toLowerCase().match(TERM_PATTERN) || [];
+  return [...new Set(matches)];
+};
+
+export class SearchIndex {
+  constructor() {
+    /** @type {Map<string, Set<string>>} Term to message keys */
+    this.postings = new Map();
+
+    /** @type {Array<string>} Sorted vocabulary for prefix lookups */
+    this.terms = [];
+  }
+
+  /**
+   * Index a document
+   * @param {string} key - Document key (message dedup key)
+   * @param {string} text - Text to index
+   */
+  add(key, text) {
+    for (const term of tokenize(text)) {
+      let keys = this.postings.get(term);
+      if (!keys) {
+        keys = new Set();
+        this.postings.set(term, keys);
+        this.terms.splice(this.lowerBound(term), 0, term);
+      }
+      keys.add(key);
+    }
+  }
+
+  /**
+   * Remove a document indexed with add()
+   * @param {string} key - Document key
+   * @param {string} text - Text it was indexed with
+   */
+  remove(key, text) {
+    for (const term of tokenize(text)) {
+      const keys = this.postings.get(term);
+      if (!keys) {
+        continue;
+      }
+      keys.delete(key);
+      if (keys.size === 0) {
+        this.postings.delete(term);
+        this.terms.splice(this.lowerBound(term), 1);
+      }
+    }
+  }
+
+  /**
+   * Find documents containing every query term (as a word prefix)
+   * @param {string} query - Free text query
+   * @returns {Set<string>|null} Matching keys, or null for an empty query
+   */
+  search(query) {
+    const queryTerms = tokenize(query);
+    if (queryTerms.length === 0) {
+      return null;
+    }
+
+    // Resolve the most selective terms first so intersections stay small
+    const candidates = queryTerms
+      .map((term) => this.keysForPrefix(term))
+      .sort((a, b) => a.size - b.size);
+
+    let result = candidates[0];
+    for (let i = 1; i < candidates.length && result.size > 0; i += 1) {
+      const next = candidates[i];
+      result = new Set([...result].filter((key) => next.has(key)));
+    }
+
+    return result;
+  }
+
+  /**
+   * Collect keys for every indexed term starting with prefix
+   * @param {string} prefix - Lowercase term prefix
+   * @returns {Set<string>} Matching keys
+   */
+  keysForPrefix(prefix) {
+    const exact = this.postings.get(prefix);
+    const keys = new Set(exact || []);
+
+    for (let i = this.lowerBound(prefix); i < this.terms.length; i += 1) {
+      const term = this.terms[i];
+      if (!term.startsWith(prefix)) {
+        break;
+      }
+      if (term !== prefix) {
+        this.postings.get(term).forEach((key) => keys.add(key));
+      }
+    }
+
+    return keys;
+  }
+
+  lowerBound(term) {
+    let low = 0;
+    let high = this.terms.length;
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      if (this.terms[mid] < term) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return low;
+  }
+
+  clear() {
+    this.postings.clear();
+    this.terms = [];
+  }
+}
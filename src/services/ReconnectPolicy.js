@@ -0,0 +1,114 @@
+/**
+ * Reconnection policy for Neurai DePIN Terminal
+ * Schedules retries with exponential backoff and jitter, and lets the user
+ * skip the wait.
+ * @module ReconnectPolicy
+ */
+
+import { RECONNECT } from '../constants.js';
+
+/**
+ * Schedules one pending retry at a time
+ */
+export class ReconnectPolicy {
+  /**
+   * Create a new ReconnectPolicy instance
+   * @param {Object} [options] - Backoff settings (config.json `reconnect`)
+   * @param {number} [options.initialDelay] - First delay in milliseconds
+   * @param {number} [options.maxDelay] - Upper bound of the delay in milliseconds
+   * @param {number} [options.multiplier] - Growth factor per failed attempt
+   * @param {number} [options.jitter] - Random spread as a fraction of the delay (0-1)
+   */
+  constructor({
+    initialDelay = RECONNECT.INITIAL_DELAY,
+    maxDelay = RECONNECT.MAX_DELAY,
+    multiplier = RECONNECT.MULTIPLIER,
+    jitter = RECONNECT.JITTER
+  } = {}) {
+    this.initialDelay = initialDelay;
+    this.maxDelay = Math.max(maxDelay, initialDelay);
+    this.multiplier = multiplier;
+    this.jitter = jitter;
+    this.attempt = 0;
+    this.timer = null;
+    this.task = null;
+    this.nextAttemptAt = null;
+  }
+
+  /**
+   * Delay before a given attempt
+   * The backoff grows by `multiplier` up to `maxDelay`, then jitter spreads it
+   * by up to +/- `jitter` so clients do not retry in lockstep.
+   * @param {number} attempt - Zero-based attempt number
+   * @returns {number} Delay in milliseconds
+   */
+  getDelay(attempt) {
+    const base = Math.min(this.initialDelay * (this.multiplier ** attempt), this.maxDelay);
+    const spread = base * this.jitter * (Math.random() * 2 - 1);
+    return Math.max(Math.round(base + spread), 0);
+  }
+
+  /**
+   * Schedule a retry, replacing any pending one
+   * @param {Function} task - Called when the delay elapses or on retryNow()
+   * @returns {number} Delay in milliseconds
+   */
+  schedule(task) {
+    this.cancel();
+    const delay = this.getDelay(this.attempt);
+    this.attempt += 1;
+    this.task = task;
+    this.nextAttemptAt = Date.now() + delay;
+    this.timer = setTimeout(() => this.run(), delay);
+    return delay;
+  }
+
+  run() {
+    const { task } = this;
+    this.cancel();
+    if (task) {
+      task();
+    }
+  }
+
+  /**
+   * Run the pending retry immediately
+   * @returns {boolean} False if nothing was pending
+   */
+  retryNow() {
+    if (!this.task) {
+      return false;
+    }
+    this.run();
+    return true;
+  }
+
+  /**
+   * Drop the pending retry without running it
+   */
+  cancel() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.task = null;
+    this.nextAttemptAt = null;
+  }
+
+  /**
+   * Start the backoff over after a successful attempt
+   */
+  reset() {
+    this.attempt = 0;
+  }
+
+  isPending() {
+    return this.task !== null;
+  }
+
+  /**
+   * Time left until the pending retry
+   * @returns {number|null} Milliseconds, or null if nothing is pending
+   */
+  getRemainingMs() {
+    return this.nextAttemptAt === null ? null : Math.max(this.nextAttemptAt - Date.now(), 0);
+  }
+}
@@ -1,9 +1,11 @@
 /**
  * RPC Service for Neurai DePIN Terminal
- * Handles RPC connection, initialization, and method calls
+ * Handles RPC connection, initialization, method calls and failover
+ * across an ordered list of endpoints
  * @module RpcService
  */
 
+import { EventEmitter } from 'events';
 import neuraiJsWallet from '@neuraiproject/neurai-jswallet';
 import {
   RPC,
@@ -17,10 +19,26 @@ import { formatRpcUrl } from '../utils.js';
 
 const { Wallet } = neuraiJsWallet;
 
+/**
+ * Build the ordered endpoint list from the configuration
+ * `rpc_endpoints` wins; otherwise `rpc_url` with `rpc_username`/`rpc_password`.
+ * @param {Object} config - Configuration object
+ * @returns {Array<{url: string, username: (string|undefined), password: (string|undefined)}>} Endpoints, preferred first
+ */
+export function resolveRpcEndpoints(config) {
+  if (Array.isArray(config.rpc_endpoints) && config.rpc_endpoints.length > 0) {
+    return config.rpc_endpoints.map(({ url, username, password }) => ({ url, username, password }));
+  }
+  return [{ url: config.rpc_url, username: config.rpc_username, password: config.rpc_password }];
+}
+
 /**
  * Manages RPC connectivity and method calls
+ *
+ * Events:
+ * - `endpoint-changed` ({url, index, count}) when calls move to another endpoint
  */
-export class RpcService {
+export class RpcService extends EventEmitter {
   /**
    * Create a new RpcService instance
    * @param {Object} config - Configuration object
@@ -28,80 +46,222 @@ export class RpcService {
    * @param {string} config.rpc_url - RPC server URL
    * @param {string} [config.rpc_username] - Optional RPC username
    * @param {string} [config.rpc_password] - Optional RPC password
+   * @param {Array<Object>} [config.rpc_endpoints] - Ordered {url, username, password} list
    */
   constructor(config) {
+    super();
     this.config = config;
-    this.wallet = null;
+    this.endpoints = resolveRpcEndpoints(config).map((endpoint) => ({
+      ...endpoint,
+      client: null,
+      healthy: null,
+      failures: 0,
+      lastError: null,
+      lastCheck: null
+    }));
+    this.activeIndex = 0;
     this.connected = false;
+    this.healthCheckTimer = null;
+    this.reprobing = false;
   }
 
   /**
    * Initialize RPC wallet client
-   * Creates a wallet instance for RPC access
+   * Connects to the first reachable endpoint in preference order
    * @returns {Promise<void>}
    */
   async initialize() {
-    const rpcUrl = formatRpcUrl(this.config.rpc_url, RPC.ENDPOINT_SUFFIX);
+    if (await this.connectToFirstAvailable()) {
+      console.log(SUCCESS_MESSAGES.RPC_CONNECTED);
+    } else {
+      const { lastError } = this.endpoints[this.activeIndex];
+      console.warn(WARNING_MESSAGES.RPC_INIT_FAILED);
+      console.warn(`   Error: ${lastError || 'Unknown error'}`);
+    }
+    this.startHealthChecks();
+  }
+
+  /**
+   * Create an RPC client for an endpoint
+   * @param {Object} endpoint - Endpoint with url, username and password
+   * @returns {Promise<Wallet>} Initialized client
+   */
+  async createClient(endpoint) {
+    const client = new Wallet();
+    await client.init({
+      mnemonic: RPC.DUMMY_MNEMONIC,
+      network: this.config.network,
+      rpc_url: formatRpcUrl(endpoint.url, RPC.ENDPOINT_SUFFIX),
+      rpc_username: endpoint.username || undefined,
+      rpc_password: endpoint.password || undefined,
+      offlineMode: false,
+      minAmountOfAddresses: 1
+    });
+    return client;
+  }
 
+  /**
+   * Check one endpoint with getblockchaininfo and record its health
+   * A failed endpoint drops its client so the next probe starts fresh.
+   * @param {number} index - Endpoint index
+   * @returns {Promise<boolean>} True if the endpoint answered
+   */
+  async probe(index) {
+    const endpoint = this.endpoints[index];
+    endpoint.lastCheck = new Date();
     try {
-      this.wallet = new Wallet();
-      await this.wallet.init({
-        mnemonic: RPC.DUMMY_MNEMONIC,
-        network: this.config.network,
-        rpc_url: rpcUrl,
-        rpc_username: this.config.rpc_username || undefined,
-        rpc_password: this.config.rpc_password || undefined,
-        offlineMode: false,
-        minAmountOfAddresses: 1
-      });
-
-      // Test connection
-      await this.testConnection();
+      if (!endpoint.client) {
+        endpoint.client = await this.createClient(endpoint);
+      }
+      await endpoint.client.rpc(RPC_METHODS.GET_BLOCKCHAIN_INFO, []);
+      endpoint.healthy = true;
+      endpoint.failures = 0;
+      endpoint.lastError = null;
+      return true;
     } catch (error) {
-      this.connected = false;
-      this.wallet = null;
-      console.warn(WARNING_MESSAGES.RPC_INIT_FAILED);
-      console.warn(`   Error: ${error.message || 'Unknown error'}`);
+      endpoint.client = null;
+      endpoint.healthy = false;
+      endpoint.failures += 1;
+      endpoint.lastError = error.message || 'Unknown error';
+      return false;
+    }
+  }
+
+  /**
+   * Make an endpoint the active one
+   * @param {number} index - Endpoint index
+   */
+  setActiveEndpoint(index) {
+    if (index === this.activeIndex) {
+      return;
+    }
+    this.activeIndex = index;
+    this.emit('endpoint-changed', this.getActiveEndpoint());
+  }
+
+  /**
+   * Switch to the first reachable endpoint in preference order
+   * @returns {Promise<boolean>} True if an endpoint answered
+   */
+  async connectToFirstAvailable() {
+    for (let index = 0; index < this.endpoints.length; index += 1) {
+      if (await this.probe(index)) {
+        this.setActiveEndpoint(index);
+        this.connected = true;
+        return true;
+      }
+    }
+    this.connected = false;
+    return false;
+  }
+
+  /**
+   * Move away from the active endpoint after it failed a probe
+   * @returns {Promise<boolean>} True if another endpoint answered
+   */
+  async failover() {
+    for (let index = 0; index < this.endpoints.length; index += 1) {
+      if (index !== this.activeIndex && await this.probe(index)) {
+        this.setActiveEndpoint(index);
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Periodically move back to a more preferred endpoint once it recovers
+   */
+  startHealthChecks() {
+    if (this.healthCheckTimer || this.endpoints.length < 2) {
+      return;
+    }
+    this.healthCheckTimer = setInterval(() => this.reprobePreferred(), RPC.REPROBE_INTERVAL);
+    this.healthCheckTimer.unref();
+  }
+
+  stopHealthChecks() {
+    if (this.healthCheckTimer) {
+      clearInterval(this.healthCheckTimer);
+      this.healthCheckTimer = null;
+    }
+  }
+
+  /**
+   * Probe the endpoints preferred over the active one and switch to the first that answers
+   * Reconnection while everything is down is left to the callers.
+   * @returns {Promise<void>}
+   */
+  async reprobePreferred() {
+    if (this.reprobing || !this.connected || this.activeIndex === 0) {
+      return;
+    }
+    this.reprobing = true;
+    try {
+      for (let index = 0; index < this.activeIndex; index += 1) {
+        if (await this.probe(index)) {
+          this.setActiveEndpoint(index);
+          break;
+        }
+      }
+    } finally {
+      this.reprobing = false;
     }
   }
 
   /**
    * Test RPC connection by calling getblockchaininfo
+   * Fails over to another endpoint if the active one does not answer.
    * @param {boolean} [silent=false] - If true, suppress console output
    * @returns {Promise<boolean>} True if connected, false otherwise
    */
   async testConnection(silent = false) {
-    try {
-      await this.wallet.rpc(RPC_METHODS.GET_BLOCKCHAIN_INFO, []);
-      this.connected = true;
-      if (!silent) console.log(SUCCESS_MESSAGES.RPC_CONNECTED);
-      return true;
-    } catch (error) {
-      this.connected = false;
-      if (!silent) console.warn(WARNING_MESSAGES.RPC_CONNECTION_FAILED);
-      return false;
+    this.connected = await this.probe(this.activeIndex) || await this.failover();
+    if (!silent) {
+      if (this.connected) {
+        console.log(SUCCESS_MESSAGES.RPC_CONNECTED);
+      } else {
+        console.warn(WARNING_MESSAGES.RPC_CONNECTION_FAILED);
+      }
     }
+    return this.connected;
   }
 
   /**
    * Execute an RPC method
+   * When the active endpoint stops answering the call is retried on the
+   * next reachable one; errors from a reachable server are returned as is.
    * @param {string} method - RPC method name
    * @param {Array} [params=[]] - RPC parameters
    * @returns {Promise<any>} RPC result
    * @throws {RpcError} If RPC call fails or not initialized
    */
   async call(method, params = []) {
-    if (!this.wallet) {
-      throw new RpcError(ERROR_MESSAGES.RPC_NOT_INITIALIZED);
-    }
-    try {
-      const result = await this.wallet.rpc(method, params);
-      this.connected = true;
-      return result;
-    } catch (error) {
-      this.connected = false;
-      throw new RpcError(error.message);
+    let lastError = null;
+
+    for (let attempt = 0; attempt < this.endpoints.length; attempt += 1) {
+      const endpoint = this.endpoints[this.activeIndex];
+      if (!endpoint.client) {
+        break;
+      }
+      try {
+        const result = await endpoint.client.rpc(method, params);
+        this.connected = true;
+        return result;
+      } catch (error) {
+        lastError = error;
+      }
+
+      if (await this.probe(this.activeIndex)) {
+        throw new RpcError(lastError.message);
+      }
+      if (!(await this.failover())) {
+        break;
+      }
     }
+
+    this.connected = false;
+    throw new RpcError(lastError ? lastError.message : ERROR_MESSAGES.RPC_NOT_INITIALIZED);
   }
 
   /**
@@ -144,57 +304,49 @@ export class RpcService {
     return this.connected;
   }
 
+  /**
+   * Get the endpoint calls currently go to
+   * @returns {{url: string, index: number, count: number}} Active endpoint
+   */
+  getActiveEndpoint() {
+    return {
+      url: this.endpoints[this.activeIndex].url,
+      index: this.activeIndex,
+      count: this.endpoints.length
+    };
+  }
+
+  /**
+   * Get the health of every endpoint, preferred first
+   * @returns {Array<Object>} Endpoint url, active flag, health, consecutive failures, last error and check time
+   */
+  getEndpointStatus() {
+    return this.endpoints.map((endpoint, index) => ({
+      url: endpoint.url,
+      active: index === this.activeIndex,
+      healthy: endpoint.healthy,
+      failures: endpoint.failures,
+      lastError: endpoint.lastError,
+      lastCheck: endpoint.lastCheck ? endpoint.lastCheck.toISOString() : null
+    }));
+  }
+
   /**
    * Attempt to reconnect to RPC server
-   * Tries to reinitialize the wallet if not connected
+   * Tries every endpoint in preference order if not connected
    * @param {boolean} [silent=true] - If true, suppress console output
    * @returns {Promise<boolean>} True if reconnection successful, false otherwise
    */
   async attemptReconnect(silent = true) {
     // If already connected, no need to reconnect
-    if (this.connected && this.wallet) {
+    if (this.connected && this.endpoints[this.activeIndex].client) {
       return true;
     }
 
-    // If wallet exists, just test the connection
-    if (this.wallet) {
-      try {
-        await this.wallet.rpc(RPC_METHODS.GET_BLOCKCHAIN_INFO, []);
-        this.connected = true;
-        return true;
-      } catch (error) {
-        this.connected = false;
-      }
-    }
-
-    // Wallet doesn't exist or check failed, need to reinitialize RPC client
-    try {
-      const rpcUrl = formatRpcUrl(this.config.rpc_url, RPC.ENDPOINT_SUFFIX);
-
-      this.wallet = new Wallet();
-      await this.wallet.init({
-        mnemonic: RPC.DUMMY_MNEMONIC,
-        network: this.config.network,
-        rpc_url: rpcUrl,
-        rpc_username: this.config.rpc_username || undefined,
-        rpc_password: this.config.rpc_password || undefined,
-        offlineMode: false,
-        minAmountOfAddresses: 1
-      });
-
-      // Test connection
-      await this.wallet.rpc(RPC_METHODS.GET_BLOCKCHAIN_INFO, []);
-      this.connected = true;
-
-      if (!silent) {
-        console.log('✓ Reconnected to RPC server');
-      }
-
-      return true;
-    } catch (error) {
-      this.connected = false;
-      this.wallet = null;
-      return false;
+    const reconnected = await this.connectToFirstAvailable();
+    if (reconnected && !silent) {
+      console.log('✓ Reconnected to RPC server');
     }
+    return reconnected;
   }
 }
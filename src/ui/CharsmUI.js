@@ -5,32 +5,56 @@
 
 import readline from 'node:readline';
 import { initLip, Lipgloss } from 'charsm';
-import { PRIVACY, TERMINAL } from '../constants.js';
+import { EXPIRY, POLLING, PRIVACY, REACTION, TERMINAL, TIME, UI } from '../constants.js';
 import { TabManager } from './TabManager.js';
 import { RecipientSelector } from './RecipientSelector.js';
+import { SearchPanel } from './SearchPanel.js';
+import { OutboxPanel } from './OutboxPanel.js';
+import { LineEditor } from './LineEditor.js';
+import { ScreenRenderer } from './ScreenRenderer.js';
+import { CommandRegistry } from './CommandRegistry.js';
+import { registerUiCommands } from './uiCommands.js';
+import { editText } from './externalEditor.js';
 import {
   formatMessageLine,
+  formatTimeLeft,
   padLine,
   renderHeaderLines,
   renderInputLine,
+  renderOutboxOverlay,
   renderRecipientOverlay,
+  renderSearchOverlay,
   renderStatusLine,
-  renderTabLines
+  renderTabLines,
+  sanitizeText
 } from './render.js';
+import { displayWidth } from './textWidth.js';
 import { resetTerminal } from '../utils.js';
+import { CommandError, extractErrorMessage } from '../errors.js';
 import { MESSAGE_TYPES, normalizeMessageType } from '../domain/messageTypes.js';
+import { OUTBOX_STATUS, describeOutboxText } from '../messaging/Outbox.js';
+import { DELIVERY_STATES } from '../messaging/DeliveryTracker.js';
+import { createReplyReference } from '../domain/replies.js';
+import { ENVELOPE_TYPES, getContentType, isValidReaction } from '../domain/envelope.js';
 
 const ANSI = {
   CLEAR: '\x1b[2J',
   HOME: '\x1b[H',
   HIDE_CURSOR: '\x1b[?25l',
-  SHOW_CURSOR: '\x1b[?25h',
   RESET: '\x1b[0m'
 };
 
 
 export class CharsmUI {
-  static async create(config, walletManager, rpcService) {
+  /**
+   * Create and initialize the UI
+   * @param {Object} config - Configuration object
+   * @param {WalletManager} walletManager - Wallet (only getAddress is used)
+   * @param {RpcService|null} rpcService - RPC service
+   * @param {Array<string>} [tokens] - Watched tokens, config.token by default
+   * @returns {Promise<CharsmUI>} Initialized UI
+   */
+  static async create(config, walletManager, rpcService, tokens = [config.token]) {
     try {
       // Reduce timeout to 500ms to avoid blocking startup
       await Promise.race([
@@ -41,13 +65,14 @@ export class CharsmUI {
       // If WASM init stalls or fails, proceed with basic rendering (no styles)
       console.warn(`Charsm init failed: ${error.message}`);
     }
-    const ui = new CharsmUI(config, walletManager, rpcService);
+    const ui = new CharsmUI(config, walletManager, rpcService, tokens);
     ui.initialize();
     return ui;
   }
 
-  constructor(config, walletManager, rpcService) {
+  constructor(config, walletManager, rpcService, tokens = [config.token]) {
     this.config = config;
+    this.tokens = tokens;
     this.walletManager = walletManager;
     this.rpcService = rpcService;
     this.myAddress = walletManager.getAddress();
@@ -56,17 +81,46 @@ export class CharsmUI {
     this.stylesInitialized = false;
 
     this.displayedMessages = [];
-    this.tabManager = new TabManager();
+    this.deliveryStates = new Map();
+    this.expiryWarnings = new Set();
+    this.tabManager = new TabManager(tokens);
 
     this.recipientProvider = null;
     this.recipientCacheProvider = null;
     this.recipientSelector = new RecipientSelector();
 
-    this.inputValue = '';
+    this.searchProvider = null;
+    this.searchPanel = new SearchPanel();
+    this.searchHighlight = [];
+    this.focusedMessageHash = null;
+
+    this.outboxItems = [];
+    this.outboxPanel = new OutboxPanel();
+    this.editingOutboxId = null;
+
+    this.selectingMessage = false;
+    this.selectedMessageHash = null;
+    this.replyTarget = null;
+    this.reactTarget = null;
+    this.reactionProvider = null;
+    this.threadProvider = null;
+    this.threadView = null;
+
+    this.lineEditor = new LineEditor();
+    this.multilineCompose = false;
+    this.pasting = false;
+    this.suspended = false;
+    /** @type {number} Visual lines scrolled up from the bottom of the message area */
     this.scrollOffset = 0;
+    this.messageHeight = 0;
+    this.messageWidth = null;
+    /** @type {Map<string, {msg: Object, signature: string, text: string}>} Formatted messages by hash, see formatMessageLine() */
+    this.formattedMessages = new Map();
     this.statusMessage = '';
     this.statusType = 'info';
     this.blockingErrors = [];
+    this.retryCountdown = null;
+    this.countdownInterval = null;
     this.inputDisabled = false;
 
     this.totalMessages = 0;
@@ -74,15 +128,29 @@ export class CharsmUI {
     this.encryptionType = PRIVACY.DEFAULT_ENCRYPTION;
     this.lastConnectionStatus = false;
     this.lastPollTime = null;
+    this.rpcEndpoint = null;
+
+    this.focused = true;
+    this.away = false;
+    this.awayTimer = null;
 
     this.sendCallback = null;
+    this.reactCallback = null;
+    this.retryNowCallback = null;
+    this.presenceCallback = null;
+    this.outboxCallback = null;
     this.keypressHandler = null;
     this.resizeHandler = null;
     this.keypressEventsInitialized = false;
 
+    // Slash-commands; the entry point adds those that need the messaging components
+    this.commands = new CommandRegistry();
+    registerUiCommands(this);
+
     // Rendering optimization
     this.renderScheduled = false;
     this.renderImmediate = false;
+    this.screen = new ScreenRenderer();
   }
 
   initialize() {
@@ -177,16 +245,75 @@ export class CharsmUI {
 
     this.keypressHandler = (str, key) => this.handleKeypress(str, key);
     process.stdin.on('keypress', this.keypressHandler);
-    this.resizeHandler = () => this.scheduleRender();
+    // The terminal may have reflowed or cleared the screen, so the next frame is drawn in full
+    this.resizeHandler = () => {
+      this.screen.invalidate();
+      this.formattedMessages.clear();
+      this.scheduleRender();
+    };
     process.stdout.on('resize', this.resizeHandler);
     process.stdin.resume();
     if (process.stdout.isTTY) {
-      process.stdout.write(`${TERMINAL.ENTER_ALT_SCREEN}${ANSI.CLEAR}${ANSI.HOME}`);
+      // Focus reporting makes the terminal send FOCUS_IN/FOCUS_OUT
+      process.stdout.write(`${TERMINAL.ENTER_ALT_SCREEN}${TERMINAL.ENABLE_FOCUS_REPORTING}${TERMINAL.ENABLE_BRACKETED_PASTE}${ANSI.CLEAR}${ANSI.HOME}`);
     }
     process.stdout.write(ANSI.HIDE_CURSOR);
+    this.screen.invalidate();
+    this.resetAwayTimer();
+  }
+
+  /**
+   * Hand the terminal over to another program
+   * Input handling stops and nothing is drawn until resume().
+   */
+  suspend() {
+    this.suspended = true;
+    if (this.keypressHandler) {
+      process.stdin.off('keypress', this.keypressHandler);
+      this.keypressHandler = null;
+    }
+    if (this.resizeHandler) {
+      process.stdout.off('resize', this.resizeHandler);
+      this.resizeHandler = null;
+    }
+    this.pasting = false;
+    resetTerminal();
+  }
+
+  resume() {
+    this.suspended = false;
+    this.setupInput();
+    this.renderNow();
+  }
+
+  /**
+   * Edit the input in $VISUAL or $EDITOR (Ctrl+X)
+   * The edited text replaces the input; it is left unchanged if the editor fails.
+   * @param {string} [text] - Text to start from, the current input by default
+   */
+  async editInExternalEditor(text = this.lineEditor.value) {
+    if (this.suspended) {
+      return;
+    }
+    this.suspend();
+    let edited;
+    try {
+      edited = await editText(text);
+    } catch (error) {
+      this.resume();
+      this.updateSendStatus(`${extractErrorMessage(error)}; the input was not changed`, 'error');
+      return;
+    }
+    this.resume();
+    this.lineEditor.setValue(edited);
+    this.updateSendStatus(edited ? 'Edited text loaded (Enter sends it)' : 'The edited text is empty', 'info');
   }
 
   cleanup() {
+    clearInterval(this.countdownInterval);
+    this.countdownInterval = null;
+    clearTimeout(this.awayTimer);
+    this.awayTimer = null;
     if (this.keypressHandler) {
       process.stdin.off('keypress', this.keypressHandler);
       this.keypressHandler = null;
@@ -206,10 +333,65 @@ export class CharsmUI {
     this.recipientCacheProvider = cacheProvider;
   }
 
+  setSearchProvider(provider) {
+    this.searchProvider = provider;
+  }
+
+  setThreadProvider(provider) {
+    this.threadProvider = provider;
+  }
+
+  setReactionProvider(provider) {
+    this.reactionProvider = provider;
+  }
+
+  /**
+   * Reactions to a displayed message
+   * @param {Object} msg - Message with hash and token
+   * @returns {Array<{reaction: string, count: number, senders: Array<string>}>} Reactions, most frequent first
+   */
+  getReactions(msg) {
+    if (!this.reactionProvider || msg.isSystem || msg.pending) {
+      return [];
+    }
+    return this.reactionProvider(msg);
+  }
+
+  /**
+   * Visual lines a message takes at the current width
+   * @param {Object} msg - Message
+   * @returns {number} Lines, including wrapped ones and the reactions line
+   */
+  getMessageHeight(msg) {
+    return this.formatMessageLine(msg).split('\n').length;
+  }
+
+  /**
+   * Visual lines of the messages after a message in the active view
+   * @param {Array<Object>} messages - Messages of the active view, oldest first
+   * @param {number} index - Index of the message
+   * @returns {number} Lines below it
+   */
+  getLinesBelow(messages, index) {
+    return messages.slice(index + 1).reduce((sum, msg) => sum + this.getMessageHeight(msg), 0);
+  }
+
   getActivePeerAddress() {
     return this.tabManager.getActivePeerAddress();
   }
 
+  getActiveToken() {
+    return this.tabManager.getActiveToken();
+  }
+
+  isOverlayOpen() {
+    return this.recipientSelector.isOpen() || this.searchPanel.isOpen() || this.outboxPanel.isOpen();
+  }
+
+  isBlocked() {
+    return this.blockingErrors.length > 0;
+  }
+
   setActiveTab(tabId) {
     if (!this.tabManager.setActiveTab(tabId)) {
       return;
@@ -231,6 +413,13 @@ export class CharsmUI {
     this.scheduleRender();
   }
 
+  activateNextToken() {
+    if (!this.tabManager.activateNextToken()) {
+      return;
+    }
+    this.scheduleRender();
+  }
+
   closeActiveTab() {
     if (!this.tabManager.closeActiveTab()) {
       return;
@@ -238,8 +427,8 @@ export class CharsmUI {
     this.scheduleRender();
   }
 
-  openPrivateTab(address, activate = false, timestamp = null) {
-    const tab = this.tabManager.openPrivateTab(address, activate, timestamp);
+  openPrivateTab(token, address, activate = false, timestamp = null) {
+    const tab = this.tabManager.openPrivateTab(token, address, activate, timestamp);
     if (tab) {
       this.scheduleRender();
     }
@@ -250,7 +439,7 @@ export class CharsmUI {
     if (!this.recipientProvider) {
       return [];
     }
-    return this.recipientProvider();
+    return this.recipientProvider(this.getActiveToken());
   }
 
   async openRecipientSelector() {
@@ -258,7 +447,7 @@ export class CharsmUI {
       return;
     }
 
-    const cached = this.recipientCacheProvider ? this.recipientCacheProvider() : [];
+    const cached = this.recipientCacheProvider ? this.recipientCacheProvider(this.getActiveToken()) : [];
     await this.recipientSelector.openSelector({
       cachedItems: cached,
       loadItems: () => this.loadRecipientList(),
@@ -281,11 +470,337 @@ export class CharsmUI {
     if (!address) {
       return;
     }
-    this.inputValue = `@${address} `;
+    this.lineEditor.setValue(`@${address} `);
     this.closeRecipientSelector();
     this.scheduleRender();
   }
 
+  /**
+   * Open the search overlay
+   * @param {string} [query] - Initial query, the last one by default
+   */
+  openSearch(query = this.searchPanel.query) {
+    if (!this.searchProvider || this.searchPanel.isOpen()) {
+      return;
+    }
+    this.searchPanel.openPanel(this.searchProvider, query);
+    this.scheduleRender();
+  }
+
+  clearSearch() {
+    this.searchPanel.close();
+    this.searchPanel.setQuery('');
+    this.searchHighlight = [];
+    this.focusedMessageHash = null;
+    this.scheduleRender();
+  }
+
+  handleSearchKeypress(str, key) {
+    const action = this.searchPanel.handleKeypress(str, key);
+    if (action.action === 'close') {
+      this.clearSearch();
+      return;
+    }
+    if (action.action === 'select') {
+      this.searchPanel.close();
+      this.searchHighlight = this.searchPanel.getTerms();
+      this.showMessage(action.message);
+      return;
+    }
+    if (action.action === 'update') {
+      this.scheduleRender();
+    }
+  }
+
+  /**
+   * Jump to the next (older) or previous (newer) search match
+   * @param {number} delta - 1 for older, -1 for newer
+   */
+  jumpSearchResult(delta) {
+    if (this.searchHighlight.length === 0) {
+      return;
+    }
+    const message = this.searchPanel.move(delta);
+    if (message) {
+      this.showMessage(message);
+    }
+  }
+
+  openOutbox() {
+    this.outboxPanel.openPanel(this.outboxItems);
+    this.scheduleRender();
+  }
+
+  handleOutboxKeypress(str, key) {
+    const action = this.outboxPanel.handleKeypress(str, key);
+    if (action.action === 'close') {
+      this.outboxPanel.close();
+      this.scheduleRender();
+      return;
+    }
+    if (action.action === 'edit') {
+      this.startOutboxEdit(action.item);
+      return;
+    }
+    if ((action.action === 'cancel' || action.action === 'retry') && this.outboxCallback) {
+      this.outboxCallback({ action: action.action, id: action.item.id });
+      return;
+    }
+    if (action.action === 'update') {
+      this.scheduleRender();
+    }
+  }
+
+  /**
+   * Load a queued message into the input line; Enter saves it back to the outbox
+   * @param {Object} item - Outbox item
+   */
+  startOutboxEdit(item) {
+    if (item.status === OUTBOX_STATUS.SENDING) {
+      this.updateSendStatus('This message is being sent and cannot be edited', 'error');
+      return;
+    }
+    this.outboxPanel.close();
+    this.editingOutboxId = item.id;
+    this.lineEditor.setValue(item.text);
+    this.updateSendStatus('Editing queued message (Enter: save, Esc: discard changes)', 'info');
+  }
+
+  cancelOutboxEdit() {
+    this.editingOutboxId = null;
+    this.lineEditor.clear();
+    this.clearSendStatus();
+  }
+
+  /**
+   * Show the current outbox contents
+   * @param {Array<Object>} items - Outbox items, oldest first
+   */
+  setOutboxItems(items) {
+    this.outboxItems = items;
+    if (this.editingOutboxId && !items.some((item) => item.id === this.editingOutboxId)) {
+      // Sent or cancelled meanwhile
+      this.cancelOutboxEdit();
+    }
+    if (this.outboxPanel.isOpen()) {
+      this.outboxPanel.setItems(items);
+    }
+    this.scheduleRender();
+  }
+
+  /**
+   * Messages that can be selected to reply to or to open their thread
+   * @returns {Array<Object>} Selectable messages of the active view, oldest first
+   */
+  getSelectableMessages() {
+    return this.getFilteredMessages().filter((msg) => this.isSelectable(msg));
+  }
+
+  isSelectable(msg) {
+    const type = getContentType(msg);
+    return !msg.isSystem && !msg.pending && (type === ENVELOPE_TYPES.TEXT || type === ENVELOPE_TYPES.REPLY);
+  }
+
+  /**
+   * Start selecting a message, beginning with the newest one on screen
+   */
+  startMessageSelection() {
+    const filtered = this.getFilteredMessages();
+    const { shown } = this.layoutMessages(filtered, Math.max(this.messageHeight, 1));
+    const visibleEnd = shown.length > 0 ? filtered.indexOf(shown[shown.length - 1]) + 1 : filtered.length;
+    const candidates = filtered.slice(0, Math.max(visibleEnd, 1)).filter((msg) => this.isSelectable(msg));
+    if (candidates.length === 0) {
+      this.updateSendStatus('No messages to select', 'info');
+      return;
+    }
+    this.selectingMessage = true;
+    this.selectedMessageHash = candidates[candidates.length - 1].hash;
+    this.updateSendStatus('Select a message: Up/Down move, Enter/R reply, + react, T thread, Esc cancel', 'info');
+  }
+
+  stopMessageSelection() {
+    this.selectingMessage = false;
+    this.selectedMessageHash = null;
+    this.clearSendStatus();
+  }
+
+  /**
+   * Move the selection and keep it on screen
+   * @param {number} delta - -1 for older, 1 for newer
+   */
+  moveMessageSelection(delta) {
+    const selectable = this.getSelectableMessages();
+    const index = selectable.findIndex((msg) => msg.hash === this.selectedMessageHash);
+    const next = selectable[index + delta];
+    if (!next) {
+      return;
+    }
+    this.selectedMessageHash = next.hash;
+
+    const filtered = this.getFilteredMessages();
+    const below = this.getLinesBelow(filtered, filtered.indexOf(next));
+    const height = this.getMessageHeight(next);
+    const visible = Math.max(this.messageHeight, 1);
+    if (below < this.scrollOffset) {
+      // Under the visible lines: bring its last line to the bottom
+      this.scrollOffset = below;
+    } else if (below + height > this.scrollOffset + visible) {
+      // Above them: bring its first line to the top
+      this.scrollOffset = below + height - visible;
+    }
+    this.scheduleRender();
+  }
+
+  handleSelectionKeypress(str, key) {
+    const selected = this.getSelectableMessages().find((msg) => msg.hash === this.selectedMessageHash);
+    if (!selected) {
+      this.stopMessageSelection();
+      return;
+    }
+    if (key && key.name === 'up') {
+      this.moveMessageSelection(-1);
+      return;
+    }
+    if (key && key.name === 'down') {
+      this.moveMessageSelection(1);
+      return;
+    }
+    if ((key && key.name === 'return') || str === 'r') {
+      this.startReply(selected);
+      return;
+    }
+    if (str === '+') {
+      this.startReaction(selected);
+      return;
+    }
+    if (str === 't') {
+      this.openThread(selected);
+    }
+  }
+
+  /**
+   * Make the next message a reply to the given one
+   * The reply goes to the parent's conversation whatever tab is active.
+   * @param {Object} msg - Parent message
+   */
+  startReply(msg) {
+    this.selectingMessage = false;
+    this.selectedMessageHash = null;
+    this.replyTarget = {
+      ...createReplyReference(msg),
+      token: msg.token,
+      peerAddress: normalizeMessageType(msg.messageType) === MESSAGE_TYPES.PRIVATE ? msg.peerAddress : null
+    };
+    this.updateSendStatus(`Replying to ${sanitizeText(this.replyTarget.quote)} (Esc to cancel)`, 'info');
+  }
+
+  cancelReply() {
+    this.replyTarget = null;
+    this.clearSendStatus();
+  }
+
+  /**
+   * Make the next input a reaction to the given message
+   * Like replies, the reaction goes to the message's own conversation.
+   * @param {Object} msg - Target message
+   */
+  startReaction(msg) {
+    this.selectingMessage = false;
+    this.selectedMessageHash = null;
+    this.reactTarget = {
+      ...createReplyReference(msg),
+      token: msg.token,
+      peerAddress: normalizeMessageType(msg.messageType) === MESSAGE_TYPES.PRIVATE ? msg.peerAddress : null
+    };
+    this.updateSendStatus(`React to ${sanitizeText(this.reactTarget.quote)} with an emoji or short tag (Esc to cancel)`, 'info');
+  }
+
+  cancelReaction() {
+    this.reactTarget = null;
+    this.clearSendStatus();
+  }
+
+  /**
+   * Show only the thread of a message in the active tab
+   * @param {Object} msg - Any message of the thread
+   */
+  openThread(msg) {
+    const thread = this.threadProvider ? this.threadProvider(msg) : [];
+    const hashes = new Set(thread.map((entry) => entry.hash));
+    hashes.add(msg.hash);
+    this.selectingMessage = false;
+    this.selectedMessageHash = null;
+    this.threadView = { tabId: this.tabManager.getActiveTabId(), hashes };
+    this.scrollOffset = 0;
+    this.updateSendStatus(`Thread: ${hashes.size} message(s) (Esc to close)`, 'info');
+  }
+
+  /**
+   * Thread shown in the active tab, if any
+   * @returns {Object|null} Thread view with the hashes of its messages
+   */
+  getActiveThread() {
+    return this.threadView && this.threadView.tabId === this.tabManager.getActiveTabId()
+      ? this.threadView
+      : null;
+  }
+
+  closeThread() {
+    this.threadView = null;
+    this.scrollOffset = 0;
+    this.clearSendStatus();
+  }
+
+  /**
+   * Leave the innermost temporary mode on Escape
+   * @returns {boolean} True if Escape was used
+   */
+  dismissTransientState() {
+    if (this.selectingMessage) {
+      this.stopMessageSelection();
+    } else if (this.multilineCompose) {
+      this.setMultilineCompose(false);
+    } else if (this.replyTarget) {
+      this.cancelReply();
+    } else if (this.reactTarget) {
+      this.cancelReaction();
+    } else if (this.searchHighlight.length > 0) {
+      this.clearSearch();
+    } else if (this.editingOutboxId) {
+      this.cancelOutboxEdit();
+    } else if (this.getActiveThread()) {
+      this.closeThread();
+    } else {
+      return false;
+    }
+    this.scheduleRender();
+    return true;
+  }
+
+  /**
+   * Activate the tab holding a message and scroll it into view
+   * @param {Object} msg - Message with hash, messageType, peerAddress and token
+   */
+  showMessage(msg) {
+    const type = normalizeMessageType(msg.messageType || msg.message_type);
+    const token = msg.token || this.tokens[0];
+    if (type === MESSAGE_TYPES.PRIVATE && msg.peerAddress) {
+      this.tabManager.openPrivateTab(token, msg.peerAddress, true, msg.timestamp);
+    } else {
+      this.tabManager.setActiveTab(TabManager.groupTabId(token));
+    }
+
+    this.focusedMessageHash = msg.hash;
+    const filtered = this.getFilteredMessages();
+    const index = filtered.findIndex((entry) => entry.hash === msg.hash);
+    if (index !== -1) {
+      // Its first line in the middle of the message area
+      const half = Math.floor(Math.max(this.messageHeight, 1) / 2);
+      this.scrollOffset = Math.max(this.getLinesBelow(filtered, index) + this.getMessageHeight(msg) - half, 0);
+    }
+    this.scheduleRender();
+  }
+
   ensureInputReady() {
     if (!process.stdin.isTTY) {
       return;
@@ -298,14 +813,84 @@ export class CharsmUI {
     }
   }
 
+  /**
+   * Terminal focus and user presence, for adaptive polling
+   * @returns {{focused: boolean, away: boolean}} Presence flags
+   */
+  getPresence() {
+    return { focused: this.focused, away: this.away };
+  }
+
+  setPresence(focused, away) {
+    if (focused === this.focused && away === this.away) {
+      return;
+    }
+    this.focused = focused;
+    this.away = away;
+    if (this.presenceCallback) {
+      this.presenceCallback(this.getPresence());
+    }
+  }
+
+  /**
+   * Mark the user as away after POLLING.AWAY_AFTER without input
+   */
+  resetAwayTimer() {
+    clearTimeout(this.awayTimer);
+    this.awayTimer = setTimeout(() => this.setPresence(this.focused, true), POLLING.AWAY_AFTER);
+    this.awayTimer.unref();
+  }
+
   handleKeypress(str, key) {
+    if (key && (key.sequence === TERMINAL.FOCUS_IN || key.sequence === TERMINAL.FOCUS_OUT)) {
+      this.setPresence(key.sequence === TERMINAL.FOCUS_IN, this.away);
+      return;
+    }
+    // Bracketed paste: pasted line breaks must not send the message
+    if (key && (key.name === 'paste-start' || key.name === 'paste-end')) {
+      this.pasting = key.name === 'paste-start';
+      return;
+    }
+    // Typing implies focus, also in terminals without focus reporting
+    this.setPresence(true, false);
+    this.resetAwayTimer();
+
     // Check for Ctrl+C or ESC
-    if ((key && key.ctrl && key.name === 'c') || (key && key.name === 'escape' && !this.recipientSelector.isOpen())) {
+    if (key && key.name === 'escape' && !this.isOverlayOpen() && this.dismissTransientState()) {
+      return;
+    }
+    if ((key && key.ctrl && key.name === 'c') || (key && key.name === 'escape' && !this.isOverlayOpen())) {
       this.cleanup();
       process.exit(0);
     }
 
+    if (key && key.ctrl && key.name === 'l') {
+      this.redraw();
+      return;
+    }
+
+    if (this.isBlocked() && key && key.ctrl && key.name === 'r') {
+      this.retryNow();
+      return;
+    }
+
+    if (this.outboxPanel.isOpen()) {
+      this.handleOutboxKeypress(str, key);
+      return;
+    }
+    if (key && key.ctrl && key.name === 'o') {
+      this.openOutbox();
+      return;
+    }
+
+    // While blocked only composing works; messages go to the outbox
     if (this.inputDisabled) {
+      this.handleComposeKeypress(str, key);
+      return;
+    }
+
+    if (this.searchPanel.isOpen()) {
+      this.handleSearchKeypress(str, key);
       return;
     }
 
@@ -314,6 +899,28 @@ export class CharsmUI {
       return;
     }
 
+    if (this.selectingMessage) {
+      this.handleSelectionKeypress(str, key);
+      return;
+    }
+    if (key && key.ctrl && key.name === 'g') {
+      this.startMessageSelection();
+      return;
+    }
+
+    if (key && key.ctrl && key.name === 'f') {
+      this.openSearch();
+      return;
+    }
+    if (key && key.ctrl && key.name === 'n') {
+      this.jumpSearchResult(1);
+      return;
+    }
+    if (key && key.ctrl && key.name === 'p') {
+      this.jumpSearchResult(-1);
+      return;
+    }
+
     if (key && key.ctrl && key.name === 'left') {
       this.activatePrevTab();
       return;
@@ -322,42 +929,105 @@ export class CharsmUI {
       this.activateNextTab();
       return;
     }
-    if (key && key.ctrl && key.name === 'w') {
-      this.closeActiveTab();
+    if (key && key.ctrl && key.name === 't') {
+      this.activateNextToken();
       return;
     }
 
-    if (key && key.name === 'up') {
-      this.scrollUp();
+    if (key && key.name === 'pageup') {
+      this.scrollUp(this.getPageSize());
       return;
     }
-    if (key && key.name === 'down') {
-      this.scrollDown();
+    if (key && key.name === 'pagedown') {
+      this.scrollDown(this.getPageSize());
       return;
     }
 
+    this.handleComposeKeypress(str, key);
+  }
+
+  /**
+   * Start or end multiline composition, where Enter adds a line and Ctrl+S sends
+   * @param {boolean} enabled - New state
+   */
+  setMultilineCompose(enabled) {
+    this.multilineCompose = enabled;
+    if (enabled) {
+      this.updateSendStatus('Multiline: Enter adds a line, Ctrl+S sends, Alt+Enter or Esc ends', 'info');
+    } else {
+      this.clearSendStatus();
+    }
+    this.scheduleRender();
+  }
+
+  /**
+   * Edit and submit the input
+   * Up/Down move between the lines of the input, then browse the lines
+   * submitted in the active tab.
+   * @param {string} str - Typed text
+   * @param {Object} key - Key info
+   */
+  handleComposeKeypress(str, key) {
+    // Pasted line breaks stay in the text instead of sending it
+    if (this.pasting && key && (key.name === 'return' || key.name === 'enter')) {
+      this.lineEditor.insertNewline();
+      this.scheduleRender();
+      return;
+    }
+    if (this.pasting && key && key.name === 'tab') {
+      this.lineEditor.insert(' ');
+      this.scheduleRender();
+      return;
+    }
+
+    if (key && key.name === 'return' && key.meta) {
+      this.setMultilineCompose(!this.multilineCompose);
+      return;
+    }
+    if (key && key.ctrl && key.name === 's') {
+      this.submitInput();
+      return;
+    }
+    if (key && key.ctrl && key.name === 'x') {
+      this.editInExternalEditor();
+      return;
+    }
     if (key && key.name === 'return') {
+      if (this.multilineCompose) {
+        this.lineEditor.insertNewline();
+        this.scheduleRender();
+        return;
+      }
       this.submitInput();
       return;
     }
 
-    if (key && key.name === 'backspace') {
-      if (this.inputValue.length > 0) {
-        this.inputValue = this.inputValue.slice(0, -1);
+    if (key && key.name === 'tab') {
+      this.completeInput();
+      return;
+    }
+
+    if (key && (key.name === 'up' || key.name === 'down')) {
+      const tabId = this.tabManager.getActiveTabId();
+      const moved = key.name === 'up'
+        ? this.lineEditor.moveLine(-1) || this.lineEditor.historyBack(tabId)
+        : this.lineEditor.moveLine(1) || this.lineEditor.historyForward(tabId);
+      if (moved) {
         this.scheduleRender();
       }
       return;
     }
 
-    if (!key.ctrl && !key.meta && str) {
-      this.ensureInputReady();
-      this.inputValue += str;
-      if (this.inputValue === '@') {
-        this.openRecipientSelector();
-        return;
-      }
-      this.scheduleRender();
+    const { action } = this.lineEditor.handleKeypress(str, key);
+    if (action !== 'update') {
+      return;
+    }
+    this.ensureInputReady();
+    if (this.lineEditor.value === '@' && !this.inputDisabled && !this.pasting) {
+      this.openRecipientSelector();
+      return;
     }
+    this.scheduleRender();
   }
 
   handleRecipientKeypress(key) {
@@ -376,10 +1046,67 @@ export class CharsmUI {
   }
 
   submitInput() {
-    const trimmed = this.inputValue.trim();
+    let trimmed = this.lineEditor.value.trim();
     if (!trimmed) {
       return;
     }
+    const typed = trimmed;
+    if (this.multilineCompose) {
+      this.setMultilineCompose(false);
+    }
+
+    if (this.editingOutboxId) {
+      const id = this.editingOutboxId;
+      this.editingOutboxId = null;
+      this.lineEditor.clear();
+      this.clearSendStatus();
+      if (this.outboxCallback) {
+        this.outboxCallback({ action: 'edit', id, text: trimmed });
+      }
+      return;
+    }
+
+    // Reacting again with the same reaction takes it back
+    if (this.reactTarget) {
+      if (!isValidReaction(trimmed)) {
+        this.updateSendStatus(`A reaction is one emoji or tag of up to ${REACTION.MAX_LENGTH} characters`, 'error');
+        return;
+      }
+      const { hash, token, peerAddress } = this.reactTarget;
+      const remove = this.getReactions({ hash, token }).some(
+        (entry) => entry.reaction === trimmed && entry.senders.includes(this.myAddress)
+      );
+      this.reactTarget = null;
+      this.lineEditor.clear();
+      this.clearSendStatus();
+      if (this.reactCallback) {
+        this.reactCallback({ target: hash, reaction: trimmed, remove, token, peerAddress });
+      }
+      return;
+    }
+
+    // "/command args" runs a command; "//text" sends a message starting with "/"
+    if (trimmed.startsWith('/') && !trimmed.startsWith('//')) {
+      this.submitCommand(trimmed.slice(1));
+      return;
+    }
+    if (trimmed.startsWith('//')) {
+      trimmed = trimmed.slice(1);
+    }
+
+    this.lineEditor.record(this.tabManager.getActiveTabId(), typed);
+
+    if (this.replyTarget) {
+      const { hash, quote, token, peerAddress } = this.replyTarget;
+      this.replyTarget = null;
+      this.lineEditor.clear();
+      this.scrollOffset = 0;
+      this.clearSendStatus();
+      if (this.sendCallback) {
+        this.sendCallback(peerAddress ? `@${peerAddress} ${trimmed}` : trimmed, token, { replyTo: { hash, quote } });
+      }
+      return;
+    }
 
     let outgoing = trimmed;
     if (!trimmed.startsWith('@')) {
@@ -389,23 +1116,137 @@ export class CharsmUI {
       }
     }
 
-    this.inputValue = '';
+    this.lineEditor.clear();
     this.scrollOffset = 0;
     this.scheduleRender();
 
     if (this.sendCallback) {
-      this.sendCallback(outgoing);
+      this.sendCallback(outgoing, this.getActiveToken());
+    }
+  }
+
+  /**
+   * Run a slash-command and report errors in the status line
+   * Input that does not parse stays in the input line to be fixed.
+   * @param {string} input - Input after the leading "/"
+   */
+  async submitCommand(input) {
+    let parsed;
+    try {
+      parsed = this.commands.parse(input);
+    } catch (error) {
+      this.updateSendStatus(extractErrorMessage(error), 'error');
+      return;
+    }
+
+    this.lineEditor.record(this.tabManager.getActiveTabId(), `/${input}`);
+    this.lineEditor.clear();
+    this.scheduleRender();
+    try {
+      await parsed.command.run(parsed.args, this.getCommandContext());
+    } catch (error) {
+      const message = extractErrorMessage(error);
+      this.updateSendStatus(error instanceof CommandError ? message : `/${parsed.command.name} failed: ${message}`, 'error');
+    }
+  }
+
+  getCommandContext() {
+    return { token: this.getActiveToken(), peerAddress: this.getActivePeerAddress() };
+  }
+
+  /**
+   * Complete the command or argument before the cursor (Tab)
+   * A single candidate is inserted; several are listed in the status line
+   * after inserting their common prefix.
+   */
+  completeInput() {
+    const { value, cursor } = this.lineEditor;
+    if (!value.startsWith('/') || value.startsWith('//')) {
+      return;
+    }
+    const before = value.slice(0, cursor);
+    const after = value.slice(cursor);
+    const { start, candidates } = this.commands.complete(before, this.getCommandContext());
+    if (candidates.length === 0) {
+      return;
+    }
+
+    const quote = (candidate) => (/\s/.test(candidate) ? `"${candidate}"` : candidate);
+    const head = before.slice(0, start);
+    let completed = before;
+    if (candidates.length === 1) {
+      const [candidate] = candidates;
+      completed = `${head}${quote(candidate)}${candidate.endsWith('/') || after.startsWith(' ') ? '' : ' '}`;
+      this.clearSendStatus();
+    } else {
+      let common = candidates[0];
+      candidates.forEach((candidate) => {
+        while (!candidate.startsWith(common)) {
+          common = common.slice(0, -1);
+        }
+      });
+      if (common.length > before.length - start) {
+        completed = `${head}${common}`;
+      }
+      this.updateSendStatus(candidates.join('  '), 'info');
+    }
+    this.lineEditor.setValue(`${completed}${after}`, completed.length);
+    this.scheduleRender();
+  }
+
+  /**
+   * Send text as typed in the input line ("@address text" for private messages)
+   * @param {string} text - Text to send
+   * @param {string} [token] - Token to send with, the active one by default
+   */
+  sendText(text, token = this.getActiveToken()) {
+    this.scrollOffset = 0;
+    this.scheduleRender();
+    if (this.sendCallback) {
+      this.sendCallback(text, token);
     }
   }
 
-  scrollUp() {
-    this.scrollOffset += 1;
+  /**
+   * Addresses known for a token, for completion
+   * @param {string} token - Token
+   * @returns {Array<string>} Cached recipients and peers of open private tabs
+   */
+  getKnownAddresses(token) {
+    const cached = this.recipientCacheProvider ? this.recipientCacheProvider(token) : [];
+    const peers = this.tabManager.getTabs()
+      .filter((tab) => tab.type === 'dm' && tab.token === token)
+      .map((tab) => tab.address);
+    return [...new Set([...peers, ...cached])];
+  }
+
+  /**
+   * Remove the messages of the active view from the screen
+   * The history keeps them; they are back after a restart.
+   */
+  clearView() {
+    const shown = new Set(this.getFilteredMessages());
+    this.displayedMessages = this.displayedMessages.filter((msg) => !shown.has(msg));
+    this.scrollOffset = 0;
+    this.scheduleRender();
+  }
+
+  /**
+   * Lines to scroll by for PageUp/PageDown
+   * @returns {number} One less than the message area height, at least 1
+   */
+  getPageSize() {
+    return Math.max(this.messageHeight - 1, 1);
+  }
+
+  scrollUp(count = 1) {
+    this.scrollOffset += count;
     this.scheduleRender();
   }
 
-  scrollDown() {
+  scrollDown(count = 1) {
     if (this.scrollOffset > 0) {
-      this.scrollOffset -= 1;
+      this.scrollOffset = Math.max(this.scrollOffset - count, 0);
       this.scheduleRender();
     }
   }
@@ -413,6 +1254,10 @@ export class CharsmUI {
   renderHeaderLines() {
     return renderHeaderLines({
       config: this.config,
+      tokens: this.tokens,
+      activeToken: this.getActiveToken(),
+      unreadTokens: this.tabManager.getUnreadTokens(),
+      rpcEndpoint: this.rpcEndpoint,
       myAddress: this.myAddress,
       totalMessages: this.totalMessages,
       messageExpiryHours: this.messageExpiryHours,
@@ -430,20 +1275,86 @@ export class CharsmUI {
     });
   }
 
+  /**
+   * Styled and wrapped lines of a displayed message
+   * Results are cached by message hash while the message object, the width,
+   * the time left shown, the focus and the search terms stay the same;
+   * delivery and reaction changes drop the entry (see forgetFormatted()).
+   * @param {Object} msg - Displayed message
+   * @returns {string} Lines separated by "\n"
+   */
   formatMessageLine(msg) {
-    return formatMessageLine(msg, {
+    const focused = (this.searchHighlight.length > 0 && msg.hash === this.focusedMessageHash)
+      || (this.selectingMessage && msg.hash === this.selectedMessageHash);
+    const expiresIn = msg.pending || msg.isSystem ? null : this.getExpiresIn(msg);
+    const signature = [
+      this.messageWidth,
+      expiresIn === null ? '' : formatTimeLeft(expiresIn),
+      focused,
+      this.searchHighlight.join('\n')
+    ].join('|');
+    const cached = this.formattedMessages.get(msg.hash);
+    if (cached && cached.msg === msg && cached.signature === signature) {
+      return cached.text;
+    }
+
+    const text = formatMessageLine(msg, {
       config: this.config,
       myAddress: this.myAddress,
-      applyStyle: this.applyStyle.bind(this)
+      applyStyle: this.applyStyle.bind(this),
+      highlight: this.searchHighlight,
+      focused,
+      delivery: msg.pending ? null : this.deliveryStates.get(msg.hash),
+      expiresIn,
+      reactions: this.getReactions(msg),
+      width: this.messageWidth
     });
+    if (msg.hash) {
+      this.formattedMessages.set(msg.hash, { msg, signature, text });
+    }
+    return text;
+  }
+
+  forgetFormatted(hash) {
+    this.formattedMessages.delete(hash);
+  }
+
+  /**
+   * Seconds until a message expires from the pool
+   * @param {Object} msg - Displayed message
+   * @param {number} [now] - Unix timestamp in seconds
+   * @returns {number|null} Seconds left (negative once expired), or null while the pool lifetime is unknown
+   */
+  getExpiresIn(msg, now = Math.floor(Date.now() / 1000)) {
+    if (!this.messageExpiryHours) {
+      return null;
+    }
+    return msg.timestamp + this.messageExpiryHours * 3600 - now;
   }
 
   getFilteredMessages() {
     const activePeer = this.getActivePeerAddress();
-    const activeTabId = this.tabManager.getActiveTabId();
-    return this.displayedMessages.filter((msg) => {
+    const activeToken = this.getActiveToken();
+    // Queued messages follow the sent ones
+    const pending = this.outboxItems.map((item) => ({
+      ...describeOutboxText(item.text),
+      sender: this.myAddress,
+      timestamp: item.createdAt,
+      token: item.token,
+      hash: `outbox:${item.id}`,
+      replyTo: item.replyTo || null,
+      pending: item.status
+    }));
+    const thread = this.getActiveThread();
+    if (thread) {
+      return this.displayedMessages.filter((msg) => thread.hashes.has(msg.hash));
+    }
+    return [...this.displayedMessages, ...pending].filter((msg) => {
+      if (msg.token !== activeToken) {
+        return false;
+      }
       const type = normalizeMessageType(msg.messageType || msg.message_type);
-      if (activeTabId === MESSAGE_TYPES.GROUP) {
+      if (!activePeer) {
         return type === MESSAGE_TYPES.GROUP;
       }
       return type === MESSAGE_TYPES.PRIVATE && msg.peerAddress === activePeer;
@@ -458,34 +1369,140 @@ export class CharsmUI {
     });
   }
 
+  renderSearchOverlay(availableHeight, width) {
+    return renderSearchOverlay({
+      availableHeight,
+      width,
+      panel: this.searchPanel,
+      config: this.config,
+      myAddress: this.myAddress,
+      showToken: this.tokens.length > 1
+    });
+  }
+
+  renderOutboxOverlay(availableHeight, width) {
+    return renderOutboxOverlay({
+      availableHeight,
+      width,
+      panel: this.outboxPanel,
+      config: this.config,
+      showToken: this.tokens.length > 1
+    });
+  }
+
   renderMessageLines(availableHeight, width) {
     const lines = [];
+    this.messageHeight = availableHeight;
+    this.messageWidth = width;
+
+    if (this.outboxPanel.isOpen()) {
+      return this.renderOutboxOverlay(availableHeight, width);
+    }
 
     if (this.blockingErrors.length > 0) {
       lines.push('*** BLOCKED ***');
       this.blockingErrors.forEach((err) => lines.push(err));
+      if (this.retryCountdown) {
+        const remaining = this.retryCountdown();
+        lines.push('');
+        lines.push(remaining
+          ? `Retrying in ${Math.ceil(remaining / 1000)}s (press Ctrl+R to retry now)`
+          : 'Retrying...');
+      }
+      if (this.outboxCallback) {
+        lines.push('');
+        lines.push(this.outboxItems.length > 0
+          ? `${this.outboxItems.length} message(s) queued in the outbox (Ctrl+O to review)`
+          : 'Messages typed now are queued and sent when the connection is back');
+      }
       return lines.slice(0, availableHeight);
     }
 
+    if (this.searchPanel.isOpen()) {
+      return this.renderSearchOverlay(availableHeight, width);
+    }
+
     if (this.recipientSelector.isOpen()) {
       return this.renderRecipientOverlay(availableHeight, width);
     }
 
-    const filtered = this.getFilteredMessages();
-    const formatted = filtered.map((msg) => this.formatMessageLine(msg));
-    const total = formatted.length;
-    const visible = Math.max(availableHeight, 0);
-    const maxOffset = Math.max(total - visible, 0);
-    if (this.scrollOffset > maxOffset) {
-      this.scrollOffset = maxOffset;
+    const { rows, shown } = this.layoutMessages(this.getFilteredMessages(), Math.max(availableHeight, 0));
+
+    // Messages on screen count as read while the user is looking at it
+    if (this.focused && !this.away) {
+      shown.forEach((msg) => {
+        msg.unread = false;
+      });
     }
-    const start = Math.max(total - visible - this.scrollOffset, 0);
-    const end = Math.min(start + visible, total);
-    return formatted.slice(start, end);
+    return rows;
   }
 
-  renderInputLine() {
-    return renderInputLine(this.inputValue);
+  /**
+   * Lines on screen for the current scroll offset
+   * Messages are formatted from the newest back until the screen and the
+   * offset are covered; the offset is clamped so the screen stays full.
+   * @param {Array<Object>} messages - Messages of the active view, oldest first
+   * @param {number} visible - Available lines
+   * @returns {{rows: Array<string>, shown: Array<Object>}} Lines to draw and the messages with a line among them
+   */
+  layoutMessages(messages, visible) {
+    const blocks = [];
+    let total = 0;
+    for (let i = messages.length - 1; i >= 0 && total < this.scrollOffset + visible; i -= 1) {
+      const msgLines = this.formatMessageLine(messages[i]).split('\n');
+      blocks.push({ msg: messages[i], msgLines });
+      total += msgLines.length;
+    }
+    this.scrollOffset = Math.max(Math.min(this.scrollOffset, total - visible), 0);
+
+    const lines = blocks.reverse().flatMap(({ msg, msgLines }) => msgLines.map((line) => ({ msg, line })));
+    const end = lines.length - this.scrollOffset;
+    const onScreen = lines.slice(Math.max(end - visible, 0), end);
+    return {
+      rows: onScreen.map(({ line }) => line),
+      shown: [...new Set(onScreen.map(({ msg }) => msg))]
+    };
+  }
+
+  /**
+   * Text shown before the prompt, naming the message being replied or reacted to
+   * @returns {string} Prefix, empty when not replying or reacting
+   */
+  getInputPrefix() {
+    if (this.reactTarget) {
+      return `+ ${sanitizeText(this.reactTarget.quote)} `;
+    }
+    return this.replyTarget ? `↪ ${sanitizeText(this.replyTarget.quote)} ` : '';
+  }
+
+  /**
+   * Rows of the input box: one per line of the input, up to UI.INPUT_MAX_LINES
+   * @param {number} rows - Terminal height
+   * @returns {number} Input box height, at most a third of the terminal
+   */
+  getInputHeight(rows) {
+    const lines = this.lineEditor.value.split('\n').length;
+    return Math.max(Math.min(lines, UI.INPUT_MAX_LINES, Math.floor(rows / 3)), 1);
+  }
+
+  /**
+   * Input box scrolled to keep the cursor visible
+   * Lines after the first are indented under the text of the first.
+   * @param {number} width - Inner width of the input box
+   * @param {number} height - Input box height
+   * @returns {{lines: Array<string>, row: number, column: number}} Rendered rows and the cursor position within them
+   */
+  renderInputLines(width, height) {
+    const prefix = this.getInputPrefix();
+    // The prefix quotes the parent message, which may hold wide characters
+    const leadWidth = displayWidth(renderInputLine('', prefix));
+    const view = this.lineEditor.getView(width - leadWidth, height);
+    const lines = view.lines.map((text, index) => (
+      index === 0 && this.lineEditor.scrollRow === 0
+        ? renderInputLine(text, prefix, this.multilineCompose)
+        : `${' '.repeat(leadWidth)}${text}`
+    ));
+    return { lines, row: view.row, column: leadWidth + view.column };
   }
 
   renderStatusLine() {
@@ -516,13 +1533,17 @@ export class CharsmUI {
   }
 
   render() {
+    if (this.suspended) {
+      return;
+    }
     const rows = process.stdout.rows || 24;
     const cols = process.stdout.columns || 80;
     const innerWidth = Math.max(cols - 2, 10);
     const headerLines = this.renderHeaderLines();
     const tabRender = this.renderTabLines();
     const tabLines = tabRender.lines;
-    const footerLines = 4; // input top + input + input bottom + status
+    const inputHeight = this.getInputHeight(rows);
+    const footerLines = inputHeight + 3; // input top + input + input bottom + status
     const frameLines = 2; // top + bottom border
     const dividerLines = 1;
     const headerDividerLines = 1;
@@ -532,6 +1553,7 @@ export class CharsmUI {
     );
 
     const messageLines = this.renderMessageLines(messageHeight, innerWidth);
+    const input = this.renderInputLines(innerWidth, inputHeight);
     const paddedMessages = [...messageLines];
     while (paddedMessages.length < messageHeight) {
       paddedMessages.push('');
@@ -564,21 +1586,25 @@ export class CharsmUI {
       tabDivider,
       ...paddedMessages.map((line) => `│${padLine(line, innerWidth)}│`),
       inputTop,
-      `│${padLine(this.renderInputLine(), innerWidth)}│`,
+      ...input.lines.map((line) => `│${padLine(line, innerWidth)}│`),
       inputBottom,
       `│${padLine(this.renderStatusLine(), innerWidth)}│`,
       borderBottom
     ];
 
-    const output = outputLines.join('\n');
-    process.stdout.write(`${ANSI.CLEAR}${ANSI.HOME}${output}`);
-
     const inputRow = 1 + headerLines.length + headerDividerLines + tabLines.length + dividerLines + messageHeight + 2;
-    const cursorCol = Math.min(
-      2 + 2 + this.inputValue.length,
-      (process.stdout.columns || 80) - 1
-    );
-    process.stdout.write(`\x1b[${inputRow};${cursorCol}H${ANSI.SHOW_CURSOR}`);
+    const cursorRow = inputRow + input.row;
+    const cursorCol = Math.min(2 + input.column, cols - 1);
+    this.screen.draw(outputLines, { row: Math.min(cursorRow, rows), column: cursorCol }, { rows, columns: cols });
+  }
+
+  /**
+   * Draw the whole screen again (Ctrl+L)
+   * Repairs the screen after another program wrote to the terminal.
+   */
+  redraw() {
+    this.screen.invalidate();
+    this.renderNow();
   }
 
   updateTopBar(status) {
@@ -589,17 +1615,86 @@ export class CharsmUI {
     this.scheduleRender();
   }
 
+  /**
+   * Show which RPC endpoint is in use
+   * @param {{url: string, index: number, count: number}|null} endpoint - Active endpoint
+   */
+  updateRpcEndpoint(endpoint) {
+    this.rpcEndpoint = endpoint || null;
+    this.scheduleRender();
+  }
+
   updatePoolInfo(poolInfo) {
     if (poolInfo) {
       this.totalMessages = poolInfo.messages || 0;
       this.messageExpiryHours = poolInfo.messageexpiryhours || 0;
       this.encryptionType = poolInfo.cipher || PRIVACY.DEFAULT_ENCRYPTION;
+      this.checkExpiryWarnings();
       this.scheduleRender();
     }
   }
 
+  /**
+   * Warn once about unread messages about to expire from the pool
+   * @param {number} [now] - Unix timestamp in seconds
+   */
+  checkExpiryWarnings(now = Math.floor(Date.now() / 1000)) {
+    const expiring = this.displayedMessages.filter((msg) => {
+      const expiresIn = this.getExpiresIn(msg, now);
+      return msg.unread
+        && !this.expiryWarnings.has(msg.hash)
+        && expiresIn !== null
+        && expiresIn > 0
+        && expiresIn <= EXPIRY.WARNING_SECONDS;
+    });
+    if (expiring.length === 0) {
+      return;
+    }
+
+    expiring.forEach((msg) => this.expiryWarnings.add(msg.hash));
+    const conversations = [...new Set(expiring.map((msg) => {
+      const name = msg.peerAddress ? this.tabManager.formatTabLabel(msg.peerAddress) : 'group';
+      return this.tokens.length > 1 ? `${msg.token} ${name}` : name;
+    }))];
+    const soonest = Math.min(...expiring.map((msg) => this.getExpiresIn(msg, now)));
+    this.addSystemMessage(
+      'warning',
+      `${expiring.length} unread message(s) in ${conversations.join(', ')} expire from the pool in ${formatTimeLeft(soonest)}`
+    );
+  }
+
   addMessage(msg) {
+    this.ingestMessage(msg, true);
+    this.displayedMessages.sort((a, b) => a.timestamp - b.timestamp);
+    this.renderNow();
+  }
+
+  /**
+   * Show previously stored messages without marking them unread
+   * @param {Array<Object>} messages - Messages restored from local history
+   */
+  loadHistory(messages) {
+    if (!messages || messages.length === 0) {
+      return;
+    }
+    messages.forEach((msg) => this.ingestMessage(msg, false));
+    this.displayedMessages.sort((a, b) => a.timestamp - b.timestamp);
+    this.scheduleRender();
+  }
+
+  ingestMessage(msg, markUnread) {
+    // Reactions are counted under their target, see getReactions(); file chunks are reported as progress
+    const contentType = getContentType(msg);
+    if (contentType === ENVELOPE_TYPES.REACTION) {
+      this.forgetFormatted(msg.content.target);
+      return;
+    }
+    if (contentType === ENVELOPE_TYPES.FILE_CHUNK) {
+      return;
+    }
+
     const messageType = normalizeMessageType(msg.messageType || msg.message_type);
+    const token = msg.token || this.tokens[0];
     let peerAddress = msg.peerAddress || null;
 
     if (messageType === MESSAGE_TYPES.PRIVATE && !peerAddress) {
@@ -609,24 +1704,77 @@ export class CharsmUI {
     }
 
     if (messageType === MESSAGE_TYPES.PRIVATE) {
-      const tab = this.tabManager.openPrivateTab(peerAddress, false, msg.timestamp);
-      if (tab && this.tabManager.getActiveTabId() !== tab.id) {
+      const tab = this.tabManager.openPrivateTab(token, peerAddress, false, msg.timestamp);
+      if (markUnread && tab && this.tabManager.getActiveTabId() !== tab.id) {
         this.tabManager.markUnread(tab.id);
       }
     }
 
-    if (messageType === MESSAGE_TYPES.GROUP) {
-      this.tabManager.markGroupUnread();
+    if (markUnread && messageType === MESSAGE_TYPES.GROUP) {
+      this.tabManager.markGroupUnread(token);
+    }
+
+    // Replies to an open thread join it
+    if (this.threadView && msg.replyTo && this.threadView.hashes.has(msg.replyTo.hash)) {
+      this.threadView.hashes.add(msg.hash);
+    }
+
+    // The pool copy of a message we sent replaces its local echo
+    if (this.deliveryStates.has(msg.hash)) {
+      this.displayedMessages = this.displayedMessages.filter(
+        (entry) => !(entry.localEcho && entry.hash === msg.hash)
+      );
     }
 
     this.displayedMessages.push({
       ...msg,
       messageType,
-      peerAddress
+      peerAddress,
+      token,
+      unread: Boolean(markUnread && !msg.isSystem && msg.sender !== this.myAddress)
     });
+  }
 
-    this.displayedMessages.sort((a, b) => a.timestamp - b.timestamp);
-    this.renderNow();
+  /**
+   * Show the delivery state of an outgoing message
+   * A message that was just built is echoed locally until the pool returns it.
+   * @param {Object} entry - DeliveryTracker entry
+   */
+  updateDelivery(entry) {
+    const isNew = !this.deliveryStates.has(entry.messageHash);
+    this.deliveryStates.set(entry.messageHash, entry.state);
+    this.forgetFormatted(entry.messageHash);
+    if (isNew && entry.state === DELIVERY_STATES.BUILT && entry.message) {
+      this.ingestMessage({
+        sender: entry.sender,
+        message: entry.message,
+        timestamp: entry.timestamp,
+        hash: entry.messageHash,
+        signature: '',
+        messageType: entry.messageType,
+        peerAddress: entry.peerAddress,
+        token: entry.token,
+        contentType: entry.contentType,
+        replyTo: entry.replyTo || null,
+        content: entry.content || null,
+        localEcho: true
+      }, false);
+      this.displayedMessages.sort((a, b) => a.timestamp - b.timestamp);
+    }
+    this.scheduleRender();
+  }
+
+  /**
+   * Drop the local echo of a message the pool did not accept
+   * @param {string} messageHash - Message hash
+   */
+  discardDelivery(messageHash) {
+    this.deliveryStates.delete(messageHash);
+    this.forgetFormatted(messageHash);
+    this.displayedMessages = this.displayedMessages.filter(
+      (entry) => !(entry.localEcho && entry.hash === messageHash)
+    );
+    this.scheduleRender();
   }
 
   addSystemMessage(type, message) {
@@ -638,6 +1786,7 @@ export class CharsmUI {
       hash: hash,
       signature: '',
       messageType: MESSAGE_TYPES.GROUP,
+      token: this.getActiveToken(),
       isSystem: true,
       systemType: type
     });
@@ -649,6 +1798,17 @@ export class CharsmUI {
     this.scheduleRender();
   }
 
+  /**
+   * Drop messages removed by the local retention policy
+   * @param {Array<string>} hashes - Message hashes
+   */
+  removeMessages(hashes) {
+    const removed = new Set(hashes);
+    this.displayedMessages = this.displayedMessages.filter((msg) => !removed.has(msg.hash));
+    hashes.forEach((hash) => this.expiryWarnings.delete(hash));
+    this.scheduleRender();
+  }
+
   showError(errorMsg) {
     return this.addSystemMessage('error', errorMsg);
   }
@@ -672,19 +1832,55 @@ export class CharsmUI {
     this.scheduleRender();
   }
 
-  showBlockingErrors(errors) {
+  /**
+   * Block input and show errors until clearBlockingErrors()
+   * @param {Array<string>} errors - Error lines
+   * @param {Function} [getRemainingMs] - Time to the next retry, shown as a live countdown
+   */
+  showBlockingErrors(errors, getRemainingMs = null) {
     this.blockingErrors = errors || [];
     this.inputDisabled = true;
+    this.retryCountdown = getRemainingMs;
+    clearInterval(this.countdownInterval);
+    this.countdownInterval = getRemainingMs
+      ? setInterval(() => this.scheduleRender(), TIME.COUNTDOWN_REFRESH_MS)
+      : null;
     this.renderNow();
   }
 
   clearBlockingErrors() {
     this.blockingErrors = [];
     this.inputDisabled = false;
+    this.retryCountdown = null;
+    clearInterval(this.countdownInterval);
+    this.countdownInterval = null;
     this.renderNow();
   }
 
+  retryNow() {
+    if (this.retryNowCallback) {
+      this.retryNowCallback();
+    }
+    this.scheduleRender();
+  }
+
   onSend(callback) {
     this.sendCallback = callback;
   }
+
+  onReact(callback) {
+    this.reactCallback = callback;
+  }
+
+  onRetryNow(callback) {
+    this.retryNowCallback = callback;
+  }
+
+  onPresenceChange(callback) {
+    this.presenceCallback = callback;
+  }
+
+  onOutboxAction(callback) {
+    this.outboxCallback = callback;
+  }
 }
@@ -0,0 +1,265 @@
+/**
+ * Slash-command registry for Charsm UI
+ * Parses "/name args" input against the registered commands, builds usage
+ * lines and completes command names and arguments.
+ * @module CommandRegistry
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { CommandError } from '../errors.js';
+
+/**
+ * Split command input into words
+ * Words are separated by whitespace; "double" or 'single' quotes group words
+ * and a backslash escapes the next character outside single quotes.
+ * @param {string} input - Input after the leading "/"
+ * @param {boolean} [strict=true] - Throw on an unterminated quote instead of ending the word
+ * @returns {Array<{value: string, start: number}>} Words with their offset in the input
+ * @throws {CommandError} If a quote is not closed in strict mode
+ */
+export function tokenize(input, strict = true) {
+  const tokens = [];
+  let current = null;
+  let quote = null;
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+    if (!quote && /\s/.test(char)) {
+      if (current) {
+        tokens.push(current);
+        current = null;
+      }
+      continue;
+    }
+    if (!current) {
+      current = { value: '', start: i };
+    }
+    if (char === '\\' && quote !== "'" && i + 1 < input.length) {
+      i += 1;
+      current.value += input[i];
+    } else if (quote && char === quote) {
+      quote = null;
+    } else if (!quote && (char === '"' || char === "'")) {
+      quote = char;
+    } else {
+      current.value += char;
+    }
+  }
+
+  if (quote && strict) {
+    throw new CommandError(`Missing closing ${quote}`);
+  }
+  if (current) {
+    tokens.push(current);
+  }
+  return tokens;
+}
+
+/**
+ * Complete a file system path relative to the working directory
+ * Hidden entries are offered only once the partial name starts with ".".
+ * @param {string} partial - Path typed so far
+ * @returns {Array<string>} Matching paths, directories ending with "/"
+ */
+export function completePath(partial) {
+  const endsWithSeparator = partial.endsWith('/') || partial.endsWith(path.sep);
+  const dir = endsWithSeparator ? partial : path.dirname(partial);
+  const prefix = endsWithSeparator ? '' : path.basename(partial);
+  const base = partial.slice(0, partial.length - prefix.length);
+
+  let entries;
+  try {
+    entries = fs.readdirSync(dir || '.', { withFileTypes: true });
+  } catch (error) {
+    return [];
+  }
+  return entries
+    .filter((entry) => entry.name.startsWith(prefix) && (prefix.startsWith('.') || !entry.name.startsWith('.')))
+    .map((entry) => `${base}${entry.name}${entry.isDirectory() ? '/' : ''}`)
+    .sort();
+}
+
+/**
+ * Registered slash-commands
+ *
+ * A command is `{name, aliases?, description, args?, run}`. Each entry of
+ * `args` is `{name, required?, rest?, variadic?, complete?}`:
+ * - a plain argument takes one word (null when missing)
+ * - `rest` takes the remaining input as typed, quotes included
+ * - `variadic` takes the remaining words as an array
+ * - `complete(partial, context)` returns candidates for tab completion
+ *
+ * `run(args, context)` receives the arguments by name and the context of
+ * the active tab; it may return a promise.
+ */
+export class CommandRegistry {
+  constructor() {
+    /** @type {Map<string, Object>} Command by name */
+    this.commands = new Map();
+    /** @type {Map<string, string>} Command name by alias */
+    this.aliases = new Map();
+  }
+
+  /**
+   * Add a command
+   * @param {Object} command - Command definition, see the class description
+   * @returns {Object} The registered command
+   * @throws {CommandError} If the name or an alias is taken
+   */
+  register(command) {
+    const entry = { aliases: [], args: [], description: '', ...command };
+    for (const name of [entry.name, ...entry.aliases]) {
+      if (this.get(name)) {
+        throw new CommandError(`Command /${name} is already registered`);
+      }
+    }
+    this.commands.set(entry.name, entry);
+    entry.aliases.forEach((alias) => this.aliases.set(alias, entry.name));
+    return entry;
+  }
+
+  /**
+   * Remove a command and its aliases
+   * @param {string} name - Command name
+   * @returns {boolean} False if the command was not registered
+   */
+  unregister(name) {
+    const command = this.commands.get(name);
+    if (!command) {
+      return false;
+    }
+    this.commands.delete(name);
+    command.aliases.forEach((alias) => this.aliases.delete(alias));
+    return true;
+  }
+
+  /**
+   * Find a command by name or alias
+   * @param {string} name - Name or alias, case-insensitive
+   * @returns {Object|null} Command
+   */
+  get(name) {
+    const key = name.toLowerCase();
+    return this.commands.get(key) || this.commands.get(this.aliases.get(key)) || null;
+  }
+
+  /**
+   * All commands by name
+   * @returns {Array<Object>} Commands sorted by name
+   */
+  list() {
+    return [...this.commands.values()].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Usage line of a command
+   * @param {Object} command - Command
+   * @returns {string} e.g. "/msg <address> <text...>"
+   */
+  getUsage(command) {
+    const args = command.args.map((arg) => {
+      const label = arg.rest || arg.variadic ? `${arg.name}...` : arg.name;
+      return arg.required ? `<${label}>` : `[${label}]`;
+    });
+    return [`/${command.name}`, ...args].join(' ');
+  }
+
+  /**
+   * Parse command input into a command and its arguments
+   * @param {string} input - Input after the leading "/"
+   * @returns {{command: Object, args: Object}} Command and arguments by name
+   * @throws {CommandError} If the command is unknown or the arguments do not match
+   */
+  parse(input) {
+    const tokens = tokenize(input);
+    if (tokens.length === 0) {
+      throw new CommandError('Type a command after "/" (see /help)');
+    }
+    const command = this.get(tokens[0].value);
+    if (!command) {
+      throw new CommandError(`Unknown command: /${tokens[0].value} (see /help)`);
+    }
+
+    const args = {};
+    let position = 1;
+    for (const spec of command.args) {
+      let value;
+      if (spec.rest) {
+        value = position < tokens.length ? input.slice(tokens[position].start).trim() : '';
+        position = tokens.length;
+      } else if (spec.variadic) {
+        value = tokens.slice(position).map((token) => token.value);
+        position = tokens.length;
+      } else {
+        value = position < tokens.length ? tokens[position].value : null;
+        position += 1;
+      }
+      const missing = value === null || value.length === 0;
+      if (spec.required && missing) {
+        throw new CommandError(`Usage: ${this.getUsage(command)}`);
+      }
+      args[spec.name] = value;
+    }
+    if (position < tokens.length) {
+      throw new CommandError(`Too many arguments. Usage: ${this.getUsage(command)}`);
+    }
+
+    return { command, args };
+  }
+
+  /**
+   * Parse and run command input
+   * @param {string} input - Input after the leading "/"
+   * @param {Object} [context={}] - Context of the active tab, passed to the command
+   * @returns {Promise<*>} Result of the command
+   * @throws {CommandError} If the input does not parse; errors of the command propagate
+   */
+  async execute(input, context = {}) {
+    const { command, args } = this.parse(input);
+    return command.run(args, context);
+  }
+
+  /**
+   * Completion candidates for the word under the cursor at the end of the input
+   * @param {string} input - Whole input line, starting with "/"
+   * @param {Object} [context={}] - Context of the active tab, passed to argument completers
+   * @returns {{start: number, candidates: Array<string>}} Offset of the word being completed and its candidates
+   */
+  complete(input, context = {}) {
+    const body = input.slice(1);
+    const tokens = tokenize(body, false);
+    const atWordStart = body.length === 0 || /\s$/.test(body);
+
+    // The command name itself
+    if (tokens.length === 0 || (tokens.length === 1 && !atWordStart)) {
+      const partial = tokens.length > 0 ? tokens[0].value.toLowerCase() : '';
+      return {
+        start: 1,
+        candidates: this.list().map((command) => command.name).filter((name) => name.startsWith(partial))
+      };
+    }
+
+    const command = this.get(tokens[0].value);
+    const last = tokens[tokens.length - 1];
+    const start = atWordStart ? input.length : last.start + 1;
+    if (!command) {
+      return { start, candidates: [] };
+    }
+
+    const index = atWordStart ? tokens.length - 1 : tokens.length - 2;
+    const lastSpec = command.args[command.args.length - 1];
+    const spec = index < command.args.length
+      ? command.args[index]
+      : (lastSpec && (lastSpec.rest || lastSpec.variadic) ? lastSpec : null);
+    if (!spec || !spec.complete) {
+      return { start, candidates: [] };
+    }
+
+    const partial = atWordStart ? '' : last.value;
+    return {
+      start,
+      candidates: spec.complete(partial, context).filter((candidate) => candidate.startsWith(partial))
+    };
+  }
+}
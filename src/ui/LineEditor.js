@@ -0,0 +1,367 @@
+/**
+ * Line editor for the Charsm UI input box
+ * Keeps the input text with its cursor, the text removed by the kill
+ * commands and the history of submitted lines per tab. The text may hold
+ * line breaks; Home/End, the kill commands and Up/Down then work on the
+ * line under the cursor.
+ * @module LineEditor
+ */
+
+import { UI } from '../constants.js';
+import { displayWidth, graphemes, sliceColumns } from './textWidth.js';
+
+const isWhitespace = (char) => /\s/.test(char);
+
+export class LineEditor {
+  /**
+   * Create a new LineEditor instance
+   * @param {number} [historySize=UI.INPUT_HISTORY_SIZE] - Lines kept per tab
+   */
+  constructor(historySize = UI.INPUT_HISTORY_SIZE) {
+    this.value = '';
+    /** @type {number} Cursor offset in UTF-16 code units */
+    this.cursor = 0;
+    /** @type {number} First column shown when a line is wider than the input box */
+    this.scrollColumn = 0;
+    /** @type {number} First line shown when there are more lines than the input box holds */
+    this.scrollRow = 0;
+    this.killBuffer = '';
+    this.historySize = historySize;
+    /** @type {Map<string, Array<string>>} Submitted lines by tab id, oldest first */
+    this.histories = new Map();
+    /** @type {{tabId: string, index: number, draft: string}|null} History entry being shown */
+    this.browsing = null;
+  }
+
+  /**
+   * Replace the text, scroll back to its start and leave history browsing
+   * @param {string} value - New text
+   * @param {number} [cursor] - Cursor offset, the end of the text by default
+   */
+  setValue(value, cursor = value.length) {
+    this.value = value;
+    this.cursor = Math.max(0, Math.min(cursor, value.length));
+    this.scrollColumn = 0;
+    this.scrollRow = 0;
+    this.browsing = null;
+  }
+
+  clear() {
+    this.setValue('');
+  }
+
+  /**
+   * Insert text at the cursor
+   * Control characters are dropped; callers turn pasted tabs and line breaks into spaces.
+   * @param {string} text - Text to insert
+   * @returns {boolean} False if nothing was inserted
+   */
+  insert(text) {
+    const clean = text.replace(/[\x00-\x1f\x7f]/g, '');
+    if (!clean) {
+      return false;
+    }
+    this.value = `${this.value.slice(0, this.cursor)}${clean}${this.value.slice(this.cursor)}`;
+    this.cursor += clean.length;
+    return true;
+  }
+
+  insertNewline() {
+    this.value = `${this.value.slice(0, this.cursor)}\n${this.value.slice(this.cursor)}`;
+    this.cursor += 1;
+  }
+
+  // Cursor steps move by grapheme cluster so emoji and accented letters are never split
+
+  previousOffset(offset) {
+    const before = graphemes(this.value.slice(0, offset));
+    return before.length > 0 ? offset - before[before.length - 1].length : 0;
+  }
+
+  nextOffset(offset) {
+    const [next] = graphemes(this.value.slice(offset));
+    return next ? offset + next.length : this.value.length;
+  }
+
+  /**
+   * Start of the word before an offset (words are separated by whitespace)
+   * @param {number} offset - Offset
+   * @returns {number} Offset of the word start
+   */
+  wordStart(offset) {
+    let index = offset;
+    while (index > 0 && isWhitespace(this.value[index - 1])) {
+      index -= 1;
+    }
+    while (index > 0 && !isWhitespace(this.value[index - 1])) {
+      index -= 1;
+    }
+    return index;
+  }
+
+  /**
+   * End of the word after an offset
+   * @param {number} offset - Offset
+   * @returns {number} Offset just past the word
+   */
+  wordEnd(offset) {
+    let index = offset;
+    while (index < this.value.length && isWhitespace(this.value[index])) {
+      index += 1;
+    }
+    while (index < this.value.length && !isWhitespace(this.value[index])) {
+      index += 1;
+    }
+    return index;
+  }
+
+  lineStart(offset) {
+    return this.value.lastIndexOf('\n', offset - 1) + 1;
+  }
+
+  lineEnd(offset) {
+    const index = this.value.indexOf('\n', offset);
+    return index === -1 ? this.value.length : index;
+  }
+
+  isMultiline() {
+    return this.value.includes('\n');
+  }
+
+  /**
+   * Offset of a display column in a line, at a grapheme boundary
+   * A column inside a wide character resolves to the start of that character.
+   * @param {number} start - Line start offset
+   * @param {number} column - Display column from the line start
+   * @returns {number} Offset no further than the line end
+   */
+  offsetAtColumn(start, column) {
+    let offset = start;
+    let width = 0;
+    for (const cluster of graphemes(this.value.slice(start, this.lineEnd(start)))) {
+      width += displayWidth(cluster);
+      if (width > column) {
+        break;
+      }
+      offset += cluster.length;
+    }
+    return offset;
+  }
+
+  /**
+   * Move the cursor to the same display column of the line above or below
+   * @param {number} delta - -1 for the line above, 1 for the line below
+   * @returns {boolean} False if the cursor is on the first or last line already
+   */
+  moveLine(delta) {
+    const start = this.lineStart(this.cursor);
+    const column = displayWidth(this.value.slice(start, this.cursor));
+    if (delta < 0) {
+      if (start === 0) {
+        return false;
+      }
+      this.moveTo(this.offsetAtColumn(this.lineStart(start - 1), column));
+      return true;
+    }
+    const end = this.lineEnd(this.cursor);
+    if (end === this.value.length) {
+      return false;
+    }
+    this.moveTo(this.offsetAtColumn(end + 1, column));
+    return true;
+  }
+
+  moveTo(offset) {
+    const next = Math.max(0, Math.min(offset, this.value.length));
+    if (next === this.cursor) {
+      return false;
+    }
+    this.cursor = next;
+    return true;
+  }
+
+  /**
+   * Remove a range of the text
+   * @param {number} start - First offset
+   * @param {number} end - Offset past the range
+   * @param {boolean} [kill=false] - Keep the removed text for yank
+   * @returns {boolean} False if the range was empty
+   */
+  remove(start, end, kill = false) {
+    if (end <= start) {
+      return false;
+    }
+    if (kill) {
+      this.killBuffer = this.value.slice(start, end);
+    }
+    this.value = `${this.value.slice(0, start)}${this.value.slice(end)}`;
+    this.cursor = start;
+    return true;
+  }
+
+  /**
+   * Apply an editing key
+   *
+   * - Left/Right, Home/End (Ctrl+A/Ctrl+E), Alt+Left/Alt+Right (Alt+B/Alt+F) move the cursor
+   * - Backspace and Delete remove a character, Alt+Backspace the word before the cursor
+   * - Ctrl+U, Ctrl+K and Ctrl+W kill to the line start, to the line end and the word before
+   *   the cursor; at either end of a line Ctrl+U and Ctrl+K join it with the next one
+   * - Ctrl+Y inserts the last killed text
+   * @param {string} str - Typed text
+   * @param {Object} key - Key info
+   * @returns {{action: string}} 'update' if the line or cursor changed, 'noop' if the key is
+   * an editing key that changed nothing, 'ignore' if it is not an editing key
+   */
+  handleKeypress(str, key) {
+    const result = (changed) => ({ action: changed ? 'update' : 'noop' });
+    const name = key ? key.name : null;
+    const ctrl = Boolean(key && key.ctrl);
+    const meta = Boolean(key && key.meta);
+
+    if ((name === 'left' && meta) || (name === 'b' && meta)) {
+      return result(this.moveTo(this.wordStart(this.cursor)));
+    }
+    if ((name === 'right' && meta) || (name === 'f' && meta)) {
+      return result(this.moveTo(this.wordEnd(this.cursor)));
+    }
+    if (name === 'left' && !ctrl) {
+      return result(this.moveTo(this.previousOffset(this.cursor)));
+    }
+    if (name === 'right' && !ctrl) {
+      return result(this.moveTo(this.nextOffset(this.cursor)));
+    }
+    if (name === 'home' || (name === 'a' && ctrl)) {
+      return result(this.moveTo(this.lineStart(this.cursor)));
+    }
+    if (name === 'end' || (name === 'e' && ctrl)) {
+      return result(this.moveTo(this.lineEnd(this.cursor)));
+    }
+    if (name === 'backspace' && meta) {
+      return result(this.remove(this.wordStart(this.cursor), this.cursor, true));
+    }
+    if (name === 'backspace') {
+      return result(this.remove(this.previousOffset(this.cursor), this.cursor));
+    }
+    if (name === 'delete') {
+      return result(this.remove(this.cursor, this.nextOffset(this.cursor)));
+    }
+    if (ctrl && name === 'u') {
+      const start = this.lineStart(this.cursor);
+      return result(this.remove(start === this.cursor ? Math.max(start - 1, 0) : start, this.cursor, true));
+    }
+    if (ctrl && name === 'k') {
+      const end = this.lineEnd(this.cursor);
+      return result(this.remove(this.cursor, end === this.cursor ? Math.min(end + 1, this.value.length) : end, true));
+    }
+    if (ctrl && name === 'w') {
+      return result(this.remove(this.wordStart(this.cursor), this.cursor, true));
+    }
+    if (ctrl && name === 'y') {
+      return result(this.insert(this.killBuffer));
+    }
+    if (str && !ctrl && !meta) {
+      return result(this.insert(str));
+    }
+    return { action: 'ignore' };
+  }
+
+  /**
+   * Add a submitted line to the history of a tab
+   * Repeating the previous line does not add it again.
+   * @param {string} tabId - Tab the line was submitted in
+   * @param {string} line - Line as typed
+   */
+  record(tabId, line) {
+    const entries = this.histories.get(tabId) || [];
+    if (entries[entries.length - 1] !== line) {
+      entries.push(line);
+    }
+    if (entries.length > this.historySize) {
+      entries.shift();
+    }
+    this.histories.set(tabId, entries);
+    this.browsing = null;
+  }
+
+  /**
+   * Show the previous (older) history line of a tab
+   * The line being typed is kept and comes back after the newest entry.
+   * @param {string} tabId - Active tab
+   * @returns {boolean} False if there is no older line
+   */
+  historyBack(tabId) {
+    const entries = this.histories.get(tabId) || [];
+    if (!this.browsing || this.browsing.tabId !== tabId) {
+      this.browsing = { tabId, index: entries.length, draft: this.value };
+    }
+    if (this.browsing.index === 0) {
+      return false;
+    }
+    this.browsing.index -= 1;
+    this.showHistoryLine(entries[this.browsing.index]);
+    return true;
+  }
+
+  /**
+   * Show the next (newer) history line of a tab, or the line typed before browsing
+   * @param {string} tabId - Active tab
+   * @returns {boolean} False if not browsing the history of that tab
+   */
+  historyForward(tabId) {
+    if (!this.browsing || this.browsing.tabId !== tabId) {
+      return false;
+    }
+    const entries = this.histories.get(tabId) || [];
+    this.browsing.index += 1;
+    if (this.browsing.index >= entries.length) {
+      this.setValue(this.browsing.draft);
+      return true;
+    }
+    this.showHistoryLine(entries[this.browsing.index]);
+    return true;
+  }
+
+  showHistoryLine(line) {
+    this.value = line;
+    this.cursor = line.length;
+  }
+
+  /**
+   * Part of the text that fits the input box, scrolled to keep the cursor visible
+   * All lines share the horizontal scroll of the cursor line, like an editor
+   * window. Columns are display columns, so wide characters take two.
+   * @param {number} width - Columns available for the text
+   * @param {number} [height=1] - Lines available
+   * @returns {{lines: Array<string>, row: number, column: number}} Visible lines and the cursor position within them
+   */
+  getView(width, height = 1) {
+    const lines = this.value.split('\n');
+    const start = this.lineStart(this.cursor);
+    const cursorRow = this.value.slice(0, start).split('\n').length - 1;
+    const cursorColumn = displayWidth(this.value.slice(start, this.cursor));
+    const lineWidth = displayWidth(lines[cursorRow]);
+
+    const room = Math.max(width - 1, 1); // The last column is kept for the cursor
+    if (cursorColumn < this.scrollColumn) {
+      this.scrollColumn = cursorColumn;
+    } else if (cursorColumn > this.scrollColumn + room) {
+      this.scrollColumn = cursorColumn - room;
+    }
+    this.scrollColumn = Math.max(0, Math.min(this.scrollColumn, Math.max(lineWidth - room, 0)));
+
+    const rows = Math.max(height, 1);
+    if (cursorRow < this.scrollRow) {
+      this.scrollRow = cursorRow;
+    } else if (cursorRow >= this.scrollRow + rows) {
+      this.scrollRow = cursorRow - rows + 1;
+    }
+    this.scrollRow = Math.max(0, Math.min(this.scrollRow, Math.max(lines.length - rows, 0)));
+
+    return {
+      lines: lines.slice(this.scrollRow, this.scrollRow + rows)
+        .map((text) => sliceColumns(text, this.scrollColumn, room + 1)),
+      row: cursorRow - this.scrollRow,
+      column: cursorColumn - this.scrollColumn
+    };
+  }
+}
@@ -0,0 +1,87 @@
+/**
+ * Outbox overlay state for Charsm UI
+ * Manages the selection over queued messages and maps keys to actions.
+ * @module OutboxPanel
+ */
+
+export class OutboxPanel {
+  constructor() {
+    this.open = false;
+    this.items = [];
+    this.index = 0;
+    this.scroll = 0;
+  }
+
+  isOpen() {
+    return this.open;
+  }
+
+  openPanel(items) {
+    this.open = true;
+    this.index = 0;
+    this.scroll = 0;
+    this.setItems(items);
+  }
+
+  close() {
+    this.open = false;
+  }
+
+  /**
+   * Replace the listed items, keeping the selection in range
+   * @param {Array<Object>} items - Outbox items, oldest first
+   */
+  setItems(items) {
+    this.items = items;
+    this.index = Math.max(0, Math.min(this.index, this.items.length - 1));
+    if (this.scroll > this.index) {
+      this.scroll = this.index;
+    }
+  }
+
+  getSelected() {
+    return this.items[this.index] || null;
+  }
+
+  handleKeypress(str, key) {
+    if (key && key.name === 'escape') {
+      return { action: 'close' };
+    }
+
+    if (key && key.name === 'up') {
+      if (this.index > 0) {
+        this.index -= 1;
+        if (this.index < this.scroll) {
+          this.scroll = this.index;
+        }
+        return { action: 'update' };
+      }
+      return { action: 'noop' };
+    }
+
+    if (key && key.name === 'down') {
+      if (this.index < this.items.length - 1) {
+        this.index += 1;
+        return { action: 'update' };
+      }
+      return { action: 'noop' };
+    }
+
+    const item = this.getSelected();
+    if (!item || (key && (key.ctrl || key.meta))) {
+      return { action: 'noop' };
+    }
+
+    if ((key && key.name === 'return') || str === 'e') {
+      return { action: 'edit', item };
+    }
+    if ((key && key.name === 'delete') || str === 'x') {
+      return { action: 'cancel', item };
+    }
+    if (str === 'r') {
+      return { action: 'retry', item };
+    }
+
+    return { action: 'noop' };
+  }
+}
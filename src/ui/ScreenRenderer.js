@@ -0,0 +1,79 @@
+/**
+ * Differential screen output for the Charsm UI
+ * Keeps the last frame written and sends only the rows that changed, in a
+ * single write wrapped in synchronized-output sequences so terminals that
+ * support them show the update at once. Terminals without support ignore
+ * the sequences. A resize, or invalidate(), redraws the whole screen.
+ * @module ScreenRenderer
+ */
+
+import { TERMINAL } from '../constants.js';
+
+const moveTo = (row, column) => `\x1b[${row};${column}H`;
+
+export class ScreenRenderer {
+  /**
+   * @param {NodeJS.WriteStream} [output=process.stdout] - Terminal stream
+   */
+  constructor(output = process.stdout) {
+    this.output = output;
+    /** @type {Array<string>} Rows on screen, top first */
+    this.rows = [];
+    /** @type {{row: number, column: number}|null} Cursor position on screen (1-based) */
+    this.cursor = null;
+    /** @type {{rows: number, columns: number}|null} Terminal size of the last frame */
+    this.size = null;
+  }
+
+  /**
+   * Forget what is on screen so the next frame is drawn in full
+   * Needed after anything else wrote to the terminal.
+   */
+  invalidate() {
+    this.rows = [];
+    this.cursor = null;
+    this.size = null;
+  }
+
+  /**
+   * Show a frame
+   * @param {Array<string>} lines - Rows, each exactly as wide as the terminal
+   * @param {{row: number, column: number}} cursor - Cursor position (1-based)
+   * @param {{rows: number, columns: number}} size - Terminal size the frame was laid out for
+   * @returns {boolean} False if the screen already showed the frame
+   */
+  draw(lines, cursor, size) {
+    // Rows past the bottom would scroll the screen and shift every row
+    const next = lines.slice(0, size.rows);
+    const full = !this.size || this.size.rows !== size.rows || this.size.columns !== size.columns;
+
+    let output = full ? TERMINAL.CLEAR_SCREEN : '';
+    const rowCount = Math.max(next.length, full ? 0 : this.rows.length);
+    for (let index = 0; index < rowCount; index += 1) {
+      const line = next[index];
+      if (!full && line === this.rows[index]) {
+        continue;
+      }
+      output += `${moveTo(index + 1, 1)}${TERMINAL.CLEAR_LINE}${line === undefined ? '' : `${line}${TERMINAL.RESET_ATTRIBUTES}`}`;
+    }
+
+    const cursorMoved = !this.cursor || this.cursor.row !== cursor.row || this.cursor.column !== cursor.column;
+    if (!output && !cursorMoved) {
+      return false;
+    }
+
+    this.output.write([
+      TERMINAL.BEGIN_SYNCHRONIZED_UPDATE,
+      TERMINAL.HIDE_CURSOR,
+      output,
+      moveTo(cursor.row, cursor.column),
+      TERMINAL.SHOW_CURSOR,
+      TERMINAL.END_SYNCHRONIZED_UPDATE
+    ].join(''));
+
+    this.rows = next;
+    this.cursor = { ...cursor };
+    this.size = { ...size };
+    return true;
+  }
+}
@@ -0,0 +1,111 @@
+/**
+ * Search overlay state for Charsm UI
+ * Manages the query, results, selection index and scroll position.
+ * @module SearchPanel
+ */
+
+import { tokenize } from '../messaging/SearchIndex.js';
+
+export class SearchPanel {
+  constructor() {
+    this.open = false;
+    this.query = '';
+    this.results = [];
+    this.index = 0;
+    this.scroll = 0;
+    this.searchFn = null;
+  }
+
+  isOpen() {
+    return this.open;
+  }
+
+  openPanel(searchFn, query = '') {
+    this.open = true;
+    this.searchFn = searchFn;
+    this.setQuery(query);
+  }
+
+  close() {
+    this.open = false;
+  }
+
+  /**
+   * Get lowercase terms for highlighting hits
+   * @returns {Array<string>} Query terms
+   */
+  getTerms() {
+    return tokenize(this.query);
+  }
+
+  setQuery(query) {
+    this.query = query;
+    // Newest matches first; the first entry is the most recent hit
+    this.results = this.searchFn ? [...this.searchFn(query)].reverse() : [];
+    this.index = 0;
+    this.scroll = 0;
+  }
+
+  getSelected() {
+    return this.results[this.index] || null;
+  }
+
+  /**
+   * Move selection and return the newly selected result
+   * @param {number} delta - Positive moves to older results, negative to newer
+   * @returns {Object|null} Selected result
+   */
+  move(delta) {
+    if (this.results.length === 0) {
+      return null;
+    }
+    const next = Math.max(0, Math.min(this.results.length - 1, this.index + delta));
+    this.index = next;
+    if (this.index < this.scroll) {
+      this.scroll = this.index;
+    }
+    return this.getSelected();
+  }
+
+  handleKeypress(str, key) {
+    if (key && key.name === 'escape') {
+      return { action: 'close' };
+    }
+
+    if (key && key.name === 'up') {
+      if (this.index > 0) {
+        this.move(-1);
+        return { action: 'update' };
+      }
+      return { action: 'noop' };
+    }
+
+    if (key && key.name === 'down') {
+      if (this.index < this.results.length - 1) {
+        this.move(1);
+        return { action: 'update' };
+      }
+      return { action: 'noop' };
+    }
+
+    if (key && key.name === 'return') {
+      const result = this.getSelected();
+      return result ? { action: 'select', message: result } : { action: 'noop' };
+    }
+
+    if (key && key.name === 'backspace') {
+      if (!this.query) {
+        return { action: 'noop' };
+      }
+      this.setQuery(this.query.slice(0, -1));
+      return { action: 'update' };
+    }
+
+    if (str && !(key && (key.ctrl || key.meta)) && str >= ' ') {
+      this.setQuery(this.query + str);
+      return { action: 'update' };
+    }
+
+    return { action: 'noop' };
+  }
+}
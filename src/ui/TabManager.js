@@ -1,26 +1,39 @@
 /**
  * Tab manager for Charsm UI
- * Tracks group and private tabs, unread state, and ordering.
+ * Tracks group and private tabs per token, unread state, and ordering.
  * @module TabManager
  */
 
 export class TabManager {
-  constructor() {
+  /**
+   * @param {Array<string>} [tokens=[]] - Watched tokens; each gets a group tab
+   */
+  constructor(tokens = []) {
+    this.tokens = tokens;
     this.tabs = [];
-    this.activeTabId = 'group';
+    this.activeTabId = null;
     this.privateTabFirstSeen = new Map();
     this.closedPrivateTabs = new Set();
   }
 
+  static groupTabId(token) {
+    return `group:${token}`;
+  }
+
+  static privateTabId(token, address) {
+    return `dm:${token}:${address}`;
+  }
+
   initialize() {
-    this.tabs = [{
-      id: 'group',
-      label: 'Group',
+    this.tabs = this.tokens.map((token) => ({
+      id: TabManager.groupTabId(token),
+      label: this.tokens.length > 1 ? token : 'Group',
       type: 'group',
+      token,
       unread: false,
       firstSeen: 0
-    }];
-    this.activeTabId = 'group';
+    }));
+    this.activeTabId = this.tabs.length > 0 ? this.tabs[0].id : null;
   }
 
   getTabs() {
@@ -31,11 +44,26 @@ export class TabManager {
     return this.activeTabId;
   }
 
+  getActiveTab() {
+    return this.tabs.find((tab) => tab.id === this.activeTabId) || null;
+  }
+
+  getActiveToken() {
+    const tab = this.getActiveTab();
+    return tab ? tab.token : this.tokens[0];
+  }
+
   getActivePeerAddress() {
-    if (!this.activeTabId.startsWith('dm:')) {
-      return null;
-    }
-    return this.activeTabId.slice(3);
+    const tab = this.getActiveTab();
+    return tab && tab.type === 'dm' ? tab.address : null;
+  }
+
+  /**
+   * Tokens with at least one unread tab, in workspace order
+   * @returns {Array<string>} Token names
+   */
+  getUnreadTokens() {
+    return this.tokens.filter((token) => this.tabs.some((tab) => tab.token === token && tab.unread));
   }
 
   setActiveTab(tabId) {
@@ -68,46 +96,58 @@ export class TabManager {
     return this.setActiveTab(this.tabs[prevIndex].id);
   }
 
-  closeActiveTab() {
-    if (this.activeTabId === 'group') {
+  /**
+   * Jump to the group tab of the next token
+   * @returns {boolean} True if the active tab changed
+   */
+  activateNextToken() {
+    if (this.tokens.length < 2) {
       return false;
     }
+    const currentIndex = this.tokens.indexOf(this.getActiveToken());
+    const nextToken = this.tokens[(currentIndex + 1) % this.tokens.length];
+    return this.setActiveTab(TabManager.groupTabId(nextToken));
+  }
 
-    const peerAddress = this.getActivePeerAddress();
-    this.tabs = this.tabs.filter((tab) => tab.id !== this.activeTabId);
-    if (peerAddress) {
-      this.closedPrivateTabs.add(peerAddress);
+  closeActiveTab() {
+    const tab = this.getActiveTab();
+    if (!tab || tab.type === 'group') {
+      return false;
     }
-    this.activeTabId = 'group';
+
+    this.tabs = this.tabs.filter((entry) => entry.id !== tab.id);
+    this.closedPrivateTabs.add(tab.id);
+    this.activeTabId = TabManager.groupTabId(tab.token);
     this.sortTabs();
     return true;
   }
 
-  openPrivateTab(address, activate = false, timestamp = null) {
-    if (!address) {
+  openPrivateTab(token, address, activate = false, timestamp = null) {
+    if (!address || !this.tokens.includes(token)) {
       return null;
     }
 
-    const tabId = `dm:${address}`;
+    const tabId = TabManager.privateTabId(token, address);
     let tab = this.tabs.find((entry) => entry.id === tabId);
 
-    if (!this.privateTabFirstSeen.has(address)) {
+    if (!this.privateTabFirstSeen.has(tabId)) {
       const firstSeen = timestamp || Math.floor(Date.now() / 1000);
-      this.privateTabFirstSeen.set(address, firstSeen);
+      this.privateTabFirstSeen.set(tabId, firstSeen);
     }
 
     if (!tab) {
-      if (this.closedPrivateTabs.has(address)) {
-        this.closedPrivateTabs.delete(address);
+      if (this.closedPrivateTabs.has(tabId)) {
+        this.closedPrivateTabs.delete(tabId);
       }
 
       tab = {
         id: tabId,
         label: this.formatTabLabel(address),
         type: 'dm',
+        token,
         address: address,
         unread: false,
-        firstSeen: this.privateTabFirstSeen.get(address)
+        firstSeen: this.privateTabFirstSeen.get(tabId)
       };
 
       this.tabs.push(tab);
@@ -128,14 +168,12 @@ export class TabManager {
     }
   }
 
-  markGroupUnread() {
-    if (this.activeTabId === 'group') {
+  markGroupUnread(token) {
+    const groupTabId = TabManager.groupTabId(token);
+    if (this.activeTabId === groupTabId) {
       return;
     }
-    const groupTab = this.tabs.find((tab) => tab.id === 'group');
-    if (groupTab) {
-      groupTab.unread = true;
-    }
+    this.markUnread(groupTabId);
   }
 
   formatTabLabel(address) {
@@ -152,11 +190,13 @@ export class TabManager {
   }
 
   sortTabs() {
-    const groupTab = this.tabs.find((tab) => tab.type === 'group');
-    const dmTabs = this.tabs
-      .filter((tab) => tab.type === 'dm')
-      .sort((a, b) => a.firstSeen - b.firstSeen);
-
-    this.tabs = groupTab ? [groupTab, ...dmTabs] : dmTabs;
+    // Each token's group tab followed by its private tabs, tokens in workspace order
+    this.tabs = this.tokens.flatMap((token) => {
+      const groupTab = this.tabs.find((tab) => tab.type === 'group' && tab.token === token);
+      const dmTabs = this.tabs
+        .filter((tab) => tab.type === 'dm' && tab.token === token)
+        .sort((a, b) => a.firstSeen - b.firstSeen);
+      return groupTab ? [groupTab, ...dmTabs] : dmTabs;
+    });
   }
 }
@@ -0,0 +1,102 @@
+/**
+ * External editor for the input line
+ * Writes the text to a private temp file, runs $VISUAL or $EDITOR on it and
+ * reads the result back. The file is overwritten before it is removed.
+ * @module ui/externalEditor
+ */
+
+import { spawn } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { EDITOR } from '../constants.js';
+import { EditorError, StorageError } from '../errors.js';
+
+/**
+ * Editor command and its arguments
+ * @param {Object} [env=process.env] - Environment
+ * @returns {Array<string>} Command followed by its arguments, e.g. ["code", "--wait"]
+ */
+export function getEditorCommand(env = process.env) {
+  const command = (env.VISUAL || env.EDITOR || '').trim() || EDITOR.DEFAULT_COMMAND;
+  return command.split(/\s+/);
+}
+
+/**
+ * Run the editor on a file with the terminal handed over to it
+ * @param {Array<string>} command - Editor command and arguments
+ * @param {string} filePath - File to edit
+ * @returns {Promise<void>}
+ * @throws {EditorError} If the editor cannot be started or does not exit cleanly
+ */
+function runEditor([command, ...args], filePath) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, [...args, filePath], { stdio: 'inherit' });
+    child.once('error', (error) => reject(new EditorError(`Cannot start ${command}: ${error.message}`)));
+    child.once('exit', (code, signal) => {
+      if (code === 0) {
+        resolve();
+        return;
+      }
+      reject(new EditorError(`${command} ${signal ? `was stopped by ${signal}` : `exited with code ${code}`}`));
+    });
+  });
+}
+
+/**
+ * Overwrite the temp file with zeros, then remove its directory
+ * The directory also holds swap or backup files the editor may have left.
+ * @param {string} dir - Temp directory
+ * @param {string} filePath - Temp file
+ */
+function removeSecurely(dir, filePath) {
+  try {
+    const { size } = fs.statSync(filePath);
+    const fd = fs.openSync(filePath, 'r+');
+    try {
+      fs.writeSync(fd, Buffer.alloc(size), 0, size, 0);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+  } catch (error) {
+    // Ignore: the editor removed or replaced the file
+  }
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+/**
+ * Let the user edit text in an external editor
+ * The caller hands the terminal over first (see CharsmUI.suspend()).
+ * @param {string} text - Initial text
+ * @param {Array<string>} [command] - Editor command, from VISUAL or EDITOR by default
+ * @returns {Promise<string>} Edited text without trailing line breaks
+ * @throws {StorageError} If the temp file cannot be written or read
+ * @throws {EditorError} If the editor fails; the text should be left unchanged
+ */
+export async function editText(text, command = getEditorCommand()) {
+  let dir;
+  try {
+    // Created with owner-only permissions
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), EDITOR.TEMP_PREFIX));
+  } catch (error) {
+    throw new StorageError(`Failed to create a temp file: ${error.message}`);
+  }
+
+  const filePath = path.join(dir, EDITOR.FILE_NAME);
+  try {
+    try {
+      fs.writeFileSync(filePath, text ? `${text}\n` : '', { mode: 0o600, flag: 'wx' });
+    } catch (error) {
+      throw new StorageError(`Failed to create a temp file: ${error.message}`);
+    }
+    await runEditor(command, filePath);
+    try {
+      return fs.readFileSync(filePath, 'utf-8').replace(/\s+$/, '');
+    } catch (error) {
+      throw new StorageError(`Failed to read the edited text: ${error.message}`);
+    }
+  } finally {
+    removeSecurely(dir, filePath);
+  }
+}
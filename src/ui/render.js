@@ -3,8 +3,11 @@
  * @module ui/render
  */
 
-import { ADDRESS, TIME } from '../constants.js';
+import { ADDRESS, DELIVERY_ICONS, TIME, UI } from '../constants.js';
 import { formatTimestamp, parseRpcHost } from '../utils.js';
+import { ENVELOPE_TYPES, getContentType } from '../domain/envelope.js';
+import { formatFileSize } from '../domain/fileTransfer.js';
+import { displayWidth, truncateToWidth, wrapText } from './textWidth.js';
 
 export const stripAnsi = (value) => {
   if (!value) {
@@ -13,17 +16,64 @@ export const stripAnsi = (value) => {
   return value.replace(/\x1b\[[0-9;]*m/g, '');
 };
 
+const HIGHLIGHT_ON = '\x1b[7m';
+const HIGHLIGHT_OFF = '\x1b[27m';
+
+/**
+ * Highlight every word starting with one of the given terms
+ * @param {string} text - Text to highlight
+ * @param {Array<string>} terms - Lowercase search terms
+ * @returns {string} Text with inverse-video hits
+ */
+export const highlightTerms = (text, terms) => {
+  if (!text || !terms || terms.length === 0) {
+    return text;
+  }
+  const escaped = terms.map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(${escaped.join('|')})`, 'giu');
+  return text.replace(pattern, `${HIGHLIGHT_ON}$1${HIGHLIGHT_OFF}`);
+};
+
+/**
+ * Fit a line to the frame: cut it to `width` columns, then pad it with spaces
+ * @param {string} value - Line, possibly styled
+ * @param {number} width - Columns
+ * @returns {string} Line exactly `width` columns wide
+ */
 export const padLine = (value, width) => {
-  const raw = value || '';
-  const len = stripAnsi(raw).length;
+  const raw = truncateToWidth(value || '', width);
+  const len = displayWidth(stripAnsi(raw));
   if (len >= width) {
     return raw;
   }
   return raw + ' '.repeat(width - len);
 };
 
+/**
+ * Describe the watched tokens for the header
+ * The active token is bracketed and tokens with unread tabs are starred.
+ * @param {Array<string>} tokens - Watched tokens
+ * @param {string} activeToken - Token of the active tab
+ * @param {Array<string>} unreadTokens - Tokens with unread tabs
+ * @returns {string} Header fragment
+ */
+const formatTokenList = (tokens, activeToken, unreadTokens) => {
+  if (tokens.length <= 1) {
+    return `Token: ${tokens[0]}`;
+  }
+  const labels = tokens.map((token) => {
+    const label = token === activeToken ? `[${token}]` : token;
+    return unreadTokens.includes(token) ? `${label}*` : label;
+  });
+  return `Tokens: ${labels.join(' ')}`;
+};
+
 export const renderHeaderLines = ({
   config,
+  tokens = [config.token],
+  activeToken = tokens[0],
+  unreadTokens = [],
+  rpcEndpoint = null,
   myAddress,
   totalMessages,
   messageExpiryHours,
@@ -31,7 +81,10 @@ export const renderHeaderLines = ({
   lastConnectionStatus,
   lastPollTime
 }) => {
-  const rpcUrl = parseRpcHost(config.rpc_url);
+  const endpoint = rpcEndpoint || { url: config.rpc_url, index: 0, count: 1 };
+  const rpcUrl = endpoint.count > 1
+    ? `${parseRpcHost(endpoint.url)} (${endpoint.index + 1}/${endpoint.count})`
+    : parseRpcHost(endpoint.url);
   const connectedIndicator = lastConnectionStatus ? '●' : '○';
   const lastPollStr = lastPollTime
     ? formatTimestamp(lastPollTime, config.timezone)
@@ -45,7 +98,7 @@ export const renderHeaderLines = ({
     timezoneDisplay = `UTC${timezoneDisplay}`;
   }
 
-  const line1 = `Neurai DePIN | ${connectedIndicator} RPC: ${rpcUrl} | Token: ${config.token} | Time: ${timezoneDisplay}`;
+  const line1 = `Neurai DePIN | ${connectedIndicator} RPC: ${rpcUrl} | ${formatTokenList(tokens, activeToken, unreadTokens)} | Time: ${timezoneDisplay}`;
   const line2 = `Address: ${myAddress} | Total: ${totalMessages} | Expiry: ${messageExpiryHours}h | Encryption: ${encryptionType} | Last check: ${lastPollStr}`;
 
   return [line1, line2];
@@ -94,23 +147,146 @@ export const renderTabLines = ({ tabs, activeTabId, applyStyle }) => {
   return { lines: combined, activeRange };
 };
 
-export const formatMessageLine = (msg, { config, myAddress, applyStyle }) => {
-  const time = formatTimestamp(msg.timestamp, config.timezone);
+/**
+ * Format the time left until a message expires from the pool
+ * @param {number} seconds - Seconds left
+ * @returns {string} e.g. "47h", "35m", "<1m" or "exp"
+ */
+export const formatTimeLeft = (seconds) => {
+  if (seconds <= 0) {
+    return 'exp';
+  }
+  if (seconds < 60) {
+    return '<1m';
+  }
+  if (seconds < 3600) {
+    return `${Math.floor(seconds / 60)}m`;
+  }
+  return `${Math.floor(seconds / 3600)}h`;
+};
+
+// Message body by envelope type; plain text is shown as is
+const CONTENT_FORMATTERS = {
+  [ENVELOPE_TYPES.REPLY]: (msg, text) => `↪ ${sanitizeText(msg.replyTo.quote)} │ ${text}`,
+  [ENVELOPE_TYPES.REACTION]: (msg) => `reacted ${sanitizeText(msg.content.reaction)}`,
+  [ENVELOPE_TYPES.EDIT]: (msg, text) => `(edited a message) ${text}`,
+  [ENVELOPE_TYPES.DELETE_REQUEST]: () => '(asked to delete a message)',
+  [ENVELOPE_TYPES.FILE_MANIFEST]: (msg) => `(file ${sanitizeText(msg.content.name)}, ${formatFileSize(msg.content.size)}, id ${msg.content.fileId})`,
+  [ENVELOPE_TYPES.FILE_CHUNK]: (msg) => `(file part ${msg.content.index + 1}/${msg.content.total})`,
+  [ENVELOPE_TYPES.RECEIPT]: (msg) => `(read ${msg.content.targets.length} message(s))`
+};
+
+const formatBody = (msg, text) => {
+  const formatter = CONTENT_FORMATTERS[getContentType(msg)];
+  return formatter ? formatter(msg, text) : text;
+};
+
+/**
+ * Make received text safe to print
+ * Line breaks are kept as "\n", tabs become spaces and other control
+ * characters (including escape sequences) are dropped.
+ * @param {string} text - Message text
+ * @returns {string} Printable text
+ */
+export const sanitizeText = (text) => String(text)
+  .replace(/\r\n?/g, '\n')
+  .replace(/\t/g, '    ')
+  .replace(/[\x00-\x09\x0b-\x1f\x7f-\x9f]/g, '');
+
+/**
+ * Summarize the reactions to a message
+ * @param {Array<{reaction: string, count: number}>} reactions - Reactions, see MessageStore.getReactions()
+ * @returns {string} e.g. "└ 👍 2 · ok 1"
+ */
+export const formatReactions = (reactions) => (
+  `└ ${reactions.map(({ reaction, count }) => `${sanitizeText(reaction)} ${count}`).join(' · ')}`
+);
+
+/**
+ * Format a message for the message list
+ * With a width, the body is wrapped with a hanging indent under its start
+ * (a short one when the prefix leaves less than UI.MIN_WRAP_WIDTH columns);
+ * line breaks in the text continue at the same indent. Reactions add a line
+ * under the message.
+ * @returns {string} Styled lines separated by "\n"
+ */
+export const formatMessageLine = (msg, {
+  config,
+  myAddress,
+  applyStyle,
+  highlight = [],
+  focused = false,
+  delivery = null,
+  expiresIn = null,
+  reactions = [],
+  width = null
+}) => {
+  const timestamp = formatTimestamp(msg.timestamp, config.timezone);
+  const time = expiresIn === null ? timestamp : `${timestamp} · ${formatTimeLeft(expiresIn)}`;
   const isMe = msg.sender === myAddress;
-  const senderLabel = isMe ? 'YOU' : msg.sender.slice(0, ADDRESS.TRUNCATE_LENGTH);
-  const line = `[${time}] ${senderLabel}: ${msg.message}`;
+  const senderLabel = isMe
+    ? (delivery ? `YOU ${DELIVERY_ICONS[delivery]}` : 'YOU')
+    : msg.sender.slice(0, ADDRESS.TRUNCATE_LENGTH);
+  const text = sanitizeText(msg.message);
+  const body = msg.isSystem ? text : formatBody(msg, text);
+  const marker = focused ? '» ' : '';
+  // Queued in the outbox, not sent yet
+  const head = msg.pending
+    ? `${marker}[${time}] ${senderLabel} (${msg.pending}): `
+    : `${marker}[${time}] ${senderLabel}: `;
 
-  if (msg.isSystem) {
-    const styleId = msg.systemType === 'error'
+  let styleId = isMe ? 'msgMe' : 'msgOther';
+  if (msg.pending) {
+    styleId = msg.pending === 'failed' ? 'msgError' : 'msgInfo';
+  } else if (msg.isSystem) {
+    styleId = msg.systemType === 'error'
       ? 'msgError'
       : msg.systemType === 'success'
         ? 'msgSuccess'
         : 'msgInfo';
-    return applyStyle(line, styleId);
   }
 
-  const styleId = isMe ? 'msgMe' : 'msgOther';
-  return applyStyle(line, styleId);
+  const headWidth = displayWidth(head);
+  const indentWidth = width && width - headWidth < UI.MIN_WRAP_WIDTH ? UI.WRAP_INDENT : headWidth;
+  const rows = body.split('\n').flatMap((line, index) => (
+    width ? wrapText(line, index === 0 ? width - headWidth : width - indentWidth, width - indentWidth) : [line]
+  ));
+
+  // Each line is styled on its own so the frame stays intact
+  const continuation = ' '.repeat(indentWidth);
+  const lines = rows.map((row, index) => {
+    const shown = msg.isSystem ? row : highlightTerms(row, highlight);
+    return applyStyle(`${index === 0 ? head : continuation}${shown}`, styleId);
+  });
+  if (msg.pending || msg.isSystem || reactions.length === 0) {
+    return lines.join('\n');
+  }
+  const indent = ' '.repeat(marker.length + 3);
+  return [...lines, applyStyle(`${indent}${formatReactions(reactions)}`, 'msgInfo')].join('\n');
+};
+
+const frameOverlay = ({ contentLines, availableHeight, width, frameWidth }) => {
+  const innerWidth = frameWidth - 2;
+  const top = `┌${'─'.repeat(innerWidth)}┐`;
+  const bottom = `└${'─'.repeat(innerWidth)}┘`;
+  const framed = [top, ...contentLines.map((line) => `│${padLine(line, innerWidth)}│`), bottom];
+
+  const frameHeight = framed.length;
+  const leftPadding = Math.max(Math.floor((width - frameWidth) / 2), 0);
+  const topPadding = Math.max(Math.floor((availableHeight - frameHeight) / 2), 0);
+  const paddedFrame = framed.map((line) => `${' '.repeat(leftPadding)}${line}`);
+
+  const output = [];
+  for (let i = 0; i < topPadding; i += 1) {
+    output.push('');
+  }
+  output.push(...paddedFrame);
+
+  while (output.length < availableHeight) {
+    output.push('');
+  }
+
+  return output.slice(0, availableHeight);
 };
 
 export const renderRecipientOverlay = ({ availableHeight, width, selector }) => {
@@ -135,30 +311,91 @@ export const renderRecipientOverlay = ({ availableHeight, width, selector }) =>
   }
 
   const frameWidth = Math.min(Math.max(width || 40, 40), 70);
+  return frameOverlay({ contentLines, availableHeight, width, frameWidth });
+};
+
+export const renderSearchOverlay = ({ availableHeight, width, panel, config, myAddress, showToken = false }) => {
+  const frameWidth = Math.max(Math.min((width || 40) - 4, 100), 40);
   const innerWidth = frameWidth - 2;
-  const top = `┌${'─'.repeat(innerWidth)}┐`;
-  const bottom = `└${'─'.repeat(innerWidth)}┘`;
-  const framed = [top, ...contentLines.map((line) => `│${padLine(line, innerWidth)}│`), bottom];
+  const terms = panel.getTerms();
+  const contentLines = [`Search: ${panel.query}_`];
 
-  const frameHeight = framed.length;
-  const leftPadding = Math.max(Math.floor((width - frameWidth) / 2), 0);
-  const topPadding = Math.max(Math.floor((availableHeight - frameHeight) / 2), 0);
-  const paddedFrame = framed.map((line) => `${' '.repeat(leftPadding)}${line}`);
+  if (!terms.length) {
+    contentLines.push('(type to search all conversations)');
+  } else if (!panel.results.length) {
+    contentLines.push('(no matches)');
+  } else {
+    contentLines.push(`${panel.results.length} matches (Up/Down: select, Enter: jump, Esc: close)`);
 
-  const output = [];
-  for (let i = 0; i < topPadding; i += 1) {
-    output.push('');
+    const maxVisible = Math.max(1, availableHeight - 4);
+    if (panel.index >= panel.scroll + maxVisible) {
+      panel.scroll = panel.index - maxVisible + 1;
+    }
+
+    const slice = panel.results.slice(panel.scroll, panel.scroll + maxVisible);
+    slice.forEach((msg, idx) => {
+      const absoluteIndex = panel.scroll + idx;
+      const prefix = absoluteIndex === panel.index ? '>' : ' ';
+      const time = formatTimestamp(msg.timestamp, config.timezone);
+      const where = msg.peerAddress
+        ? `@${msg.peerAddress.slice(0, ADDRESS.TRUNCATE_LENGTH)}`
+        : 'Group';
+      const scope = showToken && msg.token ? `${msg.token} ${where}` : where;
+      const sender = msg.sender === myAddress ? 'YOU' : msg.sender.slice(0, ADDRESS.TRUNCATE_LENGTH);
+      const head = `${prefix} [${time}] ${scope} ${sender}: `;
+      const text = sanitizeText(msg.message).replace(/\s+/g, ' ');
+      const room = Math.max(innerWidth - displayWidth(head), 0);
+      contentLines.push(`${head}${highlightTerms(truncateToWidth(text, room), terms)}`);
+    });
   }
-  output.push(...paddedFrame);
 
-  while (output.length < availableHeight) {
-    output.push('');
+  return frameOverlay({ contentLines, availableHeight, width, frameWidth });
+};
+
+export const renderOutboxOverlay = ({ availableHeight, width, panel, config, showToken = false }) => {
+  const frameWidth = Math.max(Math.min((width || 40) - 4, 100), 40);
+  const innerWidth = frameWidth - 2;
+  const contentLines = [];
+
+  if (!panel.items.length) {
+    contentLines.push('Outbox is empty (Esc: close)');
+  } else {
+    contentLines.push(`Outbox: ${panel.items.length} queued (Enter/E: edit, Del/X: cancel, R: retry, Esc: close)`);
+
+    // Two lines per item: the message and its state
+    const maxVisible = Math.max(1, Math.floor((availableHeight - 3) / 2));
+    if (panel.index >= panel.scroll + maxVisible) {
+      panel.scroll = panel.index - maxVisible + 1;
+    }
+
+    const slice = panel.items.slice(panel.scroll, panel.scroll + maxVisible);
+    slice.forEach((item, idx) => {
+      const absoluteIndex = panel.scroll + idx;
+      const prefix = absoluteIndex === panel.index ? '>' : ' ';
+      const time = formatTimestamp(item.createdAt, config.timezone);
+      const scope = showToken ? `${item.token} ` : '';
+      const head = `${prefix} [${time}] ${scope}`;
+      const text = sanitizeText(item.text).replace(/\s+/g, ' ');
+      contentLines.push(`${head}${truncateToWidth(text, Math.max(innerWidth - displayWidth(head), 0))}`);
+      const attempts = item.attempts === 1 ? '1 attempt' : `${item.attempts} attempts`;
+      const state = item.lastError ? `${item.status}, ${attempts}: ${item.lastError}` : `${item.status}, ${attempts}`;
+      contentLines.push(`    ${state}`.slice(0, innerWidth));
+    });
   }
 
-  return output.slice(0, availableHeight);
+  return frameOverlay({ contentLines, availableHeight, width, frameWidth });
 };
 
-export const renderInputLine = (inputValue) => `> ${inputValue}`;
+/**
+ * First row of the input box
+ * @param {string} inputValue - Visible input text
+ * @param {string} [prefix=''] - Reply or reaction quote
+ * @param {boolean} [multiline=false] - Multiline composition is on ("¶" prompt)
+ * @returns {string} Row text
+ */
+export const renderInputLine = (inputValue, prefix = '', multiline = false) => (
+  `${prefix}${multiline ? '¶' : '>'} ${inputValue}`
+);
 
 export const renderStatusLine = (statusMessage, statusType, applyStyle) => {
   if (!statusMessage) {
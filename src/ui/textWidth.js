@@ -0,0 +1,187 @@
+/**
+ * Display width of terminal text
+ * Measures text in terminal columns rather than UTF-16 code units: wide
+ * East Asian characters and emoji take two columns, combining marks and
+ * other zero-width characters none. Text is handled in grapheme clusters so
+ * an emoji sequence or a letter with its accents is never split.
+ * @module ui/textWidth
+ */
+
+const segmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
+const PRINTABLE_ASCII = /^[\x20-\x7e]*$/;
+const ANSI_SGR = /^\x1b\[[0-9;]*m$/;
+const ZERO_WIDTH = /^[\p{Mn}\p{Me}\p{Cf}\p{Cc}]/u;
+// Emoji shown as pictures: default emoji presentation, or text symbols followed by VS16
+const EMOJI = /\p{Emoji_Presentation}|\p{Emoji}\uFE0F/u;
+
+// East Asian Wide and Fullwidth blocks
+const WIDE_RANGES = [
+  [0x1100, 0x115f],
+  [0x2e80, 0x303e],
+  [0x3041, 0x33ff],
+  [0x3400, 0x4dbf],
+  [0x4e00, 0x9fff],
+  [0xa000, 0xa4cf],
+  [0xa960, 0xa97f],
+  [0xac00, 0xd7a3],
+  [0xf900, 0xfaff],
+  [0xfe10, 0xfe19],
+  [0xfe30, 0xfe6f],
+  [0xff00, 0xff60],
+  [0xffe0, 0xffe6],
+  [0x1b000, 0x1b2ff],
+  [0x1f200, 0x1f2ff],
+  [0x20000, 0x2fffd],
+  [0x30000, 0x3fffd]
+];
+
+const isWide = (codePoint) => WIDE_RANGES.some(([start, end]) => codePoint >= start && codePoint <= end);
+
+/**
+ * Split text into grapheme clusters
+ * @param {string} text - Text
+ * @returns {Array<string>} Clusters in order
+ */
+export function graphemes(text) {
+  return Array.from(segmenter.segment(text), ({ segment }) => segment);
+}
+
+/**
+ * Columns taken by one grapheme cluster
+ * @param {string} cluster - Grapheme cluster
+ * @returns {number} 0, 1 or 2
+ */
+export function graphemeWidth(cluster) {
+  if (EMOJI.test(cluster)) {
+    return 2;
+  }
+  if (ZERO_WIDTH.test(cluster)) {
+    return 0;
+  }
+  return isWide(cluster.codePointAt(0)) ? 2 : 1;
+}
+
+/**
+ * Columns taken by text without escape sequences
+ * @param {string} text - Text
+ * @returns {number} Display width
+ */
+export function displayWidth(text) {
+  if (PRINTABLE_ASCII.test(text)) {
+    return text.length;
+  }
+  return graphemes(text).reduce((sum, cluster) => sum + graphemeWidth(cluster), 0);
+}
+
+/**
+ * Cut styled text to a number of columns
+ * SGR escape sequences are kept and take no room; styles still open where
+ * the text is cut are reset.
+ * @param {string} value - Text, possibly with SGR sequences
+ * @param {number} width - Maximum columns
+ * @returns {string} Text no wider than `width`
+ */
+export function truncateToWidth(value, width) {
+  let output = '';
+  let used = 0;
+  let styled = false;
+  for (const part of value.split(/(\x1b\[[0-9;]*m)/)) {
+    if (ANSI_SGR.test(part)) {
+      output += part;
+      styled = true;
+      continue;
+    }
+    for (const cluster of graphemes(part)) {
+      const clusterWidth = graphemeWidth(cluster);
+      if (used + clusterWidth > width) {
+        return styled ? `${output}\x1b[0m` : output;
+      }
+      output += cluster;
+      used += clusterWidth;
+    }
+  }
+  return output;
+}
+
+/**
+ * Columns `start` to `start + width` of plain text
+ * A wide character cut by the left edge is shown as a space.
+ * @param {string} text - Text without escape sequences
+ * @param {number} start - First column
+ * @param {number} width - Columns to take
+ * @returns {string} Visible part
+ */
+export function sliceColumns(text, start, width) {
+  let output = '';
+  let column = 0;
+  for (const cluster of graphemes(text)) {
+    const clusterWidth = graphemeWidth(cluster);
+    const end = column + clusterWidth;
+    if (end > start + width) {
+      break;
+    }
+    if (column >= start) {
+      output += cluster;
+    } else if (end > start) {
+      output += ' '.repeat(end - start);
+    }
+    column = end;
+  }
+  return output;
+}
+
+/**
+ * Wrap plain text at spaces to fit a number of columns
+ * Words longer than a line are broken between grapheme clusters, and
+ * spaces where a line breaks are dropped.
+ * @param {string} text - Text without line breaks or escape sequences
+ * @param {number} firstWidth - Columns for the first line
+ * @param {number} [restWidth=firstWidth] - Columns for the following lines
+ * @returns {Array<string>} Lines, at least one
+ */
+export function wrapText(text, firstWidth, restWidth = firstWidth) {
+  const nextWidth = Math.max(restWidth, 1);
+  const lines = [];
+  let line = '';
+  let used = 0;
+  let limit = Math.max(firstWidth, 1);
+
+  const breakLine = () => {
+    lines.push(line.replace(/ +$/, ''));
+    line = '';
+    used = 0;
+    limit = nextWidth;
+  };
+
+  for (const token of text.split(/( +)/)) {
+    if (!token) {
+      continue;
+    }
+    const tokenWidth = displayWidth(token);
+    if (used + tokenWidth <= limit) {
+      line += token;
+      used += tokenWidth;
+    } else if (token.startsWith(' ')) {
+      breakLine();
+    } else if (used > 0 && tokenWidth <= nextWidth) {
+      breakLine();
+      line = token;
+      used = tokenWidth;
+    } else {
+      for (const cluster of graphemes(token)) {
+        const clusterWidth = graphemeWidth(cluster);
+        if (used > 0 && used + clusterWidth > limit) {
+          breakLine();
+        }
+        line += cluster;
+        used += clusterWidth;
+      }
+    }
+  }
+
+  if (line || lines.length === 0) {
+    lines.push(line);
+  }
+  return lines;
+}
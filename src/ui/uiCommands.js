@@ -0,0 +1,103 @@
+/**
+ * Slash-commands handled by the interface itself
+ * Commands that need the messaging components are registered by the entry point.
+ * @module ui/uiCommands
+ */
+
+import { CommandError } from '../errors.js';
+
+/**
+ * Register the interface commands
+ * @param {CharsmUI} ui - Terminal UI instance
+ */
+export function registerUiCommands(ui) {
+  const { commands } = ui;
+  const completeCommand = (partial) => commands.list().map((command) => command.name)
+    .filter((name) => name.startsWith(partial.replace(/^\//, '')));
+
+  commands.register({
+    name: 'help',
+    description: 'List commands, or describe one',
+    args: [{ name: 'command', complete: completeCommand }],
+    run: ({ command: name }) => {
+      if (name) {
+        const command = commands.get(name.replace(/^\//, ''));
+        if (!command) {
+          throw new CommandError(`Unknown command: /${name}`);
+        }
+        ui.updateSendStatus(`${commands.getUsage(command)}: ${command.description}`, 'info');
+        return;
+      }
+      commands.list().forEach((command) => {
+        ui.showInfo(`${commands.getUsage(command)}: ${command.description}`);
+      });
+    }
+  });
+
+  commands.register({
+    name: 'msg',
+    description: 'Send a private message and open its tab',
+    args: [
+      {
+        name: 'address',
+        required: true,
+        complete: (partial, { token }) => ui.getKnownAddresses(token)
+          .map((address) => (partial.startsWith('@') ? `@${address}` : address))
+      },
+      { name: 'text', required: true, rest: true }
+    ],
+    run: ({ address, text }, { token }) => {
+      const peerAddress = address.replace(/^@/, '');
+      if (!peerAddress) {
+        throw new CommandError('Usage: /msg <address> <text...>');
+      }
+      ui.sendText(`@${peerAddress} ${text}`, token);
+    }
+  });
+
+  commands.register({
+    name: 'close',
+    description: 'Close the active private tab',
+    run: () => {
+      if (!ui.getActivePeerAddress()) {
+        throw new CommandError('The group tab cannot be closed');
+      }
+      ui.closeActiveTab();
+    }
+  });
+
+  commands.register({
+    name: 'clear',
+    description: 'Clear the active tab on screen (the history keeps its messages)',
+    run: () => ui.clearView()
+  });
+
+  commands.register({
+    name: 'search',
+    description: 'Search all conversations',
+    args: [{ name: 'query', rest: true }],
+    run: ({ query }) => {
+      if (!ui.searchProvider) {
+        throw new CommandError('Search is not available');
+      }
+      ui.openSearch(query || undefined);
+    }
+  });
+
+  commands.register({
+    name: 'edit',
+    description: 'Compose in $VISUAL or $EDITOR (Ctrl+X), optionally starting from text',
+    args: [{ name: 'text', rest: true }],
+    run: ({ text }) => ui.editInExternalEditor(text)
+  });
+
+  commands.register({
+    name: 'quit',
+    aliases: ['exit'],
+    description: 'Exit the terminal',
+    run: () => {
+      ui.cleanup();
+      process.exit(0);
+    }
+  });
+}
@@ -3,7 +3,9 @@
  * @module utils
  */
 
-import { KEY_CODES, TERMINAL } from './constants.js';
+import crypto from 'crypto';
+import fs from 'fs';
+import { ENCRYPTION, KEY_CODES, TERMINAL, RETENTION } from './constants.js';
 
 /**
  * Sleep for a specified duration
@@ -40,6 +42,19 @@ export function isValidTimezone(timezone) {
   return offsetRegex.test(timezone);
 }
 
+/**
+ * Parse a local retention policy
+ * @param {string|number} value - "forever", "pool" or a positive whole number of days
+ * @returns {string|number|null} "forever", "pool", the number of days, or null if invalid
+ */
+export function parseRetention(value) {
+  if (value === RETENTION.FOREVER || value === RETENTION.POOL) {
+    return value;
+  }
+  const days = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  return Number.isInteger(days) && days > 0 ? days : null;
+}
+
 /**
  * Ensure RPC URL has the correct format
  * @param {string} url - Base RPC URL
@@ -122,6 +137,112 @@ export function createMessageKey(hash, signature) {
   return `${hash}|${signature}`;
 }
 
+/**
+ * Check whether a process is running
+ * @param {number} pid - Process id
+ * @returns {boolean} True if the process exists (also when owned by another user)
+ */
+export function isProcessAlive(pid) {
+  if (!Number.isInteger(pid) || pid <= 0) {
+    return false;
+  }
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Move an unreadable file aside under a name no earlier backup uses
+ * The name carries the time it was moved, e.g. history-X.enc.unreadable-1718000000000.
+ * Linking fails instead of replacing an existing file.
+ * @param {string} filePath - File to move
+ * @param {string} suffix - Suffix of the backup name, before the time
+ */
+export function moveAside(filePath, suffix) {
+  const base = `${filePath}${suffix}-${Date.now()}`;
+  for (let attempt = 0; ; attempt++) {
+    const backupPath = attempt === 0 ? base : `${base}-${attempt}`;
+    try {
+      fs.linkSync(filePath, backupPath);
+      fs.unlinkSync(filePath);
+      return;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        return; // Ignore: the file stays in place and will be overwritten
+      }
+    }
+  }
+}
+
+/**
+ * Derive an AES-256 key from a password using scrypt
+ * @param {string} password - User password
+ * @param {Buffer} salt - Random salt
+ * @returns {Promise<Buffer>} Derived key
+ */
+export function deriveKey(password, salt) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(
+      password,
+      salt,
+      ENCRYPTION.KEY_LENGTH,
+      {
+        N: ENCRYPTION.SCRYPT_COST,
+        r: ENCRYPTION.SCRYPT_BLOCK_SIZE,
+        p: ENCRYPTION.SCRYPT_PARALLELIZATION
+      },
+      (err, derivedKey) => {
+        if (err) reject(err);
+        else resolve(derivedKey);
+      }
+    );
+  });
+}
+
+/**
+ * Encrypt a UTF-8 string with AES-256-GCM using an already derived key
+ * @param {string} plaintext - Data to encrypt
+ * @param {Buffer} key - 32-byte key
+ * @returns {string} Encrypted data in format: iv:authTag:encrypted (hex)
+ */
+export function encryptWithKey(plaintext, key) {
+  const iv = crypto.randomBytes(ENCRYPTION.IV_LENGTH);
+  const cipher = crypto.createCipheriv(ENCRYPTION.ALGORITHM, key, iv);
+
+  let encrypted = cipher.update(plaintext, 'utf8', 'hex');
+  encrypted += cipher.final('hex');
+  const authTag = cipher.getAuthTag();
+
+  return `${iv.toString('hex')}:${authTag.toString('hex')}:${encrypted}`;
+}
+
+/**
+ * Decrypt data produced by encryptWithKey
+ * @param {string} encryptedData - Encrypted data in format: iv:authTag:encrypted
+ * @param {Buffer} key - 32-byte key
+ * @returns {string} Decrypted UTF-8 string
+ * @throws {Error} If the format is invalid or authentication fails
+ */
+export function decryptWithKey(encryptedData, key) {
+  const parts = encryptedData.split(':');
+  if (parts.length !== 3) {
+    throw new Error('Invalid encrypted data format');
+  }
+
+  const iv = Buffer.from(parts[0], 'hex');
+  const authTag = Buffer.from(parts[1], 'hex');
+  const decipher = crypto.createDecipheriv(ENCRYPTION.ALGORITHM, key, iv);
+  decipher.setAuthTag(authTag);
+
+  let decrypted = decipher.update(parts[2], 'hex', 'utf8');
+  decrypted += decipher.final('utf8');
+
+  return decrypted;
+}
+
 /**
  * Drain stdin until silence is detected
  * @param {Object} stdin - Stdin stream
@@ -412,6 +533,43 @@ export async function withSuppressedConsole(fn) {
   }
 }
 
+/**
+ * Read a whole stream as UTF-8 text
+ * @param {NodeJS.ReadableStream} stream - Stream to read (e.g. process.stdin)
+ * @returns {Promise<string>} Stream contents
+ */
+export async function readStream(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Send all console and stdout output to stderr during a function execution
+ * Keeps stdout clean for machine-readable output of CLI commands
+ * @param {Function} fn - Function to execute
+ * @returns {Promise<*>} Result of the function
+ */
+export async function withStdoutOnStderr(fn) {
+  const originalLog = console.log;
+  const originalInfo = console.info;
+  const originalStdoutWrite = process.stdout.write;
+
+  console.log = (...args) => console.error(...args);
+  console.info = (...args) => console.error(...args);
+  process.stdout.write = (...args) => process.stderr.write(...args);
+
+  try {
+    return await fn();
+  } finally {
+    console.log = originalLog;
+    console.info = originalInfo;
+    process.stdout.write = originalStdoutWrite;
+  }
+}
+
 /**
  * Reset terminal to normal state
  * Useful for cleanup on exit